@@ -0,0 +1,179 @@
+import createError from "../utils/error.js";
+import {
+  MAX_SAVED_ADDRESSES,
+  getAddressBook,
+  setDefaultAddress,
+} from "../utils/addressBook.js";
+import { toPoint } from "../utils/deliveryTrack.js";
+
+// Read the address fields of a request body. With `partial`, fields that
+// were not sent are left out instead of being required.
+const parseAddressFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const field of ["label", "addressLine"]) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== "string" || !body[field].trim()) {
+        throw createError(400, `${field} must be a non-empty string`);
+      }
+      fields[field] = body[field];
+    } else if (!partial) {
+      throw createError(400, `${field} is required`);
+    }
+  }
+
+  for (const field of ["landmark", "contactNumber"]) {
+    if (body[field] !== undefined) fields[field] = body[field] === null ? undefined : String(body[field]);
+  }
+
+  if (body.coordinates !== undefined) {
+    const location = Array.isArray(body.coordinates) ? toPoint({ coordinates: body.coordinates }) : null;
+    if (!location) {
+      throw createError(400, "coordinates must be [longitude, latitude]");
+    }
+    fields.location = location;
+  } else if (!partial) {
+    throw createError(400, "coordinates are required");
+  }
+
+  return fields;
+};
+
+// Addresses with the default one first
+const sortAddresses = (addresses) =>
+  [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || b.updatedAt - a.updatedAt);
+
+// Get the current user's address book
+export const getAddresses = async (req, res, next) => {
+  try {
+    const user = await getAddressBook(req.id);
+
+    return res.status(200).json({
+      success: true,
+      addresses: sortAddresses(user.addresses)
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error fetching addresses:", error);
+    return next(createError(500, "Error fetching addresses"));
+  }
+};
+
+// Add an address to the current user's address book
+export const addAddress = async (req, res, next) => {
+  try {
+    const fields = parseAddressFields(req.body);
+    const user = await getAddressBook(req.id);
+
+    if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+      return next(createError(400, `You can save up to ${MAX_SAVED_ADDRESSES} addresses`));
+    }
+
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    // The first address is the default one
+    setDefaultAddress(user, req.body.isDefault === true ? address._id : null);
+    await user.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Address saved successfully",
+      address
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    console.error("Error saving address:", error);
+    return next(createError(500, "Error saving address"));
+  }
+};
+
+// Update an address in the current user's address book
+export const updateAddress = async (req, res, next) => {
+  try {
+    const fields = parseAddressFields(req.body, { partial: true });
+    const user = await getAddressBook(req.id);
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(createError(404, "Address not found"));
+    }
+
+    address.set(fields);
+    if (req.body.isDefault === true) {
+      setDefaultAddress(user, address._id);
+    }
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Address updated successfully",
+      address
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return next(createError(400, error.message));
+    }
+    console.error("Error updating address:", error);
+    return next(createError(500, "Error updating address"));
+  }
+};
+
+// Remove an address; when it was the default, the next address takes over
+export const deleteAddress = async (req, res, next) => {
+  try {
+    const user = await getAddressBook(req.id);
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(createError(404, "Address not found"));
+    }
+
+    address.deleteOne();
+    setDefaultAddress(user);
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Address deleted successfully"
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    if (error.name === "CastError") {
+      return next(createError(400, "Invalid address ID"));
+    }
+    console.error("Error deleting address:", error);
+    return next(createError(500, "Error deleting address"));
+  }
+};
+
+// Make an address the current user's default
+export const setDefault = async (req, res, next) => {
+  try {
+    const user = await getAddressBook(req.id);
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(createError(404, "Address not found"));
+    }
+
+    setDefaultAddress(user, address._id);
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Default address updated successfully",
+      address
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    if (error.name === "CastError") {
+      return next(createError(400, "Invalid address ID"));
+    }
+    console.error("Error setting default address:", error);
+    return next(createError(500, "Error setting default address"));
+  }
+};
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+import AgentCashEntry from "../models/agentCashEntry.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import createError from "../utils/error.js";
+import { CASH_IN_HAND_LIMIT, recordCashHandover } from "../utils/cashCollection.js";
+import { roundCurrency } from "../utils/pricing.js";
+
+// Recent cash movements of an agent, newest first
+const getRecentEntries = (agentId, limit = 20) =>
+  AgentCashEntry.find({ agent: agentId })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .populate("order", "total status actualDeliveryTime");
+
+// Get the current agent's cash in hand and recent collections and handovers
+export const getMyCash = async (req, res, next) => {
+  try {
+    const agent = await DeliveryAgent.findOne({ user: req.user.id });
+    if (!agent) {
+      return next(createError(404, "Delivery agent profile not found"));
+    }
+
+    const cashInHand = roundCurrency(agent.cashInHand);
+    return res.status(200).json({
+      success: true,
+      cashInHand,
+      limit: CASH_IN_HAND_LIMIT,
+      overLimit: cashInHand > CASH_IN_HAND_LIMIT,
+      entries: await getRecentEntries(agent._id)
+    });
+  } catch (error) {
+    console.error("Error fetching cash in hand:", error);
+    return next(createError(500, "Error fetching cash in hand: " + error.message));
+  }
+};
+
+// Admin: cash held by each agent, largest first; ?flagged=true lists only agents over the limit
+export const getAgentCashBalances = async (req, res, next) => {
+  try {
+    const flaggedOnly = req.query.flagged === "true";
+    const filter = flaggedOnly
+      ? { cashInHand: { $gt: CASH_IN_HAND_LIMIT } }
+      : { cashInHand: { $gt: 0 } };
+
+    const agents = await DeliveryAgent.find(filter)
+      .select("user cashInHand isAvailable activeOrders")
+      .sort({ cashInHand: -1 })
+      .populate({
+        path: 'user',
+        select: 'username email avatar'
+      });
+
+    const balances = agents.map((agent) => {
+      const cashInHand = roundCurrency(agent.cashInHand);
+      return {
+        agentId: agent._id,
+        user: agent.user,
+        isAvailable: agent.isAvailable,
+        activeOrders: agent.activeOrders.length,
+        cashInHand,
+        flagged: cashInHand > CASH_IN_HAND_LIMIT
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      limit: CASH_IN_HAND_LIMIT,
+      count: balances.length,
+      flaggedCount: balances.filter((balance) => balance.flagged).length,
+      totalOutstanding: roundCurrency(balances.reduce((sum, balance) => sum + balance.cashInHand, 0)),
+      agents: balances
+    });
+  } catch (error) {
+    console.error("Error fetching agent cash balances:", error);
+    return next(createError(500, "Error fetching agent cash balances: " + error.message));
+  }
+};
+
+// Admin: cash movements of one agent
+export const getAgentCashEntries = async (req, res, next) => {
+  try {
+    const { agentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(agentId)) {
+      return next(createError(400, "Invalid agent ID"));
+    }
+
+    const agent = await DeliveryAgent.findById(agentId);
+    if (!agent) {
+      return next(createError(404, "Delivery agent not found"));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const cashInHand = roundCurrency(agent.cashInHand);
+
+    return res.status(200).json({
+      success: true,
+      agentId: agent._id,
+      cashInHand,
+      flagged: cashInHand > CASH_IN_HAND_LIMIT,
+      entries: await getRecentEntries(agent._id, limit)
+    });
+  } catch (error) {
+    console.error("Error fetching agent cash entries:", error);
+    return next(createError(500, "Error fetching agent cash entries: " + error.message));
+  }
+};
+
+// Admin: record cash an agent handed over; without an amount the whole balance is settled
+export const recordAgentHandover = async (req, res, next) => {
+  try {
+    const { agentId } = req.params;
+    const { amount, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(agentId)) {
+      return next(createError(400, "Invalid agent ID"));
+    }
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return next(createError(400, "amount must be a positive number"));
+    }
+
+    const entry = await recordCashHandover({
+      agentId,
+      amount: amount === undefined ? undefined : Number(amount),
+      adminId: req.user.id,
+      note
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: entry.balanceAfter === 0 ? "Agent cash settled" : "Handover recorded",
+      entry,
+      cashInHand: entry.balanceAfter
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error recording cash handover:", error);
+    return next(createError(500, "Error recording cash handover: " + error.message));
+  }
+};
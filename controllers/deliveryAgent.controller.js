@@ -1,8 +1,23 @@
 import DeliveryAgent from "../models/deliveryAgent.model.js";
 import Order from "../models/order.model.js";
 import { User } from "../models/user.model.js";
-import { io } from "../socket/socket.js";
+import { io, emitToOrder } from "../socket/socket.js";
 import createError from "../utils/error.js";
+import { ORDER_ROLES, assertTransition, transitionOrder } from "../utils/orderStatus.js";
+import { calculateDistance } from "../utils/geo.js";
+import { refreshOrderEta } from "../utils/eta.js";
+import { withTransaction } from "../utils/db.js";
+import { isCashOnDelivery, parseCashCollected, recordCashCollection } from "../utils/cashCollection.js";
+import { recordDeliveryEarning } from "../utils/earnings.js";
+import { notifyTipReceived } from "../utils/tips.js";
+import { issueInvoice } from "../utils/invoice.js";
+import { assignAgentToOrder } from "../utils/dispatch.js";
+import { getActiveBatch, planAgentRoute, refreshBatch } from "../utils/batching.js";
+import { endTrack, recordTrackPoint } from "../utils/deliveryTrack.js";
+import { collectProofOfDelivery } from "../utils/proofOfDelivery.js";
+import { checkOrderGeofences, clearGeofences } from "../utils/geofence.js";
+import { afterOrderCommit } from "../utils/orderEvents.js";
+import { saveOrder } from "../utils/orderSplit.js";
 
 // Register as a delivery agent
 export const registerAsDeliveryAgent = async (req, res, next) => {
@@ -105,14 +120,42 @@ export const updateLocation = async (req, res, next) => {
         status: { $in: ["confirmed", "preparing", "out_for_delivery"] }
       });
 
-      // Broadcast location update to each order's user
+      // Trail, geofences and ETAs are best effort: the location is already
+      // saved, and one failing order must not hold up the others
+      try {
+        // Keep a breadcrumb trail of the orders on the road
+        await recordTrackPoint({
+          agentId: agent._id,
+          orderIds: orders.filter((order) => order.status === "out_for_delivery").map((order) => order._id),
+          location: agent.currentLocation,
+          accuracy: req.body.accuracy,
+          speed: req.body.speed,
+          heading: req.body.heading
+        });
+      } catch (error) {
+        console.error(`Error recording track points of agent ${agent._id}:`, error);
+      }
+
+      // Broadcast location update to each order's user (and the parent of split orders)
       for (const order of orders) {
-        io.to(`order_${order._id}`).emit("deliveryLocationUpdate", {
-          orderId: order._id,
+        emitToOrder(order, "deliveryLocationUpdate", {
           agentId: agent._id,
           location: agent.currentLocation,
           timestamp: new Date()
         });
+
+        // Arriving at the seller or near the customer notes it and tells the customer
+        try {
+          await checkOrderGeofences(order, agent.currentLocation, { actorId: req.user.id, agent });
+        } catch (error) {
+          console.error(`Error checking geofences for order ${order._id}:`, error);
+        }
+
+        try {
+          await refreshOrderEta(order, { agent });
+        } catch (error) {
+          console.error(`Error updating ETA for order ${order._id}:`, error);
+        }
       }
     }
 
@@ -159,7 +202,10 @@ export const getNearbyOrders = async (req, res, next) => {
     let orderQuery = {
       _id: { $nin: rejectedOrderIds }, // Exclude rejected orders
       deliveryAgent: { $exists: false },
-      status: "confirmed"
+      status: "confirmed",
+      orderType: { $ne: "parent" }, // Agents deliver the per-seller parts of split orders
+      // Scheduled orders stay hidden until their dispatch window opens
+      dispatchAt: { $not: { $gt: new Date() } }
     };
     
     // Only add location filter if we're not including all confirmed orders
@@ -305,48 +351,10 @@ export const acceptOrder = async (req, res, next) => {
       return next(createError(404, "Order not found"));
     }
 
-    if (order.deliveryAgent) {
-      return next(createError(400, "This order has already been assigned to a delivery agent"));
-    }
-
-    if (order.status !== "confirmed") {
-      return next(createError(400, "Order is not available for delivery"));
-    }
-
-    // Calculate estimated delivery time (30 minutes from now)
-    const estimatedDeliveryTime = new Date();
-    estimatedDeliveryTime.setMinutes(estimatedDeliveryTime.getMinutes() + 30);
-
-    // Update order with delivery agent and status
-    order.deliveryAgent = agent._id;
-    order.status = "out_for_delivery";
-    order.estimatedDeliveryTime = estimatedDeliveryTime;
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: "out_for_delivery",
-      timestamp: new Date(),
-      location: agent.currentLocation,
-      note: `Assigned to delivery agent: ${req.user.username}`
-    });
-    
-    await order.save();
-
-    // Update agent's active orders
-    agent.activeOrders.push(order._id);
-    await agent.save();
-
-    // Notify user that order is out for delivery
-    io.to(`user_${order.user}`).emit("orderStatusUpdate", {
-      orderId: order._id,
-      status: "out_for_delivery",
-      estimatedDeliveryTime,
-      agent: {
-        id: agent._id,
-        name: req.user.username,
-        vehicleType: agent.vehicleType,
-        vehicleNumber: agent.vehicleNumber
-      }
+    // Validates and saves the assignment; only one agent can win the order
+    await assignAgentToOrder(order, agent, {
+      actorId: req.user.id,
+      agentName: req.user.username
     });
 
     return res.status(200).json({
@@ -355,6 +363,7 @@ export const acceptOrder = async (req, res, next) => {
       order,
     });
   } catch (error) {
+    if (error.statusCode) return next(error);
     console.error("Error accepting order:", error);
     return next(createError(500, "Error accepting order: " + error.message));
   }
@@ -372,7 +381,7 @@ export const completeDelivery = async (req, res, next) => {
     }
 
     // Check if order exists and is being delivered by this agent
-    const order = await Order.findById(orderId);
+    const order = await Order.findById(orderId).select("+deliveryOtp.code");
     if (!order) {
       return next(createError(404, "Order not found"));
     }
@@ -381,47 +390,162 @@ export const completeDelivery = async (req, res, next) => {
       return next(createError(403, "This order is not assigned to you"));
     }
 
-    if (order.status !== "out_for_delivery") {
-      return next(createError(400, "Order is not out for delivery"));
-    }
+    // Cash-on-delivery orders need the amount taken at the door
+    const cashCollected = isCashOnDelivery(order)
+      ? parseCashCollected(order, req.body.cashCollected)
+      : null;
 
-    // Update order status
-    order.status = "delivered";
-    order.actualDeliveryTime = new Date();
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: "delivered",
-      timestamp: new Date(),
+    // The customer's delivery code or a doorstep photo; checked only for
+    // orders that can be delivered, so no photo is stored for nothing
+    assertTransition(order, "delivered", [ORDER_ROLES.AGENT]);
+    await collectProofOfDelivery(order, agent, { otp: req.body.otp, photo: req.file });
+
+    // Validates the move against the transition table (409 on illegal moves)
+    transitionOrder(order, "delivered", {
+      roles: [ORDER_ROLES.AGENT],
+      actorId: req.user.id,
       location: agent.currentLocation,
       note: "Order delivered successfully"
     });
-    
-    await order.save();
 
-    // Update agent's records
-    agent.activeOrders = agent.activeOrders.filter(id => !id.equals(order._id));
-    agent.deliveryHistory.push(order._id);
-    await agent.save();
+    let cashInHand = agent.cashInHand;
+    await withTransaction(async (session) => {
+      if (cashCollected !== null) {
+        cashInHand = await recordCashCollection({ order, agent, amount: cashCollected, session });
+      } else {
+        await saveOrder(order, { session });
+      }
+      await recordDeliveryEarning(order, agent, session);
+
+      // Update agent's records
+      agent.activeOrders = agent.activeOrders.filter(id => !id.equals(order._id));
+      agent.deliveryHistory.push(order._id);
+      await agent.save({ session });
+    });
+
+    // The order is off the road: drop its live tracking state
+    endTrack(agent._id, order._id);
+    clearGeofences(order._id);
+    await afterOrderCommit(order);
+
+    // Best effort: an invoice that could not be issued now is issued when
+    // it is first requested
+    try {
+      await issueInvoice(order);
+    } catch (error) {
+      console.error(`Error issuing invoice for order ${order._id}:`, error);
+    }
+
+    // Ticks off the drop-off and moves the ETAs of the rest of the trip
+    if (order.batch) {
+      await refreshBatch(order.batch, { agent });
+    }
+
+    // A tip added at checkout reaches the agent with the delivery
+    if (order.tip > 0) {
+      await notifyTipReceived(order, order.tip);
+    }
 
     // Notify user that order is delivered
     io.to(`user_${order.user}`).emit("orderStatusUpdate", {
       orderId: order._id,
       status: "delivered",
-      deliveredAt: order.actualDeliveryTime
+      deliveredAt: order.actualDeliveryTime,
+      proofOfDelivery: order.proofOfDelivery
     });
 
     return res.status(200).json({
       success: true,
       message: "Delivery completed successfully",
       order,
+      ...(cashCollected !== null && { cashCollected, cashInHand }),
     });
   } catch (error) {
+    if (error.statusCode) return next(error);
     console.error("Error completing delivery:", error);
     return next(createError(500, "Error completing delivery: " + error.message));
   }
 };
 
+// Get the current agent's trip with its stops in visiting order
+export const getCurrentBatch = async (req, res, next) => {
+  try {
+    const batch = await getActiveBatch(req.agent._id);
+    if (!batch) {
+      return res.status(200).json({
+        success: true,
+        batch: null,
+        stops: []
+      });
+    }
+
+    await batch.populate({
+      path: 'stops.order',
+      select: 'status deliveryAddress deliveryInstructions estimatedDeliveryTime estimatedReadyTime readyForPickupAt pickedUpAt total paymentMethod user',
+      populate: { path: 'user', select: 'username avatar' }
+    });
+
+    const stops = batch.stops.map((stop, index) => ({
+      sequence: index + 1,
+      type: stop.type,
+      location: stop.location,
+      completedAt: stop.completedAt,
+      order: stop.order
+    }));
+
+    return res.status(200).json({
+      success: true,
+      batch: {
+        _id: batch._id,
+        status: batch.status,
+        vehicleType: batch.vehicleType,
+        capacity: batch.capacity,
+        orders: batch.orders,
+        distanceMeters: batch.distanceMeters
+      },
+      nextStop: stops.find((stop) => !stop.completedAt) || null,
+      stops
+    });
+  } catch (error) {
+    console.error("Error fetching current trip:", error);
+    return next(createError(500, "Error fetching current trip: " + error.message));
+  }
+};
+
+// Suggest the order to make the current agent's pickups and drop-offs in
+export const getOptimizedRoute = async (req, res, next) => {
+  try {
+    const { orders, stops, distanceMeters, finishAt } = await planAgentRoute(req.agent);
+    const ordersById = new Map(orders.map((order) => [order._id.toString(), order]));
+
+    return res.status(200).json({
+      success: true,
+      totalDistanceMeters: distanceMeters,
+      totalDistanceText: `${(distanceMeters / 1000).toFixed(2)} km`,
+      finishAt,
+      stops: stops.map((stop, index) => {
+        const order = ordersById.get(stop.order.toString());
+        return {
+          sequence: index + 1,
+          type: stop.type,
+          orderId: stop.order,
+          location: stop.location,
+          ...(stop.type === "dropoff" && {
+            deliveryAddress: order.deliveryAddress,
+            deliveryInstructions: order.deliveryInstructions
+          }),
+          distanceFromPreviousMeters: stop.distanceMeters,
+          eta: stop.arrivalAt,
+          departAt: stop.departAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error("Error planning delivery route:", error);
+    return next(createError(500, "Error planning delivery route: " + error.message));
+  }
+};
+
 // Get delivery agent profile
 export const getAgentProfile = async (req, res, next) => {
   try {
@@ -452,6 +576,7 @@ export const getAgentProfile = async (req, res, next) => {
         completedDeliveries: completedDeliveriesCount,
         rating: agent.rating,
         totalRatings: agent.totalRatings,
+        totalTips: agent.totalTips,
       }
     });
   } catch (error) {
@@ -521,7 +646,9 @@ export const getConfirmedOrders = async (req, res, next) => {
     // Find all orders with status "confirmed"
     const confirmedOrders = await Order.find({ 
       status: "confirmed",
-      deliveryAgent: null // Not assigned to any agent yet
+      deliveryAgent: null, // Not assigned to any agent yet
+      orderType: { $ne: "parent" }, // Agents deliver the per-seller parts of split orders
+      dispatchAt: { $not: { $gt: new Date() } } // Hide scheduled orders until dispatch
     })
     .populate({
       path: 'user',
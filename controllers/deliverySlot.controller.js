@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import createError from "../utils/error.js";
+import { getSlotAvailability, SLOT_LENGTH_MINUTES } from "../utils/scheduling.js";
+
+// Get bookable delivery slots of a seller for one day
+export const getDeliverySlots = async (req, res, next) => {
+  try {
+    const { sellerId, date } = req.query;
+
+    if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId)) {
+      return next(createError(400, "A valid sellerId is required"));
+    }
+
+    const day = date ? new Date(date) : new Date();
+    if (Number.isNaN(day.getTime())) {
+      return next(createError(400, "date must be a valid date (YYYY-MM-DD)"));
+    }
+
+    const sellerExists = await User.exists({ _id: sellerId });
+    if (!sellerExists) {
+      return next(createError(404, "Seller not found"));
+    }
+
+    const slots = await getSlotAvailability(sellerId, day);
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery slots fetched successfully",
+      slotLengthMinutes: SLOT_LENGTH_MINUTES,
+      slots
+    });
+  } catch (error) {
+    console.error("Error fetching delivery slots:", error);
+    return next(createError(500, "Error fetching delivery slots"));
+  }
+};
+
+// Seller: set how many scheduled orders they accept per slot
+export const updateSlotCapacity = async (req, res, next) => {
+  try {
+    const { slotCapacity } = req.body;
+
+    if (!Number.isInteger(slotCapacity) || slotCapacity < 0) {
+      return next(createError(400, "slotCapacity must be a non-negative whole number"));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { "sellerSettings.slotCapacity": slotCapacity } },
+      { new: true }
+    ).select("sellerSettings");
+
+    return res.status(200).json({
+      success: true,
+      message: "Slot capacity updated successfully",
+      sellerSettings: user.sellerSettings
+    });
+  } catch (error) {
+    console.error("Error updating slot capacity:", error);
+    return next(createError(500, "Error updating slot capacity"));
+  }
+};
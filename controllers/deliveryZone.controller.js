@@ -0,0 +1,278 @@
+import DeliveryZone from "../models/deliveryZone.model.js";
+import Order from "../models/order.model.js";
+import SurgeLog from "../models/surgeLog.model.js";
+import createError from "../utils/error.js";
+import { SURGE_TIERS, getZoneSurge } from "../utils/deliveryFees.js";
+import { isValidTimezone } from "../utils/deliveryZones.js";
+
+// Fields an admin may set on a delivery zone
+const EDITABLE_FIELDS = [
+  "name",
+  "area",
+  "deliveryFee",
+  "minimumOrder",
+  "operatingHours",
+  "timezone",
+  "isActive",
+];
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+// A closed ring of at least four positions, the last repeating the first
+const isLinearRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+// Check the zone fields that mongoose validation does not cover
+const validateZoneFields = (zone) => {
+  const { area } = zone;
+  if (area) {
+    const valid = area.type === "Polygon"
+      ? isPolygon(area.coordinates)
+      : area.type === "MultiPolygon" && Array.isArray(area.coordinates) && area.coordinates.length > 0 &&
+        area.coordinates.every(isPolygon);
+    if (!valid) {
+      return "area must be a GeoJSON Polygon or MultiPolygon with closed rings of [longitude, latitude]";
+    }
+  }
+  if (zone.timezone && !isValidTimezone(zone.timezone)) {
+    return `Unknown timezone: ${zone.timezone}`;
+  }
+  return null;
+};
+
+// Admin: Create a delivery zone
+export const createDeliveryZone = async (req, res, next) => {
+  try {
+    const { name, area } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return next(createError(400, "Zone name is required"));
+    }
+    if (!area) {
+      return next(createError(400, "Zone area is required"));
+    }
+
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    const validationError = validateZoneFields(fields);
+    if (validationError) {
+      return next(createError(400, validationError));
+    }
+
+    const zone = await DeliveryZone.create({ ...fields, createdBy: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Delivery zone created successfully",
+      zone
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(createError(409, "A delivery zone with this name already exists"));
+    }
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    // MongoDB refuses polygons it cannot index, e.g. self-intersecting ones
+    if (error.code === 16755) {
+      return next(createError(400, "Zone area is not a valid polygon"));
+    }
+    console.error("Error creating delivery zone:", error);
+    return next(createError(500, "Error creating delivery zone: " + error.message));
+  }
+};
+
+// Admin: List delivery zones
+export const getDeliveryZones = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    const zones = await DeliveryZone.find(filter).sort({ name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery zones fetched successfully",
+      zones
+    });
+  } catch (error) {
+    console.error("Error fetching delivery zones:", error);
+    return next(createError(500, "Error fetching delivery zones"));
+  }
+};
+
+// Admin: Get a delivery zone
+export const getDeliveryZoneById = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.zoneId);
+    if (!zone) {
+      return next(createError(404, "Delivery zone not found"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery zone fetched successfully",
+      zone
+    });
+  } catch (error) {
+    console.error("Error fetching delivery zone:", error);
+    return next(createError(500, "Error fetching delivery zone"));
+  }
+};
+
+// Admin: Update a delivery zone
+export const updateDeliveryZone = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.zoneId);
+    if (!zone) {
+      return next(createError(404, "Delivery zone not found"));
+    }
+
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    const validationError = validateZoneFields(fields);
+    if (validationError) {
+      return next(createError(400, validationError));
+    }
+
+    zone.set(fields);
+    await zone.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery zone updated successfully",
+      zone
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(createError(409, "A delivery zone with this name already exists"));
+    }
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    if (error.code === 16755) {
+      return next(createError(400, "Zone area is not a valid polygon"));
+    }
+    console.error("Error updating delivery zone:", error);
+    return next(createError(500, "Error updating delivery zone: " + error.message));
+  }
+};
+
+// Admin: Delete a delivery zone. Zones orders were placed in are only
+// deactivated so those orders keep a valid reference.
+export const deleteDeliveryZone = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.zoneId);
+    if (!zone) {
+      return next(createError(404, "Delivery zone not found"));
+    }
+
+    const hasOrders = await Order.exists({ deliveryZone: zone._id });
+    if (hasOrders) {
+      zone.isActive = false;
+      await zone.save();
+      return res.status(200).json({
+        success: true,
+        message: "Delivery zone has orders and was deactivated instead of deleted",
+        zone
+      });
+    }
+
+    await zone.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery zone deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting delivery zone:", error);
+    return next(createError(500, "Error deleting delivery zone"));
+  }
+};
+
+// Admin: Current surge level of every active delivery zone
+export const getSurgeLevels = async (req, res, next) => {
+  try {
+    const zones = await DeliveryZone.find({ isActive: true }).sort({ name: 1 });
+
+    const levels = [];
+    for (const zone of zones) {
+      const surge = await getZoneSurge(zone, { fresh: req.query.fresh === "true" });
+      levels.push({ zone: { _id: zone._id, name: zone.name }, ...surge });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Surge levels fetched successfully",
+      surgeTiers: SURGE_TIERS,
+      levels
+    });
+  } catch (error) {
+    console.error("Error fetching surge levels:", error);
+    return next(createError(500, "Error fetching surge levels"));
+  }
+};
+
+// Admin: Logged surge level changes, newest first
+export const getSurgeHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.zone) {
+      filter.zone = req.query.zone;
+    }
+    if (req.query.from || req.query.to) {
+      filter.recordedAt = {};
+      if (req.query.from) filter.recordedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.recordedAt.$lte = new Date(req.query.to);
+    }
+
+    const totalLogs = await SurgeLog.countDocuments(filter);
+    const logs = await SurgeLog.find(filter)
+      .sort({ recordedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("zone", "name");
+
+    return res.status(200).json({
+      success: true,
+      message: "Surge history fetched successfully",
+      pagination: {
+        totalLogs,
+        totalPages: Math.ceil(totalLogs / limit),
+        currentPage: page,
+        limit
+      },
+      logs
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return next(createError(400, "Invalid surge history filter"));
+    }
+    console.error("Error fetching surge history:", error);
+    return next(createError(500, "Error fetching surge history"));
+  }
+};
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import DispatchAttempt from "../models/dispatchAttempt.model.js";
+import Order from "../models/order.model.js";
+import createError from "../utils/error.js";
+import { respondToOffer, startDispatch } from "../utils/dispatch.js";
+
+// Get the offers the current agent still has to answer
+export const getMyOffers = async (req, res, next) => {
+  try {
+    const offers = await DispatchAttempt.find({
+      agent: req.agent._id,
+      status: "offered",
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ offeredAt: -1 })
+      .populate('order', 'pickupLocation deliveryLocation total items status');
+
+    return res.status(200).json({
+      success: true,
+      count: offers.length,
+      offers
+    });
+  } catch (error) {
+    console.error("Error fetching delivery offers:", error);
+    return next(createError(500, "Error fetching delivery offers: " + error.message));
+  }
+};
+
+const answerOffer = (accept) => async (req, res, next) => {
+  try {
+    const { attemptId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+      return next(createError(400, "Invalid offer ID"));
+    }
+
+    const { attempt, order } = await respondToOffer(req.agent, attemptId, accept, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: accept ? "Order accepted for delivery" : "Offer declined",
+      offer: attempt,
+      ...(order && { order })
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error answering delivery offer:", error);
+    return next(createError(500, "Error answering delivery offer: " + error.message));
+  }
+};
+
+// Accept an order the dispatcher offered to the current agent
+export const acceptOffer = answerOffer(true);
+
+// Decline an offer so it moves on to the next agent
+export const declineOffer = answerOffer(false);
+
+// Admin: orders no agent accepted in their last dispatch round
+export const getFailedDispatches = async (req, res, next) => {
+  try {
+    const orders = await Order.find({
+      "dispatch.status": "failed",
+      deliveryAgent: null,
+      status: { $in: ["confirmed", "preparing"] }
+    })
+      .sort({ "dispatch.failedAt": 1 })
+      .select('user status total pickupLocation deliveryLocation dispatch createdAt')
+      .populate('user', 'username email');
+
+    return res.status(200).json({
+      success: true,
+      count: orders.length,
+      orders
+    });
+  } catch (error) {
+    console.error("Error fetching failed dispatches:", error);
+    return next(createError(500, "Error fetching failed dispatches: " + error.message));
+  }
+};
+
+// Admin: every offer made for an order, oldest first
+export const getDispatchAttempts = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return next(createError(400, "Invalid order ID"));
+    }
+
+    const order = await Order.findById(orderId).select('status deliveryAgent dispatch');
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    const attempts = await DispatchAttempt.find({ order: orderId })
+      .sort({ createdAt: 1 })
+      .populate({
+        path: 'agent',
+        select: 'user vehicleType',
+        populate: { path: 'user', select: 'username' }
+      });
+
+    return res.status(200).json({
+      success: true,
+      dispatch: order.dispatch,
+      count: attempts.length,
+      attempts
+    });
+  } catch (error) {
+    console.error("Error fetching dispatch attempts:", error);
+    return next(createError(500, "Error fetching dispatch attempts: " + error.message));
+  }
+};
+
+// Admin: start a new dispatch round right away
+export const retryDispatch = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return next(createError(400, "Invalid order ID"));
+    }
+
+    const started = await startDispatch(orderId);
+    if (!started) {
+      return next(createError(409, "Order is not waiting for a delivery agent or is already being dispatched"));
+    }
+
+    const order = await Order.findById(orderId).select('status dispatch');
+
+    return res.status(200).json({
+      success: true,
+      message: "Dispatch restarted",
+      dispatch: order.dispatch
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error retrying dispatch:", error);
+    return next(createError(500, "Error retrying dispatch: " + error.message));
+  }
+};
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import AgentPayout from "../models/agentPayout.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import { toCsv } from "../utils/csv.js";
+import createError from "../utils/error.js";
+import {
+  EARNING_RATES,
+  listEarnings,
+  markPayoutPaid,
+  runPayouts,
+  summarizeEarnings,
+} from "../utils/earnings.js";
+
+// Reject from/to query values that are not dates
+const parseRange = ({ from, to }) => {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      throw createError(400, `${name} must be a valid date`);
+    }
+  }
+  return { from, to };
+};
+
+const STATEMENT_COLUMNS = [
+  { header: "Date", value: (earning) => earning.earnedAt },
+  { header: "Order", value: (earning) => earning.order },
+  { header: "Type", value: (earning) => earning.kind },
+  { header: "Distance (km)", value: (earning) => (earning.distanceMeters / 1000).toFixed(2) },
+  { header: "Base fee", value: (earning) => earning.baseFee },
+  { header: "Distance fee", value: (earning) => earning.distanceFee },
+  { header: "Tip", value: (earning) => earning.tip },
+  { header: "Peak incentive", value: (earning) => earning.incentive },
+  { header: "Total", value: (earning) => earning.total },
+  { header: "Payout status", value: (earning) => earning.payout?.status || "unpaid" },
+  { header: "Paid at", value: (earning) => earning.payout?.paidAt },
+];
+
+// Get the current agent's earnings with a daily or weekly breakdown
+export const getEarnings = async (req, res, next) => {
+  try {
+    const agent = await DeliveryAgent.findOne({ user: req.user.id });
+    if (!agent) {
+      return next(createError(404, "Delivery agent profile not found"));
+    }
+
+    const { period = "day" } = req.query;
+    const summary = await summarizeEarnings(agent._id, { period, ...parseRange(req.query) });
+    const payouts = await AgentPayout.find({ agent: agent._id }).sort({ createdAt: -1 }).limit(10);
+
+    return res.status(200).json({
+      success: true,
+      period,
+      rates: EARNING_RATES,
+      totals: summary.totals,
+      breakdown: summary.breakdown,
+      payouts
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error fetching earnings:", error);
+    return next(createError(500, "Error fetching earnings: " + error.message));
+  }
+};
+
+// Download the current agent's earnings as a CSV statement
+export const getEarningsStatement = async (req, res, next) => {
+  try {
+    const agent = await DeliveryAgent.findOne({ user: req.user.id });
+    if (!agent) {
+      return next(createError(404, "Delivery agent profile not found"));
+    }
+
+    const earnings = await listEarnings(agent._id, parseRange(req.query));
+    const filename = `earnings-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(toCsv(STATEMENT_COLUMNS, earnings));
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error exporting earnings statement:", error);
+    return next(createError(500, "Error exporting earnings statement: " + error.message));
+  }
+};
+
+// Admin: batch all unpaid earnings (up to `until`) into one payout per agent
+export const createPayoutRun = async (req, res, next) => {
+  try {
+    const until = req.body.until ? new Date(req.body.until) : new Date();
+    if (Number.isNaN(until.getTime())) {
+      return next(createError(400, "until must be a valid date"));
+    }
+
+    const payouts = await runPayouts({ until, adminId: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: payouts.length > 0
+        ? `Created ${payouts.length} payout(s)`
+        : "No unpaid earnings to pay out",
+      count: payouts.length,
+      payouts
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error running payouts:", error);
+    return next(createError(500, "Error running payouts: " + error.message));
+  }
+};
+
+// Admin: list payouts, optionally by status or agent
+export const getPayouts = async (req, res, next) => {
+  try {
+    const { status, agentId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (agentId) {
+      if (!mongoose.Types.ObjectId.isValid(agentId)) {
+        return next(createError(400, "Invalid agent ID"));
+      }
+      filter.agent = agentId;
+    }
+
+    const payouts = await AgentPayout.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .populate({
+        path: 'agent',
+        select: 'user',
+        populate: { path: 'user', select: 'username email' }
+      });
+
+    return res.status(200).json({
+      success: true,
+      count: payouts.length,
+      payouts
+    });
+  } catch (error) {
+    console.error("Error fetching payouts:", error);
+    return next(createError(500, "Error fetching payouts: " + error.message));
+  }
+};
+
+// Admin: record that a payout was transferred to the agent
+export const markPayoutAsPaid = async (req, res, next) => {
+  try {
+    const { payoutId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+      return next(createError(400, "Invalid payout ID"));
+    }
+
+    const payout = await markPayoutPaid(payoutId, req.body.reference);
+
+    return res.status(200).json({
+      success: true,
+      message: "Payout marked as paid",
+      payout
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error marking payout as paid:", error);
+    return next(createError(500, "Error marking payout as paid: " + error.message));
+  }
+};
@@ -1,30 +1,209 @@
 import Order from "../models/order.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
 import { User } from "../models/user.model.js";
-import { Post } from "../models/post.model.js";
 import createError from "../utils/error.js";
+import { withTransaction } from "../utils/db.js";
+import {
+  priceOrder,
+  findTotalMismatches,
+  toOrderItems,
+  toQuoteSummary,
+  getSellerIds,
+  buildLineItems,
+  withDeliveryFee
+} from "../utils/pricing.js";
+import { redeemPromo } from "../utils/promo.js";
+import { reserveStock } from "../utils/inventory.js";
+import { cancelOrderForUser, cancelItemsForUser } from "../utils/orderCancellation.js";
+import { emitToOrder } from "../socket/socket.js";
+import { chargeTipPayment, startOrderPayment } from "../utils/orderPayment.js";
+import { PREPAID_METHODS } from "../utils/payments.js";
+import { assertPaymentsAvailable } from "../utils/paymentProviders/index.js";
+import { debitWalletForOrder } from "../utils/wallet.js";
+import { assertCanTip, parseTip, payTipFromWallet } from "../utils/tips.js";
+import {
+  buildInvoiceViews,
+  getOrderInvoices,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} from "../utils/invoice.js";
+import { splitQuoteBySeller, getSellerPickupLocations, saveOrder } from "../utils/orderSplit.js";
+import { afterOrderCommit } from "../utils/orderEvents.js";
+import { addOrderToBatch, refreshBatch } from "../utils/batching.js";
+import { buildOrderTrack, endTrack, toPoint } from "../utils/deliveryTrack.js";
+import { clearGeofences } from "../utils/geofence.js";
+import { assertServiceable, assertMinimumOrder, checkServiceability, toZoneSummary } from "../utils/deliveryZones.js";
+import { createDeliveryQuote, resolveDeliveryFee } from "../utils/deliveryFees.js";
+import { formatSavedAddress, getSavedAddress } from "../utils/addressBook.js";
+import { TRACK_RETENTION_DAYS } from "../models/deliveryTrack.model.js";
+import {
+  parseDeliverySlot,
+  getDispatchTime,
+  bookDeliverySlot
+} from "../utils/scheduling.js";
+import {
+  ORDER_ROLES,
+  resolveOrderRoles,
+  transitionOrder,
+  recordStatusHistory,
+  buildStatusTimeline
+} from "../utils/orderStatus.js";
+
+/**
+ * Persist a priced order. Carts with dishes from several sellers become a
+ * parent order (what the customer sees and pays) plus one child order per
+ * seller with its own pickup point, status and agent. Stock, slot places
+ * and the promo redemption are taken in the same transaction. Prepaid
+ * orders get a provider payment the client confirms next.
+ * @param {Object} params
+ * @param {string} params.userId - Customer
+ * @param {Object} params.quote - Output of priceOrder
+ * @param {Object} params.details - Address, locations, delivery/payment method, contact
+ * @param {Object} [params.deliverySlot] - { start, end } for scheduled orders
+ * @param {string} params.historyNote - Note of the first statusHistory entry
+ * @returns {Promise<Object>} { order, childOrders, payment }
+ */
+const placeOrder = async ({ userId, quote, details, deliverySlot = null, historyNote }) => {
+  // Card orders are refused up front when no payment provider can charge them
+  if (PREPAID_METHODS.includes(details.paymentMethod)) {
+    assertPaymentsAvailable();
+  }
+
+  const sellers = getSellerIds(quote.items);
+  const sellerParts = splitQuoteBySeller(quote);
+  const isSplit = sellerParts.length > 1;
+
+  // Agents collect from where the seller said they are, never from a point
+  // the client sent; without a stored location the pickup stays unset
+  const pickupBySeller = await getSellerPickupLocations(sellers);
+
+  // Create initial status history entry
+  const initialHistory = () => [{
+    status: 'processing',
+    timestamp: new Date(),
+    actor: userId,
+    actorRole: ORDER_ROLES.CUSTOMER,
+    note: historyNote
+  }];
+
+  const sharedFields = {
+    user: userId,
+    ...details,
+    ...(deliverySlot && {
+      deliverySlot,
+      dispatchAt: getDispatchTime(deliverySlot)
+    }),
+    status: 'processing',
+    // Wallet orders are paid at checkout; prepaid orders once the payment provider confirms
+    paymentStatus: details.paymentMethod === 'wallet' ? 'paid' : 'pending'
+  };
+
+  // Create the order with a default status of 'processing'
+  const newOrder = new Order({
+    ...sharedFields,
+    orderType: isSplit ? 'parent' : 'single',
+    ...(!isSplit && { pickupLocation: pickupBySeller.get(sellers[0]?.toString()) }),
+    items: toOrderItems(quote.items),
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    deliveryFee: quote.deliveryFee,
+    deliveryFeeDetails: quote.deliveryFeeDetails,
+    deliveryQuote: quote.deliveryFeeDetails?.quote,
+    discount: quote.discount,
+    tip: quote.tip,
+    total: quote.total,
+    promoCodeApplied: quote.promo?.code,
+    promoCode: quote.promo?._id,
+    sellers,
+    statusHistory: initialHistory()
+  });
+
+  let childOrders = [];
+  if (isSplit) {
+    childOrders = sellerParts.map((part) => new Order({
+      ...sharedFields,
+      orderType: 'child',
+      parentOrder: newOrder._id,
+      seller: part.sellerId,
+      sellers: [part.sellerId],
+      items: toOrderItems(part.items),
+      pickupLocation: pickupBySeller.get(part.sellerId),
+      subtotal: part.subtotal,
+      tax: part.tax,
+      deliveryFee: part.deliveryFee,
+      discount: part.discount,
+      tip: part.tip,
+      total: part.total,
+      statusHistory: initialHistory()
+    }));
+    newOrder.childOrders = childOrders.map((child) => child._id);
+  }
+
+  await withTransaction(async (session) => {
+    await reserveStock(quote.items, session);
+    if (deliverySlot) {
+      await bookDeliverySlot({ sellerIds: sellers, slot: deliverySlot, session });
+    }
+    await saveOrder(newOrder, { session });
+    for (const child of childOrders) {
+      await saveOrder(child, { session });
+    }
+    if (quote.promo) {
+      await redeemPromo({
+        promo: quote.promo,
+        userId,
+        orderId: newOrder._id,
+        discount: quote.discount,
+        session
+      });
+    }
+    if (details.paymentMethod === 'wallet') {
+      await debitWalletForOrder(newOrder, session);
+    }
+  });
+
+  for (const placed of [newOrder, ...childOrders]) {
+    await afterOrderCommit(placed);
+  }
+
+  const payment = await startOrderPayment(newOrder);
+
+  return { order: newOrder, childOrders, payment };
+};
 
 // Create a new order
 export const createOrder = async (req, res, next) => {
   try {
-    console.log("Order creation request received:", req.body);
-    
     const {
       items,
-      deliveryAddress,
-      deliveryMethod,
+      deliveryMethod = "standard",
       paymentMethod,
       deliveryInstructions,
-      contactNumber,
       subtotal,
       tax,
       deliveryFee,
       discount,
       total,
       promoCodeApplied,
-      pickupCoordinates, // [longitude, latitude]
+      tip, // optional tip for the delivery agent
+      scheduledFor, // optional start of a future delivery slot
+      deliveryQuoteId, // optional quote from POST /delivery-quote
+      addressId // optional address from the user's address book
+    } = req.body;
+    let {
+      deliveryAddress,
+      contactNumber,
       deliveryCoordinates // [longitude, latitude]
     } = req.body;
 
+    // A saved address fills in where to deliver and whom to call
+    if (addressId) {
+      const savedAddress = await getSavedAddress(req.user.id, addressId);
+      deliveryAddress = formatSavedAddress(savedAddress);
+      deliveryCoordinates = savedAddress.location.coordinates;
+      contactNumber = savedAddress.contactNumber || contactNumber;
+    }
+
     // Validate required fields
     if (!items || items.length === 0) {
       return next(createError(400, "Order must contain items"));
@@ -37,105 +216,183 @@ export const createOrder = async (req, res, next) => {
     if (!contactNumber) {
       return next(createError(400, "Contact number is required"));
     }
-    
-    // Validate items array
-    for (const item of items) {
-      if (!item.productId) {
-        return next(createError(400, "Each item must have a product ID"));
-      }
-      
-      if (!item.quantity || item.quantity <= 0) {
-        return next(createError(400, "Each item must have a valid quantity"));
-      }
-      
-      // Verify product exists but allow any quantity
+
+    // Validate the delivery slot for scheduled orders
+    let deliverySlot = null;
+    if (scheduledFor) {
       try {
-        const product = await Post.findById(item.productId);
-        if (!product) {
-          return next(createError(404, `Product not found: ${item.productId}`));
-        }
-        
-        // Always allow ordering any quantity, regardless of available stock
-        // Removed the stock quantity check that was here
+        deliverySlot = parseDeliverySlot(scheduledFor);
       } catch (err) {
-        console.error("Error checking product:", err);
-        return next(createError(500, "Error validating product availability"));
+        return next(err);
       }
     }
 
-    // Prepare pickup and delivery locations
-    const pickupLocation = {
-      type: "Point",
-      coordinates: pickupCoordinates || [0, 0] // Default to [0,0] if not provided
-    };
-    
-    const deliveryLocation = {
-      type: "Point",
-      coordinates: deliveryCoordinates || [0, 0] // Default to [0,0] if not provided
-    };
-    
-    // Create initial status history entry
-    const statusHistory = [{
-      status: 'processing',
-      timestamp: new Date(),
-      note: 'Order received'
-    }];
-
-    // Create the order with a default status of 'processing'
-    const newOrder = new Order({
-      user: req.user.id,
-      items,
-      deliveryAddress,
-      pickupLocation,
-      deliveryLocation,
+    // Deliveries need a point inside an active delivery zone that is open at delivery time
+    let deliveryLocation = { type: "Point", coordinates: [0, 0] };
+    let zone = null;
+    if (deliveryMethod !== 'pickup') {
+      deliveryLocation = Array.isArray(deliveryCoordinates)
+        ? toPoint({ coordinates: deliveryCoordinates })
+        : null;
+      if (!deliveryLocation) {
+        return next(createError(400, "deliveryCoordinates must be [longitude, latitude]"));
+      }
+      zone = await assertServiceable(deliveryLocation, { at: deliverySlot?.start });
+    }
+
+    // Rebuild the order from the Post documents - client amounts are never trusted
+    let quote;
+    try {
+      quote = await priceOrder({
+        items,
+        deliveryMethod,
+        promoCode: promoCodeApplied,
+        userId: req.user.id,
+        tip: parseTip(tip),
+        zone
+      });
+    } catch (err) {
+      if (err.statusCode) return next(err);
+      console.error("Error pricing order:", err);
+      return next(createError(500, "Error validating product availability"));
+    }
+
+    // Fee from distance and surge; a delivery quote the customer was shown is honoured while valid
+    quote = withDeliveryFee(quote, await resolveDeliveryFee({
+      userId: req.user.id,
+      quoteId: deliveryQuoteId,
       deliveryMethod,
-      deliveryInstructions,
-      contactNumber,
-      subtotal,
-      tax,
-      deliveryFee,
-      discount,
-      total,
-      promoCodeApplied,
-      status: 'processing',
-      paymentMethod,
-      paymentStatus: paymentMethod === 'cash' ? 'pending' : 'paid',
-      statusHistory
-    });
+      zone,
+      deliveryLocation,
+      sellers: getSellerIds(quote.items)
+    }));
 
-    // Save the order
-    const savedOrder = await newOrder.save();
-    console.log("Order saved successfully:", savedOrder._id);
+    // Refuse the order if the client was shown different amounts
+    const mismatches = findTotalMismatches(quote, { subtotal, tax, deliveryFee, discount, total });
+    if (mismatches.length > 0) {
+      return next(createError(400, "Order totals do not match current prices", {
+        mismatches,
+        quote: toQuoteSummary(quote)
+      }));
+    }
 
-    // Update product stock/inventory but don't enforce quantity limits
-    for (const item of items) {
-      // Get current product
-      const product = await Post.findById(item.productId);
-      
-      // Update the quantity, ensuring it doesn't go below 1
-      // This ensures the product always stays in stock
-      let newQuantity = product.quantity - item.quantity;
-      if (newQuantity < 1) newQuantity = 1;
-      
-      // Update available quantity in post
-      await Post.findByIdAndUpdate(
-        item.productId,
-        { quantity: newQuantity },
-        { new: true }
-      );
+    if (zone) {
+      assertMinimumOrder(zone, quote.subtotal);
     }
 
+    const { order: savedOrder, childOrders, payment } = await placeOrder({
+      userId: req.user.id,
+      quote,
+      deliverySlot,
+      historyNote: 'Order received',
+      details: {
+        deliveryAddress,
+        deliveryLocation,
+        deliveryZone: zone?._id,
+        deliveryMethod,
+        deliveryInstructions,
+        contactNumber,
+        paymentMethod
+      }
+    });
+    console.log("Order saved successfully:", savedOrder._id);
+
     return res.status(201).json({
       success: true,
       message: "Order placed successfully",
-      order: savedOrder
+      order: savedOrder,
+      ...(childOrders.length > 0 && { childOrders }),
+      ...(payment && { payment })
     });
   } catch (error) {
+    if (error.statusCode) return next(error);
     console.error("Error creating order:", error);
     return next(createError(500, "Error creating order: " + error.message));
   }
 };
 
+// Check whether we deliver to a point, e.g. before the customer checks out
+export const checkOrderServiceability = async (req, res, next) => {
+  try {
+    const location = toPoint({ lng: req.query.lng, lat: req.query.lat });
+    if (!location) {
+      return next(createError(400, "lng and lat must be a valid position"));
+    }
+
+    let subtotal;
+    if (req.query.subtotal !== undefined) {
+      subtotal = Number(req.query.subtotal);
+      if (!Number.isFinite(subtotal) || subtotal < 0) {
+        return next(createError(400, "subtotal must be a non-negative number"));
+      }
+    }
+
+    let at;
+    if (req.query.scheduledFor) {
+      at = new Date(req.query.scheduledFor);
+      if (Number.isNaN(at.getTime())) {
+        return next(createError(400, "scheduledFor must be a valid date"));
+      }
+    }
+
+    const { serviceable, zone, reason } = await checkServiceability(location, { at, subtotal });
+
+    return res.status(200).json({
+      success: true,
+      serviceable,
+      ...(reason && { reason }),
+      zone: zone ? toZoneSummary(zone) : null
+    });
+  } catch (error) {
+    console.error("Error checking serviceability:", error);
+    return next(createError(500, "Error checking serviceability"));
+  }
+};
+
+// Quote the delivery fee of a cart; the quote is honoured at checkout until it expires
+export const getDeliveryQuote = async (req, res, next) => {
+  try {
+    const { items, deliveryMethod = "standard", deliveryCoordinates, scheduledFor } = req.body;
+
+    if (!["standard", "express"].includes(deliveryMethod)) {
+      return next(createError(400, "Delivery quotes are for standard or express delivery"));
+    }
+
+    const deliveryLocation = Array.isArray(deliveryCoordinates)
+      ? toPoint({ coordinates: deliveryCoordinates })
+      : null;
+    if (!deliveryLocation) {
+      return next(createError(400, "deliveryCoordinates must be [longitude, latitude]"));
+    }
+
+    const deliverySlot = scheduledFor ? parseDeliverySlot(scheduledFor) : null;
+    const zone = await assertServiceable(deliveryLocation, { at: deliverySlot?.start });
+    const lineItems = await buildLineItems(items);
+
+    const quote = await createDeliveryQuote({
+      userId: req.user.id,
+      zone,
+      deliveryMethod,
+      deliveryLocation,
+      sellers: getSellerIds(lineItems)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Delivery fee quoted",
+      deliveryQuoteId: quote._id,
+      expiresAt: quote.expiresAt,
+      deliveryFee: quote.breakdown.deliveryFee,
+      breakdown: quote.breakdown,
+      zone: toZoneSummary(zone)
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error quoting delivery fee:", error);
+    return next(createError(500, "Error quoting delivery fee"));
+  }
+};
+
 // Get orders for current user
 export const getUserOrders = async (req, res, next) => {
   try {
@@ -147,8 +404,8 @@ export const getUserOrders = async (req, res, next) => {
       return next(createError(401, "Authentication required"));
     }
     
-    // Find orders for this specific user only
-    const orders = await Order.find({ user: req.user.id })
+    // Find orders for this specific user only; split orders are shown once via their parent
+    const orders = await Order.find({ user: req.user.id, orderType: { $ne: 'child' } })
       .sort({ createdAt: -1 }) // Sort by newest first
       .populate({ 
         path: 'items.productId',
@@ -188,6 +445,7 @@ export const getUserOrders = async (req, res, next) => {
         promoCodeApplied: order.promoCodeApplied,
         status: order.status,
         paymentStatus: order.paymentStatus,
+        deliverySlot: order.deliverySlot?.start ? order.deliverySlot : null,
         createdAt: order.createdAt,
         updatedAt: order.updatedAt
       };
@@ -213,6 +471,7 @@ export const getOrderById = async (req, res, next) => {
 
     // Make sure order exists and belongs to current user
     const order = await Order.findById(orderId)
+      .select('+deliveryOtp.code')
       .populate({
         path: 'items.productId',
         select: 'caption image price category vegetarian'
@@ -231,10 +490,15 @@ export const getOrderById = async (req, res, next) => {
     }
 
     // Check if the order belongs to the user or if user is admin
-    if (order.user.toString() !== req.user.id && !req.user.isAdmin) {
+    if (order.user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
       return next(createError(403, "You are not authorized to access this order"));
     }
 
+    // Only the customer sees the code they give the agent at the door
+    const isOwner = order.user.toString() === req.user.id.toString();
+    const deliveryOtpFor = (target) =>
+      isOwner && target.status === 'out_for_delivery' ? target.deliveryOtp?.code || null : null;
+
     // Format order items with product details
     const formattedItems = order.items.map(item => {
       const product = item.productId;
@@ -260,6 +524,39 @@ export const getOrderById = async (req, res, next) => {
       };
     }
 
+    // Per-seller parts of a split order
+    let childOrders = [];
+    if (order.orderType === 'parent') {
+      const children = await Order.find({ parentOrder: order._id })
+        .select('+deliveryOtp.code')
+        .populate('seller', 'username profilePicture')
+        .populate({
+          path: 'deliveryAgent',
+          select: 'vehicleType vehicleNumber currentLocation',
+          populate: { path: 'user', select: 'username avatar' }
+        });
+
+      childOrders = children.map(child => ({
+        _id: child._id,
+        seller: child.seller,
+        items: child.items,
+        status: child.status,
+        pickupLocation: child.pickupLocation,
+        total: child.total,
+        estimatedDeliveryTime: child.estimatedDeliveryTime,
+        actualDeliveryTime: child.actualDeliveryTime,
+        deliveryOtp: deliveryOtpFor(child),
+        proofOfDelivery: child.proofOfDelivery?.method ? child.proofOfDelivery : null,
+        deliveryAgent: child.deliveryAgent ? {
+          id: child.deliveryAgent._id,
+          name: child.deliveryAgent.user?.username || 'Delivery Agent',
+          vehicleType: child.deliveryAgent.vehicleType,
+          vehicleNumber: child.deliveryAgent.vehicleNumber,
+          currentLocation: child.deliveryAgent.currentLocation
+        } : null
+      }));
+    }
+
     // Get the latest status history entry
     const latestStatus = order.statusHistory && order.statusHistory.length > 0
       ? order.statusHistory[order.statusHistory.length - 1]
@@ -285,11 +582,17 @@ export const getOrderById = async (req, res, next) => {
       updatedAt: order.updatedAt,
       deliveryLocation: order.deliveryLocation,
       pickupLocation: order.pickupLocation,
+      deliverySlot: order.deliverySlot?.start ? order.deliverySlot : null,
       estimatedDeliveryTime: order.estimatedDeliveryTime,
       actualDeliveryTime: order.actualDeliveryTime,
+      deliveryOtp: deliveryOtpFor(order),
+      proofOfDelivery: order.proofOfDelivery?.method ? order.proofOfDelivery : null,
       deliveryAgent: deliveryAgentInfo,
       statusHistory: order.statusHistory || [],
-      latestStatus: latestStatus
+      latestStatus: latestStatus,
+      orderType: order.orderType,
+      parentOrder: order.parentOrder,
+      childOrders
     };
 
     return res.status(200).json({
@@ -315,38 +618,185 @@ export const cancelOrder = async (req, res, next) => {
       return next(createError(404, "Order not found"));
     }
 
-    // Check if the order belongs to the user
-    if (order.user.toString() !== req.user.id) {
-      return next(createError(403, "You are not authorized to cancel this order"));
+    const cancelledOrder = await cancelOrderForUser(
+      order,
+      req.user,
+      req.body?.reason || 'Order cancelled'
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Order cancelled successfully",
+      order: cancelledOrder
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error cancelling order:", error);
+    return next(createError(500, "Error cancelling order"));
+  }
+};
+
+// Cancel some items of an order or lower their quantities
+export const cancelOrderItems = async (req, res, next) => {
+  try {
+    const { items, reason } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return next(createError(404, "Order not found"));
     }
 
-    // Check if the order is in a cancellable state
-    if (['delivered', 'cancelled'].includes(order.status)) {
-      return next(createError(400, `Can't cancel an order that is already ${order.status}`));
+    const result = await cancelItemsForUser(order, req.user, { items, reason });
+
+    emitToOrder(result.order, "orderItemsCancelled", {
+      status: result.order.status,
+      items: result.removed,
+      total: result.order.total,
+      paymentStatus: result.order.paymentStatus,
+      timestamp: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: result.order.status === "cancelled"
+        ? "All items cancelled, order cancelled"
+        : "Items cancelled successfully",
+      order: result.order,
+      cancelledItems: result.removed,
+      refund: result.refund
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error cancelling order items:", error);
+    return next(createError(500, "Error cancelling order items"));
+  }
+};
+
+// Get the invoice of a delivered order as PDF (default) or HTML (?format=html)
+export const getOrderInvoice = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'html'].includes(format)) {
+      return next(createError(400, "format must be pdf or html"));
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    // Check if the order belongs to the user or if user is admin
+    if (order.user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+      return next(createError(403, "You are not authorized to access this order"));
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    await order.save();
+    const parent = order.parentOrder ? await Order.findById(order.parentOrder) : order;
+    const views = await buildInvoiceViews(await getOrderInvoices(order), parent);
+    const filename = views.map((view) => view.invoiceNumber).join("_");
 
-    // Restore product inventory
-    for (const item of order.items) {
-      // Update post quantity (add back to inventory)
-      await Post.findByIdAndUpdate(
-        item.productId,
-        { $inc: { quantity: item.quantity } },
-        { new: true }
-      );
+    if (format === 'html') {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(renderInvoiceHtml(views));
     }
 
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${filename}.pdf"`);
+    return res.status(200).send(renderInvoicePdf(views));
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error generating invoice:", error);
+    return next(createError(500, "Error generating invoice"));
+  }
+};
+
+// Replay the route the delivery agent actually drove, e.g. to settle a dispute
+export const getOrderTrack = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    // The customer, an admin or the agent who delivered it
+    const isAgent = order.deliveryAgent &&
+      await DeliveryAgent.exists({ _id: order.deliveryAgent, user: req.user.id });
+    if (order.user.toString() !== req.user.id.toString() && !req.user.isAdmin && !isAgent) {
+      return next(createError(403, "You are not authorized to access this order"));
+    }
+
+    // Each seller order of a split order was driven separately
+    const delivered = order.orderType === 'parent'
+      ? await Order.find({ parentOrder: order._id })
+      : [order];
+    const tracks = await Promise.all(delivered.map(buildOrderTrack));
+
     return res.status(200).json({
       success: true,
-      message: "Order cancelled successfully",
-      order
+      orderId: order._id,
+      retentionDays: TRACK_RETENTION_DAYS,
+      totalDistanceMeters: tracks.reduce((sum, track) => sum + track.distanceMeters, 0),
+      tracks
     });
   } catch (error) {
-    console.error("Error cancelling order:", error);
-    return next(createError(500, "Error cancelling order"));
+    if (error.statusCode) return next(error);
+    console.error("Error fetching delivery track:", error);
+    return next(createError(500, "Error fetching delivery track"));
+  }
+};
+
+// Tip the delivery agent after delivery, paid the way the order was (wallet or card)
+export const tipOrder = async (req, res, next) => {
+  try {
+    const { amount, paymentMethod } = req.body;
+
+    const tip = parseTip(amount);
+    if (tip === 0) {
+      return next(createError(400, "amount is required"));
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+    assertCanTip(order, req.user.id);
+
+    if (order.paymentMethod === 'wallet') {
+      const tipped = await payTipFromWallet(order, tip);
+      return res.status(200).json({
+        success: true,
+        message: "Thank you! Your tip was sent to the delivery agent",
+        tip: tipped.postDeliveryTip
+      });
+    }
+
+    // Card and cash orders tip by card
+    if (!paymentMethod) {
+      return next(createError(400, "paymentMethod is required to pay the tip"));
+    }
+    const payment = await chargeTipPayment(order, tip, paymentMethod);
+    const updatedOrder = await Order.findById(order._id);
+
+    const messages = {
+      succeeded: "Thank you! Your tip was sent to the delivery agent",
+      processing: "Your tip is being processed",
+      failed: "Tip payment failed"
+    };
+
+    return res.status(200).json({
+      success: payment.status !== 'failed',
+      message: messages[payment.status] || `Tip payment ${payment.status}`,
+      tip: updatedOrder.postDeliveryTip,
+      payment: {
+        id: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        failureReason: payment.failureReason
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error adding tip:", error);
+    return next(createError(500, "Error adding tip"));
   }
 };
 
@@ -363,47 +813,68 @@ export const reorder = async (req, res, next) => {
     }
 
     // Check if the order belongs to the user
-    if (originalOrder.user.toString() !== req.user.id) {
+    if (originalOrder.user.toString() !== req.user.id.toString()) {
       return next(createError(403, "You are not authorized to reorder this order"));
     }
 
-    // Create a new order with the same details
-    const newOrder = new Order({
-      user: req.user.id,
-      items: originalOrder.items,
-      deliveryAddress: originalOrder.deliveryAddress,
-      deliveryMethod: originalOrder.deliveryMethod,
-      paymentMethod: originalOrder.paymentMethod,
-      deliveryInstructions: originalOrder.deliveryInstructions,
-      contactNumber: originalOrder.contactNumber,
-      subtotal: originalOrder.subtotal,
-      tax: originalOrder.tax,
-      deliveryFee: originalOrder.deliveryFee,
-      discount: 0, // No discount for reorders
-      total: originalOrder.subtotal + originalOrder.tax + originalOrder.deliveryFee, // Recalculate total without discount
-      status: 'processing',
-      paymentStatus: originalOrder.paymentMethod === 'cash' ? 'pending' : 'paid'
-    });
+    // Zones change over time, so the old address has to be served today
+    const zone = originalOrder.deliveryMethod === 'pickup'
+      ? null
+      : await assertServiceable(originalOrder.deliveryLocation);
+
+    // Reprice the items at today's prices; the original promo is not reused
+    let quote;
+    try {
+      quote = await priceOrder({
+        items: originalOrder.items,
+        deliveryMethod: originalOrder.deliveryMethod,
+        promoCode: req.body?.promoCodeApplied,
+        userId: req.user.id,
+        tip: parseTip(req.body?.tip),
+        zone
+      });
+    } catch (err) {
+      if (err.statusCode) return next(err);
+      throw err;
+    }
 
-    // Save the new order
-    const savedOrder = await newOrder.save();
+    quote = withDeliveryFee(quote, await resolveDeliveryFee({
+      userId: req.user.id,
+      deliveryMethod: originalOrder.deliveryMethod,
+      zone,
+      deliveryLocation: originalOrder.deliveryLocation,
+      sellers: getSellerIds(quote.items)
+    }));
 
-    // Update product stock/inventory
-    for (const item of originalOrder.items) {
-      // Update available quantity in post
-      await Post.findByIdAndUpdate(
-        item.productId,
-        { $inc: { quantity: -item.quantity } },
-        { new: true }
-      );
+    if (zone) {
+      assertMinimumOrder(zone, quote.subtotal);
     }
 
+    // Create a new order with the same details
+    const { order: savedOrder, childOrders, payment } = await placeOrder({
+      userId: req.user.id,
+      quote,
+      historyNote: `Reordered from order ${originalOrder._id}`,
+      details: {
+        deliveryAddress: originalOrder.deliveryAddress,
+        deliveryLocation: originalOrder.deliveryLocation,
+        deliveryZone: zone?._id,
+        deliveryMethod: originalOrder.deliveryMethod,
+        paymentMethod: originalOrder.paymentMethod,
+        deliveryInstructions: originalOrder.deliveryInstructions,
+        contactNumber: originalOrder.contactNumber
+      }
+    });
+
     return res.status(201).json({
       success: true,
       message: "Order reordered successfully",
-      order: savedOrder
+      order: savedOrder,
+      ...(childOrders.length > 0 && { childOrders }),
+      ...(payment && { payment })
     });
   } catch (error) {
+    if (error.statusCode) return next(error);
     console.error("Error reordering:", error);
     return next(createError(500, "Error reordering"));
   }
@@ -496,63 +967,45 @@ export const getAllOrders = async (req, res, next) => {
   }
 };
 
-// Admin: Update order status
+// Update order status (admin, seller, assigned agent or customer, per the transition table)
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, note } = req.body;
     
-    // Validate status value
-    const validStatuses = ['processing', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return next(createError(400, "Invalid status value"));
-    }
-    
     // Find the order
-    const order = await Order.findById(id);
+    let order = await Order.findById(id);
     if (!order) {
       return next(createError(404, "Order not found"));
     }
-    
-    // Update status
-    const oldStatus = order.status;
-    order.status = status;
-    
-    // Add status change to history
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: note || `Status changed from ${oldStatus} to ${status}`
-    });
-    
-    // Additional processing based on status
-    switch (status) {
-      case 'confirmed':
-        // Notify customer that order is confirmed
-        break;
-      case 'preparing':
-        // Notify customer that order is being prepared
-        break;
-      case 'out_for_delivery':
-        // If no delivery agent assigned yet, this is just a status change
-        // Agent assignment is handled in the assignOrderAgent function
-        break;
-      case 'delivered':
-        order.actualDeliveryTime = new Date();
-        break;
-      case 'cancelled':
-        // Handle refund process if needed
-        if (order.paymentStatus === 'paid') {
-          order.paymentStatus = 'refunded';
-        }
-        break;
-      default:
-        // No additional processing needed
-        break;
+
+    // Deliveries are completed by the agent with a proof of delivery
+    if (status === 'delivered') {
+      return next(createError(409, "Orders are delivered through the agent's complete-delivery endpoint", {
+        endpoint: `/api/v1/delivery/complete/${order._id}`
+      }));
+    }
+
+    if (status === 'cancelled') {
+      order = await cancelOrderForUser(order, req.user, note || 'Order cancelled');
+    } else {
+      // A split order follows its child orders; update those instead
+      if (order.orderType === 'parent') {
+        return next(createError(409, "The status of a split order is derived from its seller orders", {
+          childOrders: order.childOrders
+        }));
+      }
+
+      const roles = await resolveOrderRoles(order, req.user);
+      if (roles.length === 0) {
+        return next(createError(403, "You are not authorized to update this order"));
+      }
+
+      // Validates the move against the transition table (409 on illegal moves)
+      transitionOrder(order, status, { roles, actorId: req.user.id, note });
+      await saveOrder(order);
+      await afterOrderCommit(order);
     }
-    
-    // Save the updated order
-    await order.save();
     
     // Notify user about order status change via socket
     const io = req.app.get('io');
@@ -570,6 +1023,7 @@ export const updateOrderStatus = async (req, res, next) => {
       order
     });
   } catch (error) {
+    if (error.statusCode) return next(error);
     console.error("Error updating order status:", error);
     return next(createError(500, "Error updating order status: " + error.message));
   }
@@ -579,7 +1033,11 @@ export const updateOrderStatus = async (req, res, next) => {
 export const getOrderStats = async (req, res, next) => {
   try {
     // Get total count by status
+    // Seller parts of split orders would count the same money twice
+    const notChild = { orderType: { $ne: 'child' } };
+
     const statusCounts = await Order.aggregate([
+      { $match: notChild },
       { 
         $group: { 
           _id: "$status", 
@@ -592,6 +1050,7 @@ export const getOrderStats = async (req, res, next) => {
     
     // Get total count by payment status
     const paymentStatusCounts = await Order.aggregate([
+      { $match: notChild },
       { 
         $group: { 
           _id: "$paymentStatus", 
@@ -609,6 +1068,7 @@ export const getOrderStats = async (req, res, next) => {
     const dailyOrders = await Order.aggregate([
       {
         $match: {
+          ...notChild,
           createdAt: { $gte: sevenDaysAgo }
         }
       },
@@ -634,8 +1094,9 @@ export const getOrderStats = async (req, res, next) => {
     }, {});
     
     // Calculate total orders and revenue
-    const totalOrders = await Order.countDocuments();
+    const totalOrders = await Order.countDocuments(notChild);
     const totalRevenue = await Order.aggregate([
+      { $match: notChild },
       { $group: { _id: null, total: { $sum: "$total" } } }
     ]);
     
@@ -656,7 +1117,7 @@ export const getOrderStats = async (req, res, next) => {
   }
 };
 
-// Admin: Get order status history
+// Get order status history (owner or admin)
 export const getOrderStatusHistory = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -667,50 +1128,28 @@ export const getOrderStatusHistory = async (req, res, next) => {
     }
     
     // Find the order
-    const order = await Order.findById(id);
+    const order = await Order.findById(id)
+      .populate('statusHistory.actor', 'username profilePicture');
     
     if (!order) {
       return next(createError(404, "Order not found"));
     }
-    
-    // For now, we'll create a mock status history since the model doesn't track it
-    // In a real application, you would have a separate collection for status history
-    
-    const mockStatusHistory = [
-      {
-        status: 'processing',
-        timestamp: new Date(order.createdAt),
-        notes: 'Order received'
-      }
-    ];
-    
-    // Add additional statuses based on order's current status
-    const statusFlow = ['processing', 'confirmed', 'preparing', 'out_for_delivery', 'delivered'];
-    const currentStatusIndex = statusFlow.indexOf(order.status);
-    
-    // If order is cancelled, add only the cancelled status
-    if (order.status === 'cancelled') {
-      mockStatusHistory.push({
-        status: 'cancelled',
-        timestamp: new Date(order.updatedAt),
-        notes: 'Order was cancelled'
-      });
-    } else {
-      // Add history entries for each status up to the current one
-      for (let i = 1; i <= currentStatusIndex; i++) {
-        const timeOffset = i * 30 * 60000; // 30 minutes between statuses
-        mockStatusHistory.push({
-          status: statusFlow[i],
-          timestamp: new Date(new Date(order.createdAt).getTime() + timeOffset),
-          notes: `Status updated to ${statusFlow[i]}`
-        });
-      }
+
+    // Customers can only see the history of their own orders
+    if (order.user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+      return next(createError(403, "You are not authorized to access this order"));
     }
+
+    const { timeline, stageDurations, totalDuration } = buildStatusTimeline(order);
     
     return res.status(200).json({
       success: true,
       message: "Status history fetched successfully",
-      statusHistory: mockStatusHistory
+      orderId: order._id,
+      currentStatus: order.status,
+      statusHistory: timeline,
+      stageDurations,
+      totalDuration
     });
   } catch (error) {
     console.error("Error fetching status history:", error);
@@ -740,33 +1179,70 @@ export const assignOrderAgent = async (req, res, next) => {
       return next(createError(404, "Order not found"));
     }
     
-    // In a real application, you would verify that the agent exists
-    // and is available for delivery
-    
-    // For now, we'll just create a mock agent object
-    const mockAgent = {
-      id: agentId,
-      name: agentId === 'agent1' ? 'John Doe' : 
-            agentId === 'agent2' ? 'Jane Smith' : 'Mike Johnson'
-    };
-    
-    // Update the order with the delivery agent info
-    const updatedOrder = await Order.findByIdAndUpdate(
-      id,
-      {
-        $set: {
-          deliveryAgent: mockAgent,
-          // Also update status to out_for_delivery if it's not already delivered or cancelled
-          status: (order.status !== 'delivered' && order.status !== 'cancelled') ? 'out_for_delivery' : order.status
-        }
-      },
-      { new: true }
-    )
-    .populate('user', 'username email profilePicture')
-    .populate({
-      path: 'items.productId',
-      select: 'caption image price category'
+    if (order.orderType === 'parent') {
+      return next(createError(409, "Assign agents to the seller orders of a split order", {
+        childOrders: order.childOrders
+      }));
+    }
+
+    const agent = await DeliveryAgent.findById(agentId).populate('user', 'username');
+    if (!agent) {
+      return next(createError(404, "Delivery agent not found"));
+    }
+
+    if (!agent.isVerified) {
+      return next(createError(400, "Delivery agent is not verified"));
+    }
+
+    const previousAgentId = order.deliveryAgent;
+    const agentName = agent.user?.username || 'Delivery Agent';
+
+    if (order.status === 'out_for_delivery') {
+      // Reassignment keeps the status and only swaps the agent
+      recordStatusHistory(order, {
+        actorId: req.user.id,
+        actorRole: ORDER_ROLES.ADMIN,
+        note: `Reassigned to delivery agent: ${agentName}`
+      });
+    } else {
+      // Validates the move against the transition table (409 on illegal moves)
+      transitionOrder(order, 'out_for_delivery', {
+        roles: [ORDER_ROLES.ADMIN],
+        actorId: req.user.id,
+        note: `Assigned to delivery agent: ${agentName}`
+      });
+    }
+
+    order.deliveryAgent = agent._id;
+    await saveOrder(order);
+    await afterOrderCommit(order);
+
+    // Move the order between the agents' active lists
+    if (previousAgentId && !previousAgentId.equals(agent._id)) {
+      await DeliveryAgent.findByIdAndUpdate(previousAgentId, {
+        $pull: { activeOrders: order._id }
+      });
+      // The new agent starts a fresh trail and fresh fence counts
+      endTrack(previousAgentId, order._id);
+      clearGeofences(order._id);
+    }
+    await DeliveryAgent.findByIdAndUpdate(agent._id, {
+      $addToSet: { activeOrders: order._id }
     });
+
+    // Move the order onto the new agent's trip and re-plan the old one
+    const previousBatch = order.batch;
+    await addOrderToBatch(order, agent);
+    if (previousBatch && !previousBatch.equals(order.batch)) {
+      await refreshBatch(previousBatch);
+    }
+
+    const updatedOrder = await Order.findById(id)
+      .populate('user', 'username email profilePicture')
+      .populate({
+        path: 'items.productId',
+        select: 'caption image price category'
+      });
     
     return res.status(200).json({
       success: true,
@@ -774,6 +1250,7 @@ export const assignOrderAgent = async (req, res, next) => {
       order: updatedOrder
     });
   } catch (error) {
+    if (error.statusCode) return next(error);
     console.error("Error assigning delivery agent:", error);
     return next(createError(500, "Error assigning delivery agent"));
   }
@@ -0,0 +1,95 @@
+import Order from "../models/order.model.js";
+import Payment from "../models/payment.model.js";
+import createError from "../utils/error.js";
+import { confirmOrderPayment, handlePaymentWebhook } from "../utils/orderPayment.js";
+
+// Load an order the current user placed (admins may see any order)
+const loadOwnOrder = async (req) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+  if (order.user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+    throw createError(403, "You are not authorized to access this order's payment");
+  }
+  return order;
+};
+
+// Payment details safe to send to the client
+const formatPayment = (payment) => ({
+  id: payment._id,
+  provider: payment.provider,
+  status: payment.status,
+  amount: payment.amount,
+  currency: payment.currency,
+  amountRefunded: payment.amountRefunded,
+  refunds: payment.refunds,
+  failureReason: payment.failureReason,
+  createdAt: payment.createdAt,
+  updatedAt: payment.updatedAt
+});
+
+// Confirm the payment of an order with the customer's payment method
+export const confirmPayment = async (req, res, next) => {
+  try {
+    const { paymentMethod } = req.body;
+    if (!paymentMethod) {
+      return next(createError(400, "paymentMethod is required"));
+    }
+
+    const order = await loadOwnOrder(req);
+    const payment = await confirmOrderPayment(order, paymentMethod);
+    const updatedOrder = await Order.findById(order._id);
+
+    const messages = {
+      succeeded: "Payment successful",
+      processing: "Payment is being processed",
+      failed: "Payment failed, the order was cancelled"
+    };
+
+    return res.status(200).json({
+      success: payment.status !== "failed",
+      message: messages[payment.status] || `Payment ${payment.status}`,
+      payment: formatPayment(payment),
+      order: updatedOrder
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error confirming payment:", error);
+    return next(createError(500, "Error confirming payment"));
+  }
+};
+
+// Get the payment of an order
+export const getOrderPayment = async (req, res, next) => {
+  try {
+    const order = await loadOwnOrder(req);
+
+    const payment = await Payment.findOne({ order: order._id, purpose: { $ne: "tip" } }).sort({ createdAt: -1 });
+    if (!payment) {
+      return next(createError(404, "This order has no payment"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      paymentStatus: order.paymentStatus,
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error fetching payment:", error);
+    return next(createError(500, "Error fetching payment"));
+  }
+};
+
+// Provider webhook (signed, no user session)
+export const paymentWebhook = async (req, res, next) => {
+  try {
+    const result = await handlePaymentWebhook(req.params.provider, req.rawBody, req.headers);
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error handling payment webhook:", error);
+    return next(createError(500, "Error handling payment webhook"));
+  }
+};
@@ -51,7 +51,7 @@ import streamifier from "streamifier";
 
 export const addNewPost = async (req, res) => {
   try {
-    const { caption, price, category, vegetarian, spicyLevel } = req.body;
+    const { caption, price, category, vegetarian, spicyLevel, quantity, unlimitedStock } = req.body;
     const file = req.file;
     const mediaType = file?.mimetype.split("/")[0]; // 'image' or 'video'
     const authorId = req.id;
@@ -107,8 +107,17 @@ export const addNewPost = async (req, res) => {
         .json({ message: "Unsupported media type", success: false });
     }
 
-    // Parse boolean flag
+    // Parse boolean flags
     const isVegetarian = vegetarian === "true" || vegetarian === true;
+    const isUnlimitedStock = unlimitedStock === "true" || unlimitedStock === true;
+
+    // Parse available stock (multipart bodies send numbers as strings)
+    const stockQuantity = quantity !== undefined ? parseInt(quantity, 10) : undefined;
+    if (stockQuantity !== undefined && (!Number.isInteger(stockQuantity) || stockQuantity < 0)) {
+      return res
+        .status(400)
+        .json({ message: "Quantity must be a non-negative whole number", success: false });
+    }
 
     // Save post to DB
     const post = await Post.create({
@@ -121,6 +130,8 @@ export const addNewPost = async (req, res) => {
       video: mediaType === "video" ? mediaUrl : undefined,
       vegetarian: isVegetarian,
       spicyLevel: spicyLevel || "none",
+      quantity: stockQuantity,
+      unlimitedStock: isUnlimitedStock,
       // Initialize rating with default values
       rating: {
         average: 0,
@@ -555,6 +566,72 @@ export const deletePost = async (req, res) => {
   }
 };
 
+export const updatePostStock = async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const authorId = req.id;
+    const { quantity, unlimitedStock } = req.body;
+
+    if (quantity === undefined && unlimitedStock === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide quantity and/or unlimitedStock"
+      });
+    }
+
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be a non-negative whole number"
+      });
+    }
+
+    if (unlimitedStock !== undefined && typeof unlimitedStock !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "unlimitedStock must be a boolean value"
+      });
+    }
+
+    const post = await Post.findById(postId);
+    if (!post) {
+      return res.status(404).json({ message: "Post Not Found", success: false });
+    }
+
+    // Only the seller who listed the dish can manage its stock
+    if (post.author.toString() !== authorId) {
+      return res.status(403).json({ message: "Unauthorised", success: false });
+    }
+
+    // Atomic update so concurrent order reservations are not overwritten
+    const update = {};
+    if (quantity !== undefined) update.quantity = quantity;
+    if (unlimitedStock !== undefined) update.unlimitedStock = unlimitedStock;
+
+    const updatedPost = await Post.findByIdAndUpdate(
+      postId,
+      { $set: update },
+      { new: true }
+    ).select("caption quantity unlimitedStock");
+
+    return res.status(200).json({
+      success: true,
+      message: "Stock updated",
+      stock: {
+        postId: updatedPost._id,
+        quantity: updatedPost.quantity,
+        unlimitedStock: updatedPost.unlimitedStock
+      }
+    });
+  } catch (error) {
+    console.error("Update stock error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while updating stock: " + error.message
+    });
+  }
+};
+
 export const bookMarkPost = async (req, res) => {
   try {
     const postId = req.params.id;
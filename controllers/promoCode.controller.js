@@ -0,0 +1,246 @@
+import PromoCode from "../models/promoCode.model.js";
+import PromoRedemption from "../models/promoRedemption.model.js";
+import createError from "../utils/error.js";
+import { normalizePromoCode } from "../utils/promo.js";
+import { priceOrder, toQuoteSummary } from "../utils/pricing.js";
+
+// Fields an admin may set on a promo code
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "minOrderValue",
+  "usageLimit",
+  "perUserLimit",
+  "validFrom",
+  "validUntil",
+  "categories",
+  "sellers",
+  "isActive",
+];
+
+// Check the promo fields that mongoose validation does not cover
+const validatePromoFields = (promo) => {
+  if (promo.discountType === "percentage" && promo.discountValue > 100) {
+    return "Percentage discounts cannot exceed 100";
+  }
+  if (promo.validFrom && promo.validUntil && new Date(promo.validUntil) <= new Date(promo.validFrom)) {
+    return "validUntil must be after validFrom";
+  }
+  return null;
+};
+
+// Public view of a promo code returned to customers
+const formatPromoForCustomer = (promo) => ({
+  code: promo.code,
+  description: promo.description,
+  discountType: promo.discountType,
+  discountValue: promo.discountValue,
+  maxDiscount: promo.maxDiscount,
+  minOrderValue: promo.minOrderValue,
+  validUntil: promo.validUntil,
+});
+
+// Admin: Create a promo code
+export const createPromoCode = async (req, res, next) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+
+    if (!code || !normalizePromoCode(code)) {
+      return next(createError(400, "Promo code is required"));
+    }
+
+    if (!["percentage", "flat"].includes(discountType)) {
+      return next(createError(400, "discountType must be 'percentage' or 'flat'"));
+    }
+
+    if (typeof discountValue !== "number" || discountValue <= 0) {
+      return next(createError(400, "discountValue must be a positive number"));
+    }
+
+    const fields = { code: normalizePromoCode(code) };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    const validationError = validatePromoFields(fields);
+    if (validationError) {
+      return next(createError(400, validationError));
+    }
+
+    const promo = await PromoCode.create({ ...fields, createdBy: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Promo code created successfully",
+      promoCode: promo
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(createError(409, "A promo code with this code already exists"));
+    }
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    console.error("Error creating promo code:", error);
+    return next(createError(500, "Error creating promo code: " + error.message));
+  }
+};
+
+// Admin: List promo codes
+export const getAllPromoCodes = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+    if (req.query.search && req.query.search.trim() !== "") {
+      filter.code = new RegExp(normalizePromoCode(req.query.search), "i");
+    }
+
+    const totalPromoCodes = await PromoCode.countDocuments(filter);
+    const promoCodes = await PromoCode.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo codes fetched successfully",
+      pagination: {
+        totalPromoCodes,
+        totalPages: Math.ceil(totalPromoCodes / limit),
+        currentPage: page,
+        limit
+      },
+      promoCodes
+    });
+  } catch (error) {
+    console.error("Error fetching promo codes:", error);
+    return next(createError(500, "Error fetching promo codes"));
+  }
+};
+
+// Admin: Get a promo code with its redemptions
+export const getPromoCodeById = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.promoId);
+    if (!promo) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    const redemptions = await PromoRedemption.find({ promoCode: promo._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate("user", "username email");
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code fetched successfully",
+      promoCode: promo,
+      redemptions
+    });
+  } catch (error) {
+    console.error("Error fetching promo code:", error);
+    return next(createError(500, "Error fetching promo code"));
+  }
+};
+
+// Admin: Update a promo code
+export const updatePromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.promoId);
+    if (!promo) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) promo[field] = req.body[field];
+    }
+
+    const validationError = validatePromoFields(promo);
+    if (validationError) {
+      return next(createError(400, validationError));
+    }
+
+    await promo.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code updated successfully",
+      promoCode: promo
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    console.error("Error updating promo code:", error);
+    return next(createError(500, "Error updating promo code: " + error.message));
+  }
+};
+
+// Admin: Delete a promo code. Codes that were already redeemed are only
+// deactivated so past orders keep a valid reference.
+export const deletePromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.promoId);
+    if (!promo) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    const hasRedemptions = await PromoRedemption.exists({ promoCode: promo._id });
+    if (hasRedemptions) {
+      promo.isActive = false;
+      await promo.save();
+      return res.status(200).json({
+        success: true,
+        message: "Promo code has redemptions and was deactivated instead of deleted",
+        promoCode: promo
+      });
+    }
+
+    await promo.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting promo code:", error);
+    return next(createError(500, "Error deleting promo code"));
+  }
+};
+
+// Preview a promo code against a cart without redeeming it
+export const validatePromoCode = async (req, res, next) => {
+  try {
+    const { code, items, deliveryMethod = "standard" } = req.body;
+
+    if (!code) {
+      return next(createError(400, "Promo code is required"));
+    }
+
+    const quote = await priceOrder({
+      items,
+      deliveryMethod,
+      promoCode: code,
+      userId: req.user.id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code applied",
+      promoCode: formatPromoForCustomer(quote.promo),
+      quote: toQuoteSummary(quote)
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error validating promo code:", error);
+    return next(createError(500, "Error validating promo code"));
+  }
+};
@@ -0,0 +1,308 @@
+import Order from "../models/order.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import { emitToOrder } from "../socket/socket.js";
+import createError from "../utils/error.js";
+import {
+  ORDER_ROLES,
+  getAllowedTransitions,
+  recordStatusHistory,
+  resolveOrderRoles,
+  transitionOrder
+} from "../utils/orderStatus.js";
+import { cancelOrderForUser } from "../utils/orderCancellation.js";
+import { afterOrderCommit } from "../utils/orderEvents.js";
+import { saveOrder } from "../utils/orderSplit.js";
+import { DEFAULT_PREP_MINUTES, refreshOrderEta } from "../utils/eta.js";
+
+// Load an order the current user sells items in; split parents are handled per seller
+const loadSellerOrder = async (req) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+
+  if (order.orderType === "parent") {
+    throw createError(409, "Manage the seller orders of a split order instead", {
+      childOrders: order.childOrders
+    });
+  }
+
+  const roles = await resolveOrderRoles(order, req.user);
+  if (!roles.includes(ORDER_ROLES.SELLER)) {
+    throw createError(403, "This order does not include any of your dishes");
+  }
+
+  return order;
+};
+
+// Set the seller's preparation estimate; the delivery estimate follows from it
+const applyPrepEstimate = (order, prepTimeMinutes) => {
+  order.preparationTimeMinutes = prepTimeMinutes;
+  order.estimatedReadyTime = new Date(Date.now() + prepTimeMinutes * 60 * 1000);
+};
+
+const parsePrepTime = (value) => {
+  if (value === undefined || value === null) return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 24 * 60) {
+    throw createError(400, "prepTimeMinutes must be a whole number of minutes between 1 and 1440");
+  }
+  return minutes;
+};
+
+// Seller view of an order: only the seller's own items
+const formatSellerOrder = (order, sellerPostIds, sellerId) => {
+  const ownsWholeOrder = order.sellers?.length === 1 && order.sellers[0].toString() === sellerId;
+  const items = ownsWholeOrder
+    ? order.items
+    : order.items.filter(item => sellerPostIds.has(item.productId.toString()));
+
+  return {
+    _id: order._id,
+    parentOrder: order.parentOrder,
+    customer: order.user,
+    items,
+    itemsTotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    status: order.status,
+    deliveryMethod: order.deliveryMethod,
+    deliveryInstructions: order.deliveryInstructions,
+    deliverySlot: order.deliverySlot?.start ? order.deliverySlot : null,
+    preparationTimeMinutes: order.preparationTimeMinutes,
+    estimatedReadyTime: order.estimatedReadyTime,
+    readyForPickupAt: order.readyForPickupAt,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    createdAt: order.createdAt,
+    allowedStatuses: getAllowedTransitions(order.status, [ORDER_ROLES.SELLER])
+  };
+};
+
+// Seller: list orders that include the seller's dishes
+export const getSellerOrders = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status } = req.query;
+
+    const sellerPosts = await Post.find({ author: req.user.id }).select("_id");
+    const sellerPostIds = new Set(sellerPosts.map(post => post._id.toString()));
+
+    const filter = {
+      orderType: { $ne: "parent" },
+      $or: [
+        { sellers: req.user.id },
+        // Orders placed before sellers were recorded on the order
+        { "items.productId": { $in: [...sellerPostIds] } }
+      ]
+    };
+    if (status && status !== "all") {
+      filter.status = status;
+    }
+
+    const totalOrders = await Order.countDocuments(filter);
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "username profilePicture");
+
+    return res.status(200).json({
+      success: true,
+      message: "Seller orders fetched successfully",
+      pagination: {
+        totalOrders,
+        totalPages: Math.ceil(totalOrders / limit),
+        currentPage: page,
+        limit
+      },
+      orders: orders.map(order => formatSellerOrder(order, sellerPostIds, req.user.id.toString()))
+    });
+  } catch (error) {
+    console.error("Error fetching seller orders:", error);
+    return next(createError(500, "Error fetching seller orders"));
+  }
+};
+
+// Seller: accept an incoming order, optionally with a preparation estimate
+export const acceptSellerOrder = async (req, res, next) => {
+  try {
+    const order = await loadSellerOrder(req);
+    let prepTimeMinutes = parsePrepTime(req.body.prepTimeMinutes);
+
+    if (!prepTimeMinutes) {
+      const seller = await User.findById(req.user.id).select("sellerSettings");
+      prepTimeMinutes = seller?.sellerSettings?.defaultPrepMinutes || DEFAULT_PREP_MINUTES;
+    }
+
+    transitionOrder(order, "confirmed", {
+      roles: [ORDER_ROLES.SELLER],
+      actorId: req.user.id,
+      note: `Accepted by seller, ready in about ${prepTimeMinutes} minutes`
+    });
+    applyPrepEstimate(order, prepTimeMinutes);
+    await saveOrder(order);
+    await afterOrderCommit(order);
+
+    emitToOrder(order, "orderAccepted", {
+      status: order.status,
+      preparationTimeMinutes: order.preparationTimeMinutes,
+      estimatedReadyTime: order.estimatedReadyTime,
+      estimatedDeliveryTime: order.estimatedDeliveryTime,
+      timestamp: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order accepted",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error accepting seller order:", error);
+    return next(createError(500, "Error accepting order: " + error.message));
+  }
+};
+
+// Seller: decline an incoming order with a reason
+export const declineSellerOrder = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return next(createError(400, "A reason is required to decline an order"));
+    }
+
+    const order = await loadSellerOrder(req);
+    if (order.status !== "processing") {
+      return next(createError(409, "Only orders that have not been accepted yet can be declined"));
+    }
+
+    const declinedOrder = await cancelOrderForUser(
+      order,
+      { ...req.user, isAdmin: false },
+      `Declined by seller: ${reason.trim()}`
+    );
+
+    emitToOrder(declinedOrder, "orderDeclined", {
+      status: declinedOrder.status,
+      reason: reason.trim(),
+      timestamp: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order declined",
+      order: declinedOrder
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error declining seller order:", error);
+    return next(createError(500, "Error declining order: " + error.message));
+  }
+};
+
+// Seller: update the preparation estimate
+export const updatePreparationTime = async (req, res, next) => {
+  try {
+    const prepTimeMinutes = parsePrepTime(req.body.prepTimeMinutes);
+    if (!prepTimeMinutes) {
+      return next(createError(400, "prepTimeMinutes is required"));
+    }
+
+    const order = await loadSellerOrder(req);
+    if (!["confirmed", "preparing"].includes(order.status)) {
+      return next(createError(409, `Cannot change the preparation time of a ${order.status} order`));
+    }
+
+    applyPrepEstimate(order, prepTimeMinutes);
+    await order.save();
+    await refreshOrderEta(order);
+
+    emitToOrder(order, "preparationTimeUpdated", {
+      preparationTimeMinutes: order.preparationTimeMinutes,
+      estimatedReadyTime: order.estimatedReadyTime,
+      estimatedDeliveryTime: order.estimatedDeliveryTime,
+      timestamp: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Preparation time updated",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error updating preparation time:", error);
+    return next(createError(500, "Error updating preparation time: " + error.message));
+  }
+};
+
+// Seller: start preparing an accepted order
+export const startPreparingOrder = async (req, res, next) => {
+  try {
+    const order = await loadSellerOrder(req);
+
+    transitionOrder(order, "preparing", {
+      roles: [ORDER_ROLES.SELLER],
+      actorId: req.user.id,
+      note: "Seller started preparing the order"
+    });
+    await saveOrder(order);
+    await afterOrderCommit(order);
+
+    emitToOrder(order, "orderPreparing", {
+      status: order.status,
+      estimatedReadyTime: order.estimatedReadyTime,
+      timestamp: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order is being prepared",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error starting preparation:", error);
+    return next(createError(500, "Error updating order: " + error.message));
+  }
+};
+
+// Seller: mark the food ready for the delivery agent to pick up
+export const markOrderReady = async (req, res, next) => {
+  try {
+    const order = await loadSellerOrder(req);
+
+    if (order.status !== "preparing") {
+      return next(createError(409, "Only orders that are being prepared can be marked ready"));
+    }
+    if (order.readyForPickupAt) {
+      return next(createError(409, "Order is already marked ready for pickup"));
+    }
+
+    order.readyForPickupAt = new Date();
+    recordStatusHistory(order, {
+      actorId: req.user.id,
+      actorRole: ORDER_ROLES.SELLER,
+      note: "Ready for pickup"
+    });
+    await order.save();
+    await refreshOrderEta(order);
+
+    emitToOrder(order, "orderReadyForPickup", {
+      status: order.status,
+      readyForPickupAt: order.readyForPickupAt,
+      timestamp: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order marked ready for pickup",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error marking order ready:", error);
+    return next(createError(500, "Error updating order: " + error.message));
+  }
+};
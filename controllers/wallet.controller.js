@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import LedgerEntry from "../models/ledgerEntry.model.js";
+import Payment from "../models/payment.model.js";
+import { User } from "../models/user.model.js";
+import createError from "../utils/error.js";
+import { confirmTopUpPayment, startTopUpPayment } from "../utils/orderPayment.js";
+import { assertPaymentsAvailable } from "../utils/paymentProviders/index.js";
+import { roundCurrency } from "../utils/pricing.js";
+import { WALLET_MAX_TOPUP, adjustWallet, getUserWallet } from "../utils/wallet.js";
+
+const ENTRY_TYPES = ["topup", "order_payment", "refund", "adjustment", "tip"];
+
+// Ledger entry as the wallet owner sees it: credits positive, debits negative
+const formatEntry = (entry) => ({
+  id: entry._id,
+  type: entry.type,
+  direction: entry.direction,
+  amount: entry.direction === "credit" ? entry.amount : -entry.amount,
+  balanceAfter: entry.balanceAfter,
+  description: entry.description,
+  order: entry.order,
+  payment: entry.payment,
+  createdAt: entry.createdAt
+});
+
+// Parse a positive amount with at most two decimals
+const parseAmount = (value) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0 || roundCurrency(amount) !== amount) {
+    throw createError(400, "amount must be a positive number with at most two decimals");
+  }
+  return amount;
+};
+
+// Get the balance of the current user's wallet
+export const getWallet = async (req, res, next) => {
+  try {
+    const wallet = await getUserWallet(req.id);
+
+    return res.status(200).json({
+      success: true,
+      wallet: {
+        id: wallet._id,
+        balance: roundCurrency(wallet.balance),
+        currency: wallet.currency,
+        updatedAt: wallet.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error fetching wallet:", error);
+    return next(createError(500, "Error fetching wallet"));
+  }
+};
+
+// Get the ledger entries of the current user's wallet, newest first
+export const getWalletStatement = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { type, from, to } = req.query;
+
+    if (type && !ENTRY_TYPES.includes(type)) {
+      return next(createError(400, `type must be one of: ${ENTRY_TYPES.join(", ")}`));
+    }
+
+    const wallet = await getUserWallet(req.id);
+    const filter = { wallet: wallet._id };
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, totalEntries] = await Promise.all([
+      LedgerEntry.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+      LedgerEntry.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    return res.status(200).json({
+      success: true,
+      balance: roundCurrency(wallet.balance),
+      currency: wallet.currency,
+      entries: entries.map(formatEntry),
+      pagination: {
+        totalEntries,
+        totalPages,
+        currentPage: page,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error fetching wallet statement:", error);
+    return next(createError(500, "Error fetching wallet statement"));
+  }
+};
+
+// Start topping up the current user's wallet through the payment provider
+export const createTopUp = async (req, res, next) => {
+  try {
+    const amount = parseAmount(req.body.amount);
+    if (amount > WALLET_MAX_TOPUP) {
+      return next(createError(400, `A top-up can be at most ${WALLET_MAX_TOPUP}`, { maxTopUp: WALLET_MAX_TOPUP }));
+    }
+    // Without a real provider (or the mock in development) nobody is charged
+    assertPaymentsAvailable();
+
+    const wallet = await getUserWallet(req.id);
+    const payment = await startTopUpPayment(wallet, amount);
+
+    return res.status(201).json({
+      success: true,
+      message: "Confirm the payment to add the money to your wallet",
+      payment
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error starting wallet top-up:", error);
+    return next(createError(500, "Error starting wallet top-up"));
+  }
+};
+
+// Confirm a top-up with the customer's payment method
+export const confirmTopUp = async (req, res, next) => {
+  try {
+    const { paymentMethod } = req.body;
+    if (!paymentMethod) {
+      return next(createError(400, "paymentMethod is required"));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.paymentId)) {
+      return next(createError(400, "Invalid payment ID"));
+    }
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      purpose: "wallet_topup",
+      user: req.id
+    });
+    if (!payment) {
+      return next(createError(404, "Top-up not found"));
+    }
+
+    await confirmTopUpPayment(payment, paymentMethod);
+    const wallet = await getUserWallet(req.id);
+
+    const messages = {
+      succeeded: "Money added to your wallet",
+      processing: "Payment is being processed",
+      failed: "Payment failed, your wallet was not charged"
+    };
+
+    return res.status(200).json({
+      success: payment.status !== "failed",
+      message: messages[payment.status] || `Payment ${payment.status}`,
+      payment: {
+        id: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        failureReason: payment.failureReason
+      },
+      balance: roundCurrency(wallet.balance)
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error confirming wallet top-up:", error);
+    return next(createError(500, "Error confirming wallet top-up"));
+  }
+};
+
+// Admin: credit (positive amount) or debit (negative amount) a user's wallet
+export const adminAdjustWallet = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+    const idempotencyKey = req.get("Idempotency-Key") || req.body.idempotencyKey;
+
+    if (!idempotencyKey) {
+      return next(createError(400, "An Idempotency-Key header is required"));
+    }
+    if (!reason) {
+      return next(createError(400, "A reason is required for wallet adjustments"));
+    }
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount === 0) {
+      return next(createError(400, "amount must be a non-zero number"));
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return next(createError(404, "User not found"));
+    }
+
+    const { debit, credit, replayed } = await adjustWallet({
+      userId,
+      amount,
+      reason,
+      adminId: req.id,
+      idempotencyKey
+    });
+    const entry = amount > 0 ? credit : debit;
+
+    return res.status(replayed ? 200 : 201).json({
+      success: true,
+      message: replayed ? "Adjustment was already applied" : "Wallet adjusted",
+      entry: formatEntry(entry),
+      balance: entry.balanceAfter
+    });
+  } catch (error) {
+    if (error.statusCode) return next(error);
+    console.error("Error adjusting wallet:", error);
+    return next(createError(500, "Error adjusting wallet"));
+  }
+};
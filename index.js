@@ -8,6 +8,10 @@ import {
   setupChangeStreams,
   closeChangeStreams,
 } from "./utils/changeStreams.js";
+import {
+  startOrderScheduler,
+  stopOrderScheduler,
+} from "./utils/orderScheduler.js";
 import userRoute from "./routes/user.route.js";
 import postRoute from "./routes/post.route.js";
 import storyRoute from "./routes/storyRoutes.js";
@@ -17,10 +21,18 @@ import shareRoute from "./routes/share.route.js";
 import orderRoute from "./routes/order.route.js";
 import categoryRoute from "./routes/category.route.js";
 import deliveryAgentRoute from "./routes/deliveryAgent.route.js";
+import paymentRoute from "./routes/payment.route.js";
 import { app, server, io } from "./socket/socket.js";
+import { getPaymentConfigProblem } from "./utils/paymentProviders/index.js";
 
 dotenv.config({});
 
+// Without a usable payment provider card checkout, top-ups and webhooks answer 503
+const paymentConfigProblem = getPaymentConfigProblem();
+if (paymentConfigProblem) {
+  console.warn(`Online payments are disabled: ${paymentConfigProblem}`);
+}
+
 const PORT = process.env.PORT || 3000;
 //middlewares
 
@@ -59,7 +71,14 @@ app.use(
 // Make io available throughout the app
 app.set("io", io);
 
-app.use(express.json());
+app.use(
+  express.json({
+    // Payment webhooks are verified against the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(cookieParser());
 app.use(urlencoded({ extended: true }));
 
@@ -73,6 +92,7 @@ app.use("/api/v1/share", shareRoute);
 app.use("/api/v1/orders", orderRoute);
 app.use("/api/v1/category", categoryRoute);
 app.use("/api/v1/delivery", deliveryAgentRoute);
+app.use("/api/v1/payments", paymentRoute);
 
 //Routes
 app.get("/", (req, res) => {
@@ -104,6 +124,7 @@ app.use((err, req, res, next) => {
     success: false,
     statusCode,
     message,
+    ...(err.details && { details: err.details }),
   });
 });
 
@@ -113,6 +134,9 @@ server.listen(PORT, async () => {
 
   // Set up MongoDB change streams for real-time updates
   await setupChangeStreams();
+
+  // Confirm scheduled orders ahead of their slot and cancel unpaid ones
+  startOrderScheduler();
 });
 
 // Graceful shutdown handling
@@ -120,7 +144,8 @@ const gracefulShutdown = async (signal) => {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
 
   try {
-    // Close change streams first
+    // Stop background jobs and change streams first
+    stopOrderScheduler();
     console.log("Closing change streams...");
     await closeChangeStreams();
 
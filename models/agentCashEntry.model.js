@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Movements of the cash a delivery agent holds: collections add, handovers subtract
+const agentCashEntrySchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["collection", "handover"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // Agent's cash in hand right after this entry
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // The delivered order, for collections
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Admin who received the cash, for handovers
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+agentCashEntrySchema.index({ agent: 1, createdAt: -1 });
+// An order's cash is collected once
+agentCashEntrySchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: "collection" } }
+);
+
+export default mongoose.model("AgentCashEntry", agentCashEntrySchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// What an agent earned for one delivered order, or for a later tip on it
+const agentEarningSchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // "delivery" for completing the order, "tip" for a tip added after delivery
+    kind: {
+      type: String,
+      enum: ["delivery", "tip"],
+      default: "delivery",
+    },
+    baseFee: {
+      type: Number,
+      default: 0,
+    },
+    // Pickup-to-door distance the distance fee was paid for
+    distanceMeters: {
+      type: Number,
+      default: 0,
+    },
+    distanceFee: {
+      type: Number,
+      default: 0,
+    },
+    tip: {
+      type: Number,
+      default: 0,
+    },
+    // Bonus for deliveries completed during peak hours
+    incentive: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    earnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set once the earning was included in a payout
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AgentPayout",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+agentEarningSchema.index({ order: 1, kind: 1 }, { unique: true });
+agentEarningSchema.index({ agent: 1, earnedAt: -1 });
+agentEarningSchema.index({ payout: 1, earnedAt: 1 });
+
+export default mongoose.model("AgentEarning", agentEarningSchema);
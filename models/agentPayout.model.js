@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Unpaid earnings of one agent, batched by a payout run
+const agentPayoutSchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    earningsCount: {
+      type: Number,
+      required: true,
+    },
+    // earnedAt of the first and last earning included
+    periodStart: {
+      type: Date,
+    },
+    periodEnd: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid"],
+      default: "pending",
+    },
+    // Bank transfer or other reference recorded when the payout is paid
+    reference: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+agentPayoutSchema.index({ agent: 1, createdAt: -1 });
+agentPayoutSchema.index({ status: 1 });
+
+export default mongoose.model("AgentPayout", agentPayoutSchema);
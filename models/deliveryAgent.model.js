@@ -52,6 +52,16 @@ const deliveryAgentSchema = new mongoose.Schema(
     isVerified: {
       type: Boolean,
       default: false,
+    },
+    // Sum of all tips customers gave this agent
+    totalTips: {
+      type: Number,
+      default: 0,
+    },
+    // Cash collected on deliveries and not yet handed over to the platform
+    cashInHand: {
+      type: Number,
+      default: 0,
     }
   },
   { timestamps: true }
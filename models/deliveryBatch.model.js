@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const pointSchema = {
+  type: {
+    type: String,
+    default: "Point",
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    default: [0, 0],
+  },
+};
+
+// One trip of a delivery agent carrying one or more orders
+const deliveryBatchSchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    orders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    }],
+    // open: more orders can join; in_progress: food was picked up
+    status: {
+      type: String,
+      enum: ["open", "in_progress", "completed"],
+      default: "open",
+    },
+    vehicleType: {
+      type: String,
+    },
+    capacity: {
+      type: Number,
+      default: 1,
+    },
+    // Pickups and drop-offs in the order the agent should visit them
+    stops: [
+      {
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["pickup", "dropoff"],
+          required: true,
+        },
+        location: pointSchema,
+        completedAt: Date,
+      },
+    ],
+    // Length of the planned route from the first stop to the last
+    distanceMeters: {
+      type: Number,
+      default: 0,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryBatchSchema.index({ agent: 1, status: 1 });
+
+export default mongoose.model("DeliveryBatch", deliveryBatchSchema);
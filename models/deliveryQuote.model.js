@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// How a delivery fee was made up; stored on quotes and on the orders they price
+export const deliveryFeeBreakdownSchema = new mongoose.Schema(
+  {
+    // Longest way from a pickup point to the delivery point
+    distanceMeters: {
+      type: Number,
+      default: 0,
+    },
+    baseFee: {
+      type: Number,
+      default: 0,
+    },
+    distanceFee: {
+      type: Number,
+      default: 0,
+    },
+    // Premium for express delivery
+    expressFee: {
+      type: Number,
+      default: 0,
+    },
+    surgeMultiplier: {
+      type: Number,
+      default: 1,
+    },
+    // What the surge multiplier added
+    surgeFee: {
+      type: Number,
+      default: 0,
+    },
+    deliveryFee: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// A delivery fee offered to a customer, honoured at checkout until it expires
+const deliveryQuoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryZone",
+      required: true,
+    },
+    deliveryMethod: {
+      type: String,
+      enum: ["standard", "express"],
+      required: true,
+    },
+    deliveryLocation: {
+      type: {
+        type: String,
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    // Sellers of the cart the quote was made for
+    sellers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    breakdown: {
+      type: deliveryFeeBreakdownSchema,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes quotes some time after they expire
+deliveryQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("DeliveryQuote", deliveryQuoteSchema);
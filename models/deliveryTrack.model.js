@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Days GPS points of deliveries are kept before MongoDB removes them
+export const TRACK_RETENTION_DAYS = Number(process.env.DELIVERY_TRACK_RETENTION_DAYS ?? 90);
+
+// One GPS point of an agent on a delivery, stored in a time-series collection
+const deliveryTrackSchema = new mongoose.Schema(
+  {
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+    // Series key: every order gets its own trail
+    meta: {
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+      },
+      agent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryAgent",
+        required: true,
+      },
+    },
+    location: {
+      type: {
+        type: String,
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    // Reported by the device, when it knows them
+    accuracy: Number, // meters
+    speed: Number, // meters per second
+    heading: Number, // degrees
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "meta",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: TRACK_RETENTION_DAYS * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+deliveryTrackSchema.index({ "meta.order": 1, recordedAt: 1 });
+
+export default mongoose.model("DeliveryTrack", deliveryTrackSchema);
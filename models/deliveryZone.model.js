@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// Opening and closing time of a zone on one weekday, "HH:mm" in the zone's timezone.
+// A closing time before the opening time runs past midnight.
+const operatingHoursSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number, // 0 = Sunday
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    open: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    close: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+  },
+  { _id: false }
+);
+
+const deliveryZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Area served, as a GeoJSON Polygon or MultiPolygon
+    area: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: {
+        type: Array,
+        required: true,
+      },
+    },
+    // Delivery fee for standard delivery inside the zone (unset = the default fee)
+    deliveryFee: {
+      type: Number,
+      min: 0,
+    },
+    // Smallest item subtotal the zone delivers
+    minimumOrder: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // No entries = open around the clock
+    operatingHours: [operatingHoursSchema],
+    // IANA timezone the operating hours are in
+    timezone: {
+      type: String,
+      default: () => process.env.DELIVERY_ZONE_TIMEZONE || "UTC",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryZoneSchema.index({ area: "2dsphere" });
+
+export default mongoose.model("DeliveryZone", deliveryZoneSchema);
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// One offer of an order to a delivery agent by the dispatcher
+const dispatchAttemptSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    // Dispatch round of the order the offer belongs to
+    round: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ["offered", "accepted", "declined", "expired", "cancelled"],
+      default: "offered",
+    },
+    // Agent's distance to the pickup point when the offer was made
+    distanceMeters: {
+      type: Number,
+    },
+    offeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+dispatchAttemptSchema.index({ order: 1, createdAt: 1 });
+dispatchAttemptSchema.index({ status: 1, expiresAt: 1 });
+dispatchAttemptSchema.index({ agent: 1, status: 1 });
+
+export default mongoose.model("DispatchAttempt", dispatchAttemptSchema);
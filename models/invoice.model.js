@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Invoice number issued to one seller's delivered order; never changes once issued
+const invoiceSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Position in the seller's invoice sequence, starting at 1
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    invoiceNumber: {
+      type: String,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ order: 1 }, { unique: true });
+invoiceSchema.index({ seller: 1, sequence: 1 }, { unique: true });
+
+// Numbers are fixed once issued
+invoiceSchema.pre("save", function (next) {
+  if (!this.isNew && (this.isModified("sequence") || this.isModified("invoiceNumber"))) {
+    return next(new Error("Invoice numbers cannot be changed once issued"));
+  }
+  next();
+});
+
+export default mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Last invoice sequence number used by each seller
+const invoiceCounterSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+invoiceCounterSchema.index({ seller: 1 }, { unique: true });
+
+export default mongoose.model("InvoiceCounter", invoiceCounterSchema);
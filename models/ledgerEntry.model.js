@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// Every wallet operation writes one debit and one credit with the same key
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // Wallet balance right after this entry
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["topup", "order_payment", "refund", "adjustment", "tip"],
+      required: true,
+    },
+    // Identifies the operation; replaying it returns the original entries
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    // The wallet on the other side of the operation
+    counterpartyWallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    description: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ idempotencyKey: 1, direction: 1 }, { unique: true });
+ledgerEntrySchema.index({ wallet: 1, createdAt: -1 });
+ledgerEntrySchema.index({ order: 1, type: 1 });
+
+// The ledger is append-only: corrections are new entries, never edits
+const rejectChange = function (next) {
+  next(new Error("Ledger entries cannot be changed or removed"));
+};
+
+ledgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+ledgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: false, query: true },
+  rejectChange
+);
+ledgerEntrySchema.pre("deleteOne", { document: true, query: false }, rejectChange);
+
+export default mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { deliveryFeeBreakdownSchema } from "./deliveryQuote.model.js";
 
 const orderSchema = new mongoose.Schema(
   {
@@ -52,6 +53,53 @@ const orderSchema = new mongoose.Schema(
         default: [0, 0],
       },
     },
+    // Delivery zone the delivery point fell in at checkout (unset for pickup)
+    deliveryZone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryZone",
+    },
+    // Carts with dishes from several sellers are split into a parent order
+    // (what the customer sees and pays) and one child order per seller
+    orderType: {
+      type: String,
+      enum: ["single", "parent", "child"],
+      default: "single",
+    },
+    parentOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    childOrders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    // Seller fulfilling a child order
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Post authors whose dishes are in this order
+    sellers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Set when the customer picked a future delivery slot instead of ASAP
+    deliverySlot: {
+      start: {
+        type: Date,
+      },
+      end: {
+        type: Date,
+      },
+    },
+    // Scheduled orders stay hidden from agents until this time
+    dispatchAt: {
+      type: Date,
+    },
     deliveryMethod: {
       type: String,
       enum: ["standard", "express", "pickup"],
@@ -81,10 +129,37 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // How the delivery fee was worked out (parent and single orders)
+    deliveryFeeDetails: {
+      type: deliveryFeeBreakdownSchema,
+    },
+    // Delivery quote honoured at checkout
+    deliveryQuote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryQuote",
+    },
     discount: {
       type: Number,
       default: 0,
     },
+    // Tip for the delivery agent added at checkout; part of the total
+    tip: {
+      type: Number,
+      default: 0,
+    },
+    // Tip added after delivery, charged separately from the order
+    postDeliveryTip: {
+      amount: Number,
+      status: {
+        type: String,
+        enum: ["pending", "paid", "failed"],
+      },
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+      },
+      paidAt: Date,
+    },
     total: {
       type: Number,
       required: true,
@@ -92,20 +167,148 @@ const orderSchema = new mongoose.Schema(
     promoCodeApplied: {
       type: String,
     },
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+    },
     status: {
       type: String,
       enum: ["processing", "confirmed", "preparing", "out_for_delivery", "delivered", "cancelled"],
       default: "processing",
     },
+    // refund_pending: cancelled after payment, until the refund goes through
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
+      enum: ["pending", "paid", "failed", "partially_refunded", "refund_pending", "refunded"],
       default: "pending",
     },
+    // Money given back for cancelled items of a paid order
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+        },
+        items: [
+          {
+            productId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Post",
+            },
+            name: String,
+            price: Number,
+            quantity: Number,
+          },
+        ],
+        reason: String,
+        // Refund id at the payment provider, for orders paid through it
+        providerRefundId: String,
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Whether the stock taken by this order is still held or was given back
+    inventoryStatus: {
+      type: String,
+      enum: ["reserved", "released"],
+      default: "reserved",
+    },
     deliveryAgent: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "DeliveryAgent",
     },
+    // Seller's preparation estimate and when the food is expected to be ready
+    preparationTimeMinutes: {
+      type: Number,
+      min: 0,
+    },
+    estimatedReadyTime: {
+      type: Date,
+    },
+    // Set when the seller marks the order ready for pickup
+    readyForPickupAt: {
+      type: Date,
+    },
+    // Set when the agent reaches the pickup point after taking the order
+    pickedUpAt: {
+      type: Date,
+    },
+    // When the agent entered the fences around the pickup and delivery points
+    geofence: {
+      arrivedPickupAt: Date,
+      nearbyAt: Date,
+    },
+    // Code the customer gives the agent at the door; set when the order goes out
+    deliveryOtp: {
+      // Never sent to agents: load it with select("+deliveryOtp.code")
+      code: {
+        type: String,
+        select: false,
+      },
+      generatedAt: Date,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // What the agent gave to show the order reached the customer
+    proofOfDelivery: {
+      method: {
+        type: String,
+        enum: ["otp", "photo"],
+      },
+      photoUrl: String,
+      location: {
+        type: {
+          type: String,
+        },
+        coordinates: {
+          type: [Number], // [longitude, latitude]
+          default: undefined,
+        },
+      },
+      agent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryAgent",
+      },
+      capturedAt: Date,
+    },
+    // Trip the order is delivered on, with the agent's other orders
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryBatch",
+    },
+    // Progress of the automatic search for a delivery agent
+    dispatch: {
+      status: {
+        type: String,
+        enum: ["searching", "offered", "assigned", "failed"],
+      },
+      round: {
+        type: Number,
+        default: 0,
+      },
+      startedAt: Date,
+      failedAt: Date,
+    },
+    // Cash the agent took from the customer on a cash-on-delivery order
+    cashCollection: {
+      amount: Number,
+      collectedAt: Date,
+      agent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryAgent",
+      },
+    },
+    cancellationReason: {
+      type: String,
+    },
     estimatedDeliveryTime: {
       type: Date,
     },
@@ -122,6 +325,14 @@ const orderSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        actorRole: {
+          type: String,
+          enum: ["customer", "seller", "agent", "admin", "system"],
+        },
         location: {
           type: {
             type: String,
@@ -136,11 +347,24 @@ const orderSchema = new mongoose.Schema(
       },
     ],
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      // Orders reach agents in many responses; the delivery code must not
+      transform: (doc, ret) => {
+        if (ret.deliveryOtp) delete ret.deliveryOtp.code;
+        return ret;
+      },
+    },
+  }
 );
 
 // Create geospatial indexes for location-based queries
 orderSchema.index({ deliveryLocation: "2dsphere" });
 orderSchema.index({ pickupLocation: "2dsphere" });
+orderSchema.index({ sellers: 1, createdAt: -1 });
+orderSchema.index({ parentOrder: 1 });
+orderSchema.index({ status: 1, "deliverySlot.start": 1 });
+orderSchema.index({ "dispatch.status": 1, "dispatch.failedAt": 1 });
 
 export default mongoose.model("Order", orderSchema); 
\ No newline at end of file
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema(
+  {
+    // What the money is for
+    purpose: {
+      type: String,
+      enum: ["order", "wallet_topup", "tip"],
+      default: "order",
+    },
+    // The order the customer pays for (the parent of a split order), or tips on
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: function () {
+        return this.purpose !== "wallet_topup";
+      },
+    },
+    // The wallet a top-up is credited to
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Payment intent id at the provider
+    providerPaymentId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: [
+        "requires_confirmation",
+        "processing",
+        "requires_capture",
+        "succeeded",
+        "failed",
+        "cancelled",
+      ],
+      default: "requires_confirmation",
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [
+      {
+        providerRefundId: String,
+        amount: Number,
+        reason: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    failureReason: {
+      type: String,
+    },
+    // Webhook events already applied, so redelivered events are ignored
+    processedEvents: [
+      {
+        type: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ order: 1 });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+
+export default mongoose.model("Payment", paymentSchema);
@@ -34,6 +34,12 @@ const postSchema = new mongoose.Schema({
   quantity:{
     type: Number,
     default: 1,
+    min: 0,
+  },
+  // Made-to-order dishes are never out of stock
+  unlimitedStock: {
+    type: Boolean,
+    default: false,
   },
   comments: [
     {
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Upper bound for percentage discounts
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Total redemptions allowed across all users (unset = unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    // Redemptions allowed per user (unset = unlimited)
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+    },
+    validUntil: {
+      type: Date,
+    },
+    // Restrict the promo to items in these Post categories
+    categories: [{
+      type: String,
+    }],
+    // Restrict the promo to items sold by these Post authors
+    sellers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    discount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Per-user usage lookups
+promoRedemptionSchema.index({ promoCode: 1, user: 1 });
+// One redemption per order
+promoRedemptionSchema.index({ order: 1 }, { unique: true });
+
+export default mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Number of scheduled orders a seller has taken for one delivery slot
+const slotBookingSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    slotStart: {
+      type: Date,
+      required: true,
+    },
+    slotEnd: {
+      type: Date,
+      required: true,
+    },
+    booked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// One counter per seller and slot
+slotBookingSchema.index({ seller: 1, slotStart: 1 }, { unique: true });
+
+export default mongoose.model("SlotBooking", slotBookingSchema);
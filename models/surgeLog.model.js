@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Surge level of a delivery zone, logged each time it changes
+const surgeLogSchema = new mongoose.Schema(
+  {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryZone",
+      required: true,
+    },
+    // 0 = no surge, then one level per surge tier
+    level: {
+      type: Number,
+      required: true,
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+    },
+    // Confirmed orders in the zone still waiting for an agent
+    openOrders: {
+      type: Number,
+      required: true,
+    },
+    // Available, verified agents inside the zone
+    availableAgents: {
+      type: Number,
+      required: true,
+    },
+    // openOrders per available agent; unset when no agent is available
+    demandRatio: {
+      type: Number,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+surgeLogSchema.index({ zone: 1, recordedAt: -1 });
+surgeLogSchema.index({ recordedAt: -1 });
+
+export default mongoose.model("SurgeLog", surgeLogSchema);
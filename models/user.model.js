@@ -1,5 +1,48 @@
 import mongoose from "mongoose";
 
+// An address in the user's address book
+const savedAddressSchema = new mongoose.Schema(
+  {
+    // "Home", "Work" or a name the user picked
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30,
+    },
+    addressLine: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    landmark: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    // Number the delivery agent calls for this address
+    contactNumber: {
+      type: String,
+      trim: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -62,6 +105,19 @@ const userSchema = new mongoose.Schema(
         ref: "Story",
       },
     ],
+    // Settings used when the user sells dishes (Post authors)
+    sellerSettings: {
+      // Scheduled orders accepted per delivery slot
+      slotCapacity: {
+        type: Number,
+        min: 0,
+      },
+      // Preparation time used when accepting an order without an estimate
+      defaultPrepMinutes: {
+        type: Number,
+        min: 0,
+      },
+    },
     location: {
       type: {
         type: String,
@@ -73,6 +129,11 @@ const userSchema = new mongoose.Schema(
         default: [0, 0],
       },
     },
+    // Delivery addresses; private, load them with select("+addresses")
+    addresses: {
+      type: [savedAddressSchema],
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const walletSchema = new mongoose.Schema(
+  {
+    // Customer wallet owner; unset for the platform's own accounts
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Platform account name ("funding", "orders", "adjustments"); unset for user wallets
+    code: {
+      type: String,
+    },
+    // Kept in step with the ledger: the sum of credits minus debits
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+  },
+  { timestamps: true }
+);
+
+walletSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+walletSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $exists: true } } });
+
+export default mongoose.model("Wallet", walletSchema);
@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  addAddress,
+  deleteAddress,
+  getAddresses,
+  setDefault,
+  updateAddress,
+} from "../controllers/address.controller.js";
+import isAuthenticated from "../middlewares/isAuthenticated.js";
+
+const router = express.Router();
+
+router.get("/", isAuthenticated, getAddresses);
+router.post("/", isAuthenticated, addAddress);
+router.put("/:addressId", isAuthenticated, updateAddress);
+router.delete("/:addressId", isAuthenticated, deleteAddress);
+router.put("/:addressId/default", isAuthenticated, setDefault);
+
+export default router;
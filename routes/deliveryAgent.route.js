@@ -2,6 +2,7 @@ import express from "express";
 import { verifyToken } from "../middlewares/verifyToken.js";
 import { verifyAdmin } from "../middlewares/verifyAdmin.js";
 import { verifyDeliveryAgent } from "../middlewares/verifyDeliveryAgent.js";
+import upload from "../middlewares/multer.js";
 import {
   registerAsDeliveryAgent,
   updateAvailability,
@@ -13,8 +14,31 @@ import {
   getAgentProfile,
   verifyDeliveryAgent as adminVerifyAgent,
   getAllAgents,
-  getConfirmedOrders
+  getConfirmedOrders,
+  getCurrentBatch,
+  getOptimizedRoute
 } from "../controllers/deliveryAgent.controller.js";
+import {
+  getMyCash,
+  getAgentCashBalances,
+  getAgentCashEntries,
+  recordAgentHandover
+} from "../controllers/agentCash.controller.js";
+import {
+  getEarnings,
+  getEarningsStatement,
+  createPayoutRun,
+  getPayouts,
+  markPayoutAsPaid
+} from "../controllers/earnings.controller.js";
+import {
+  getMyOffers,
+  acceptOffer,
+  declineOffer,
+  getFailedDispatches,
+  getDispatchAttempts,
+  retryDispatch
+} from "../controllers/dispatch.controller.js";
 
 const router = express.Router();
 
@@ -31,11 +55,29 @@ router.get("/nearby-orders", verifyToken, verifyDeliveryAgent, getNearbyOrders);
 router.get("/confirmed-orders", verifyToken, verifyDeliveryAgent, getConfirmedOrders);
 router.post("/accept/:orderId", verifyToken, verifyDeliveryAgent, acceptOrder);
 router.post("/reject/:orderId", verifyToken, verifyDeliveryAgent, rejectOrder);
-router.put("/complete/:orderId", verifyToken, verifyDeliveryAgent, completeDelivery);
+router.get("/route", verifyToken, verifyDeliveryAgent, getOptimizedRoute);
+router.get("/batch", verifyToken, verifyDeliveryAgent, getCurrentBatch);
+router.get("/offers", verifyToken, verifyDeliveryAgent, getMyOffers);
+router.post("/offers/:attemptId/accept", verifyToken, verifyDeliveryAgent, acceptOffer);
+router.post("/offers/:attemptId/decline", verifyToken, verifyDeliveryAgent, declineOffer);
+// Proof of delivery: the customer's code as "otp", or a doorstep photo as "photo"
+router.put("/complete/:orderId", verifyToken, verifyDeliveryAgent, upload.single("photo"), completeDelivery);
 router.get("/profile", verifyToken, verifyDeliveryAgent, getAgentProfile);
+router.get("/cash", verifyToken, verifyDeliveryAgent, getMyCash);
+router.get("/earnings", verifyToken, verifyDeliveryAgent, getEarnings);
+router.get("/earnings/statement", verifyToken, verifyDeliveryAgent, getEarningsStatement);
 
 // Admin endpoints
 router.put("/admin/verify/:agentId", verifyToken, verifyAdmin, adminVerifyAgent);
 router.get("/admin/all", verifyToken, verifyAdmin, getAllAgents);
+router.get("/admin/cash", verifyToken, verifyAdmin, getAgentCashBalances);
+router.get("/admin/cash/:agentId", verifyToken, verifyAdmin, getAgentCashEntries);
+router.post("/admin/cash/:agentId/handover", verifyToken, verifyAdmin, recordAgentHandover);
+router.post("/admin/payouts/run", verifyToken, verifyAdmin, createPayoutRun);
+router.get("/admin/payouts", verifyToken, verifyAdmin, getPayouts);
+router.put("/admin/payouts/:payoutId/paid", verifyToken, verifyAdmin, markPayoutAsPaid);
+router.get("/admin/dispatch/failed", verifyToken, verifyAdmin, getFailedDispatches);
+router.get("/admin/dispatch/:orderId/attempts", verifyToken, verifyAdmin, getDispatchAttempts);
+router.post("/admin/dispatch/:orderId/retry", verifyToken, verifyAdmin, retryDispatch);
 
 export default router;
\ No newline at end of file
@@ -6,13 +6,52 @@ import {
   getUserOrders, 
   getOrderById, 
   cancelOrder, 
+  cancelOrderItems,
+  tipOrder,
+  getOrderInvoice,
+  getOrderTrack,
   reorder,
+  checkOrderServiceability,
+  getDeliveryQuote,
   getAllOrders,
   updateOrderStatus,
   getOrderStats,
   getOrderStatusHistory,
   assignOrderAgent
 } from "../controllers/order.controller.js";
+import {
+  createPromoCode,
+  getAllPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode,
+  validatePromoCode
+} from "../controllers/promoCode.controller.js";
+import {
+  createDeliveryZone,
+  getDeliveryZones,
+  getDeliveryZoneById,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  getSurgeLevels,
+  getSurgeHistory
+} from "../controllers/deliveryZone.controller.js";
+import {
+  getDeliverySlots,
+  updateSlotCapacity
+} from "../controllers/deliverySlot.controller.js";
+import {
+  getSellerOrders,
+  acceptSellerOrder,
+  declineSellerOrder,
+  updatePreparationTime,
+  startPreparingOrder,
+  markOrderReady
+} from "../controllers/sellerOrder.controller.js";
+import {
+  confirmPayment,
+  getOrderPayment
+} from "../controllers/payment.controller.js";
 
 const router = express.Router();
 
@@ -20,6 +59,27 @@ const router = express.Router();
 // Create a new order
 router.post("/create", verifyToken, createOrder);
 
+// Preview a promo code against the cart
+router.post("/promo/validate", verifyToken, validatePromoCode);
+
+// Whether an address is inside an open delivery zone
+router.get("/serviceability", verifyToken, checkOrderServiceability);
+
+// Delivery fee breakdown, honoured at checkout for a few minutes
+router.post("/delivery-quote", verifyToken, getDeliveryQuote);
+
+// Scheduled delivery slots
+router.get("/slots", verifyToken, getDeliverySlots);
+router.put("/slots/capacity", verifyToken, updateSlotCapacity);
+
+// Seller endpoints
+router.get("/seller/orders", verifyToken, getSellerOrders);
+router.put("/seller/orders/:id/accept", verifyToken, acceptSellerOrder);
+router.put("/seller/orders/:id/decline", verifyToken, declineSellerOrder);
+router.put("/seller/orders/:id/prep-time", verifyToken, updatePreparationTime);
+router.put("/seller/orders/:id/preparing", verifyToken, startPreparingOrder);
+router.put("/seller/orders/:id/ready", verifyToken, markOrderReady);
+
 // Get all orders for the current user
 router.get("/user-orders", verifyToken, getUserOrders);
 
@@ -29,6 +89,21 @@ router.get("/:id", verifyToken, getOrderById);
 // Cancel an order
 router.put("/:id/cancel", verifyToken, cancelOrder);
 
+// Cancel single items or lower their quantities
+router.put("/:id/cancel-items", verifyToken, cancelOrderItems);
+router.post("/:id/tip", verifyToken, tipOrder);
+router.get("/:id/invoice", verifyToken, getOrderInvoice);
+
+// GPS trail the delivery agent drove
+router.get("/:id/track", verifyToken, getOrderTrack);
+
+// Payment of an order
+router.get("/:id/payment", verifyToken, getOrderPayment);
+router.post("/:id/payment/confirm", verifyToken, confirmPayment);
+
+// Get the status timeline of an order
+router.get("/:id/status-history", verifyToken, getOrderStatusHistory);
+
 // Reorder (create a new order from previous order)
 router.post("/:id/reorder", verifyToken, reorder);
 
@@ -51,4 +126,22 @@ router.get("/admin/:id/status-history", verifyToken, verifyAdmin, getOrderStatus
 // Assign delivery agent
 router.put("/admin/:id/assign-agent", verifyToken, verifyAdmin, assignOrderAgent);
 
+// Promo code management
+router.get("/admin/promos", verifyToken, verifyAdmin, getAllPromoCodes);
+router.post("/admin/promos", verifyToken, verifyAdmin, createPromoCode);
+router.get("/admin/promos/:promoId", verifyToken, verifyAdmin, getPromoCodeById);
+router.put("/admin/promos/:promoId", verifyToken, verifyAdmin, updatePromoCode);
+router.delete("/admin/promos/:promoId", verifyToken, verifyAdmin, deletePromoCode);
+
+// Delivery zone management
+router.get("/admin/zones", verifyToken, verifyAdmin, getDeliveryZones);
+router.post("/admin/zones", verifyToken, verifyAdmin, createDeliveryZone);
+router.get("/admin/zones/:zoneId", verifyToken, verifyAdmin, getDeliveryZoneById);
+router.put("/admin/zones/:zoneId", verifyToken, verifyAdmin, updateDeliveryZone);
+router.delete("/admin/zones/:zoneId", verifyToken, verifyAdmin, deleteDeliveryZone);
+
+// Surge levels of the delivery zones
+router.get("/admin/surge", verifyToken, verifyAdmin, getSurgeLevels);
+router.get("/admin/surge/history", verifyToken, verifyAdmin, getSurgeHistory);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from "express";
+import { paymentWebhook } from "../controllers/payment.controller.js";
+
+const router = express.Router();
+
+// Payment provider webhooks, authenticated by their signature
+router.post("/webhook/:provider", paymentWebhook);
+
+export default router;
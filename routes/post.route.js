@@ -14,7 +14,8 @@ import {
   searchPosts,
   ratePost,
   getPostRatings,
-  getBookmarkedPosts
+  getBookmarkedPosts,
+  updatePostStock
 } from "../controllers/post.controller.js";
 import isAuthenticated from "../middlewares/isAuthenticated.js";
 import upload from "../middlewares/multer.js";
@@ -32,6 +33,7 @@ router.route("/:id/comment").post(isAuthenticated, addComment);
 router.route("/:id/comment/all").post(isAuthenticated, getCommentsOfPost);
 router.route("/:id/bookmark").get(isAuthenticated, bookMarkPost);
 router.route("/delete/:id").delete(isAuthenticated, deletePost);
+router.route("/:id/stock").put(isAuthenticated, updatePostStock);
 router.route("/nearby").get(isAuthenticated, findNearbyPosts);
 router.get("/search", isAuthenticated, searchPosts);
 
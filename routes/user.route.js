@@ -19,6 +19,8 @@ import isAuthenticated from "../middlewares/isAuthenticated.js";
 import upload from "../middlewares/multer.js";
 import { verifyAdmin } from "../middlewares/verifyAdmin.js";
 import { User } from "../models/user.model.js";
+import walletRoute from "./wallet.route.js";
+import addressRoute from "./address.route.js";
 const router = express.Router();
 
 router.route("/register").post(register);
@@ -37,6 +39,8 @@ router.post("/location", isAuthenticated, updateUserLocation);
 router.get("/nearby", isAuthenticated, findNearbyUsers);
 router.get("/search", isAuthenticated, searchUsers);
 router.get("/profile", isAuthenticated, getCurrentUserProfile);
+router.use("/wallet", walletRoute);
+router.use("/addresses", addressRoute);
 
 // Route to check if user is admin
 router.route("/check-admin").get(isAuthenticated, (req, res) => {
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  adminAdjustWallet,
+  confirmTopUp,
+  createTopUp,
+  getWallet,
+  getWalletStatement,
+} from "../controllers/wallet.controller.js";
+import isAuthenticated from "../middlewares/isAuthenticated.js";
+import { verifyAdmin } from "../middlewares/verifyAdmin.js";
+
+const router = express.Router();
+
+router.get("/", isAuthenticated, getWallet);
+router.get("/statement", isAuthenticated, getWalletStatement);
+router.post("/topup", isAuthenticated, createTopUp);
+router.post("/topup/:paymentId/confirm", isAuthenticated, confirmTopUp);
+
+// Admin corrections; require an Idempotency-Key header
+router.post("/admin/:userId/adjust", isAuthenticated, verifyAdmin, adminAdjustWallet);
+
+export default router;
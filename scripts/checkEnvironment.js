@@ -38,4 +38,8 @@ if (!mongoUri.startsWith('mongodb://') && !mongoUri.startsWith('mongodb+srv://')
   process.exit(1);
 }
 
+if (!process.env.PAYMENT_PROVIDER) {
+  console.warn('⚠️  PAYMENT_PROVIDER is not set: card payments, wallet top-ups and payment webhooks are disabled.');
+}
+
 console.log('✅ Environment configuration looks good!'); 
\ No newline at end of file
@@ -1,6 +1,11 @@
 import { Server } from "socket.io";
 import express from "express";
 import http from "http";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { recordSocketLocation } from "../utils/deliveryTrack.js";
+import { refreshSocketEta } from "../utils/eta.js";
+import { checkSocketGeofences } from "../utils/geofence.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -17,17 +22,70 @@ const io = new Server(server, {
 const userSocketMap = {}; // userId -> socketId
 const orderRooms = new Set(); // Set of active order room IDs
 const deliveryAgentSocketMap = {}; // agentId -> socketId
+const legacyAgentSockets = new Set(); // socketIds registered from a query agentId
 
 // Helper functions to get socket IDs
 export const getReceiverSocketId = (receiverId) => userSocketMap[receiverId];
 export const getAgentSocketId = (agentId) => deliveryAgentSocketMap[agentId];
 
+/**
+ * Emit an event to an order's room. Events for the seller part of a split
+ * order also go to the parent order's room, which is the one customers join.
+ * @param {Object} order - Order document (or { _id, parentOrder })
+ * @param {string} event
+ * @param {Object} payload
+ */
+export const emitToOrder = (order, event, payload) => {
+  const rooms = [`order_${order._id}`];
+  if (order.parentOrder) rooms.push(`order_${order.parentOrder}`);
+  io.to(rooms).emit(event, { orderId: order._id, ...payload });
+};
+
+/**
+ * Emit an event to a delivery agent's socket, if they are connected
+ * @param {Object} agent - DeliveryAgent document (or { _id, user })
+ * @param {string} event
+ * @param {Object} payload
+ */
+export const emitToAgent = (agent, event, payload) => {
+  const socketId = getAgentSocketId(agent._id.toString()) || getReceiverSocketId(agent.user?.toString());
+  if (socketId) io.to(socketId).emit(event, payload);
+};
+
+// Deprecated: apps that connect without a login token can still register
+// the agentId they pass in the query, so offers and other agent events keep
+// reaching them. Nothing they send is stored. Set SOCKET_LEGACY_AGENT_IDS=false
+// once every agent app sends a token.
+const LEGACY_AGENT_IDS_ENABLED = process.env.SOCKET_LEGACY_AGENT_IDS !== "false";
+
+// Verify the login token sent with the handshake (auth.token or an
+// Authorization header), the same way isAuthenticated does for REST calls.
+// Sockets without a token may still connect, but are never trusted with
+// delivery data.
+io.use((socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null);
+  if (!token) return next();
+
+  try {
+    const secretKey = process.env.SECRET_KEY || 'fallback-secret-key-for-development';
+    socket.data.userId = jwt.verify(token, secretKey).userId?.toString();
+    next();
+  } catch (error) {
+    next(new Error("Invalid or expired token"));
+  }
+});
+
 // Socket connection handling
 io.on("connection", (socket) => {
-  // Extract user ID from query parameters
-  const userId = socket.handshake.query.userId;
+  // The verified user wins over the user ID in the query parameters
+  const verifiedUserId = socket.data.userId;
+  const userId = verifiedUserId || socket.handshake.query.userId;
   const isDeliveryAgent = socket.handshake.query.isDeliveryAgent === 'true';
-  const agentId = socket.handshake.query.agentId;
+  // Agent this socket is registered for: the verified user's agent profile,
+  // or the query's agentId for legacy apps (emits only, see above)
+  let agentId = null;
   
   if (userId) {
     // Register the user as online
@@ -35,9 +93,32 @@ io.on("connection", (socket) => {
     console.log(`User connected: userId=${userId}, socketId=${socket.id}, isDeliveryAgent=${isDeliveryAgent}`);
     
     // If this is a delivery agent, add to the delivery agent map
-    if (isDeliveryAgent && agentId) {
-      deliveryAgentSocketMap[agentId] = socket.id;
-      console.log(`Delivery agent connected: agentId=${agentId}, socketId=${socket.id}`);
+    const agentReady = isDeliveryAgent && verifiedUserId
+      ? mongoose.model("DeliveryAgent").findOne({ user: verifiedUserId }).select("_id")
+        .then((agent) => {
+          if (!agent || socket.disconnected) return null;
+          agentId = agent._id.toString();
+          deliveryAgentSocketMap[agentId] = socket.id;
+          console.log(`Delivery agent connected: agentId=${agentId}, socketId=${socket.id}`);
+          return agentId;
+        })
+        .catch((error) => {
+          console.error(`Error loading delivery agent of user ${verifiedUserId}:`, error);
+          return null;
+        })
+      : Promise.resolve(null);
+
+    const legacyAgentId = socket.handshake.query.agentId;
+    if (isDeliveryAgent && !verifiedUserId && legacyAgentId && LEGACY_AGENT_IDS_ENABLED) {
+      console.warn(`Deprecated: delivery agent ${legacyAgentId} connected without a login token; ` +
+        "send auth.token to have locations stored");
+      // Never takes over the socket of an agent who did log in
+      const current = deliveryAgentSocketMap[legacyAgentId];
+      if (!current || legacyAgentSockets.has(current)) {
+        agentId = legacyAgentId;
+        deliveryAgentSocketMap[agentId] = socket.id;
+        legacyAgentSockets.add(socket.id);
+      }
     }
     
     // Broadcast updated online users list to all clients
@@ -99,6 +180,20 @@ io.on("connection", (socket) => {
         timestamp: new Date()
       });
       
+      // Verified agents' apps also leave a breadcrumb trail and trigger the order's geofences
+      agentReady.then((agentId) => {
+        if (!agentId) return;
+        // A stored point also moves the ETA; the track's throttle keeps this rare
+        recordSocketLocation({ agentId, orderId, location })
+          .then((stored) => stored > 0 && refreshSocketEta({ agentId, orderId, location }))
+          .catch((error) => {
+            console.error(`Error recording location for order ${orderId}:`, error);
+          });
+        checkSocketGeofences({ agentId, userId: verifiedUserId, orderId, location }).catch((error) => {
+          console.error(`Error checking geofences for order ${orderId}:`, error);
+        });
+      });
+
       console.log(`Location updated for order ${orderId}`);
     });
     
@@ -108,7 +203,8 @@ io.on("connection", (socket) => {
       delete userSocketMap[userId];
       
       // If this was a delivery agent, remove them from the agent map
-      if (isDeliveryAgent && agentId) {
+      legacyAgentSockets.delete(socket.id);
+      if (agentId && deliveryAgentSocketMap[agentId] === socket.id) {
         delete deliveryAgentSocketMap[agentId];
         console.log(`Delivery agent disconnected: agentId=${agentId}`);
       }
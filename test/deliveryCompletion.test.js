@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { callHandler, fakeQuery, makeUser } from "./helpers.js";
+import AgentEarning from "../models/agentEarning.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import DeliveryTrack from "../models/deliveryTrack.model.js";
+import Invoice from "../models/invoice.model.js";
+import Order from "../models/order.model.js";
+import { completeDelivery } from "../controllers/deliveryAgent.controller.js";
+import { recordTrackPoint } from "../utils/deliveryTrack.js";
+
+const { ObjectId } = mongoose.Types;
+
+const agentUser = makeUser({ username: "rider" });
+const doorstep = { type: "Point", coordinates: [77.6, 12.95] };
+
+const makeAgent = () => {
+  const agent = new DeliveryAgent({
+    user: agentUser.id,
+    vehicleType: "bike",
+    vehicleNumber: "KA01AB1234",
+    isVerified: true,
+    isAvailable: true,
+    currentLocation: doorstep,
+  });
+  mock.method(agent, "save", async () => agent);
+  return agent;
+};
+
+const makeOrder = (agent, fields = {}) => {
+  const order = new Order({
+    user: new ObjectId(),
+    items: [{ productId: new ObjectId(), name: "Thali", price: 150, quantity: 1 }],
+    deliveryAddress: "8 Park Street",
+    contactNumber: "9999999999",
+    subtotal: 150,
+    tax: 7.5,
+    deliveryFee: 40,
+    total: 197.5,
+    paymentMethod: "card",
+    paymentStatus: "paid",
+    status: "out_for_delivery",
+    deliveryAgent: agent._id,
+    deliveryOtp: { code: "4821", generatedAt: new Date() },
+    ...fields,
+  });
+  mock.method(order, "save", async () => order);
+  agent.activeOrders.push(order._id);
+  return order;
+};
+
+// Serve the agent and order to completeDelivery and let the rest of the delivery succeed
+const serveDelivery = (agent, order) => {
+  mock.method(DeliveryAgent, "findOne", async () => agent);
+  mock.method(Order, "findById", () => fakeQuery(order));
+  mock.method(AgentEarning, "create", async (docs) => docs);
+  mock.method(Invoice, "findOne", () => fakeQuery({ order: order._id }));
+  mock.method(DeliveryTrack, "insertMany", async (docs) => docs);
+};
+
+const deliver = (order, body = { otp: "4821" }) =>
+  callHandler(completeDelivery, { params: { orderId: order._id.toString() }, body, user: agentUser });
+
+// Whether a fix at the same spot would be stored now (the throttle forgets finished orders)
+const storesNextPoint = async (agent, order) =>
+  (await recordTrackPoint({ agentId: agent._id, orderIds: [order._id], location: doorstep })) > 0;
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(mongoose.connection, "transaction", async (fn) => fn({}));
+});
+
+describe("completeDelivery", () => {
+  it("delivers the order with the customer's code", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(agent);
+    serveDelivery(agent, order);
+
+    const { status, error } = await deliver(order);
+
+    assert.equal(error, null);
+    assert.equal(status, 200);
+    assert.equal(order.status, "delivered");
+    assert.equal(order.proofOfDelivery.method, "otp");
+    assert.equal(agent.activeOrders.length, 0);
+    assert.ok(agent.deliveryHistory.some((id) => id.equals(order._id)));
+    assert.equal(AgentEarning.create.mock.callCount(), 1);
+  });
+
+  it("drops the order's tracking state once the delivery is committed", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(agent);
+    serveDelivery(agent, order);
+
+    assert.equal(await storesNextPoint(agent, order), true);
+    assert.equal(await storesNextPoint(agent, order), false);
+
+    await deliver(order);
+
+    assert.equal(await storesNextPoint(agent, order), true);
+  });
+
+  it("keeps the tracking state when the delivery does not commit", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(agent);
+    serveDelivery(agent, order);
+    mock.method(mongoose.connection, "transaction", async () => {
+      throw new Error("Transaction aborted");
+    });
+
+    await storesNextPoint(agent, order);
+    const { error } = await deliver(order);
+
+    assert.equal(error.statusCode, 500);
+    assert.equal(await storesNextPoint(agent, order), false);
+  });
+
+  it("refuses a wrong delivery code", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(agent);
+    serveDelivery(agent, order);
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const { error } = await deliver(order, { otp: "0000" });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(order.status, "out_for_delivery");
+    assert.equal(order.deliveryOtp.attempts, 1);
+  });
+
+  it("is refused to agents the order is not assigned to", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(makeAgent());
+    serveDelivery(agent, order);
+
+    const { error } = await deliver(order);
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  it("only delivers orders that are out for delivery", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(agent, { status: "preparing" });
+    serveDelivery(agent, order);
+
+    const { error } = await deliver(order);
+
+    assert.equal(error.statusCode, 409);
+  });
+
+  it("needs the amount collected for cash orders", async () => {
+    const agent = makeAgent();
+    const order = makeOrder(agent, { paymentMethod: "cash", paymentStatus: "pending" });
+    serveDelivery(agent, order);
+
+    const { error } = await deliver(order);
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(order.status, "out_for_delivery");
+  });
+});
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import Order from "../models/order.model.js";
+import { User } from "../models/user.model.js";
+import {
+  DELIVERY_FEE_INCLUDED_KM,
+  DELIVERY_FEE_PER_KM,
+  SURGE_TIERS,
+  calculateDeliveryFee,
+  getPickupLocations,
+  getZoneSurge,
+} from "../utils/deliveryFees.js";
+import { distanceBetween } from "../utils/geo.js";
+import { DELIVERY_FEES, roundCurrency } from "../utils/pricing.js";
+
+const { ObjectId } = mongoose.Types;
+
+const point = (lng, lat) => ({ type: "Point", coordinates: [lng, lat] });
+
+const customer = point(77.6, 12.95);
+const nearSeller = point(77.605, 12.95); // about half a kilometre away
+const farSeller = point(77.65, 12.95); // about five kilometres away
+
+// A new zone per test, so surge levels cached by earlier tests do not apply
+const makeZone = (fields = {}) => ({ _id: new ObjectId(), area: {}, ...fields });
+
+// Multiplier of the highest tier the ratio reaches
+const multiplierFor = (ratio) =>
+  SURGE_TIERS.filter((tier) => ratio >= tier.ratio).pop()?.multiplier ?? 1;
+
+const mockDemand = (openOrders, availableAgents) => {
+  mock.method(Order, "countDocuments", async () => openOrders);
+  mock.method(DeliveryAgent, "countDocuments", async () => availableAgents);
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+describe("calculateDeliveryFee", () => {
+  it("charges nothing for pickup", async () => {
+    const fee = await calculateDeliveryFee({ deliveryMethod: "pickup", pickupLocations: [nearSeller] });
+    assert.equal(fee.deliveryFee, DELIVERY_FEES.pickup);
+    assert.equal(fee.distanceMeters, 0);
+  });
+
+  it("charges only the base fee within the included distance", async () => {
+    const fee = await calculateDeliveryFee({
+      deliveryMethod: "standard",
+      pickupLocations: [nearSeller],
+      deliveryLocation: customer,
+    });
+
+    assert.ok(fee.distanceMeters < DELIVERY_FEE_INCLUDED_KM * 1000);
+    assert.equal(fee.distanceFee, 0);
+    assert.equal(fee.surgeMultiplier, 1);
+    assert.equal(fee.deliveryFee, DELIVERY_FEES.standard);
+  });
+
+  it("charges per kilometre beyond the included distance from the furthest pickup", async () => {
+    const fee = await calculateDeliveryFee({
+      deliveryMethod: "express",
+      pickupLocations: [nearSeller, farSeller],
+      deliveryLocation: customer,
+    });
+
+    const distanceMeters = Math.round(distanceBetween(farSeller, customer));
+    const distanceFee = roundCurrency((distanceMeters / 1000 - DELIVERY_FEE_INCLUDED_KM) * DELIVERY_FEE_PER_KM);
+    const expressFee = DELIVERY_FEES.express - DELIVERY_FEES.standard;
+
+    assert.equal(fee.distanceMeters, distanceMeters);
+    assert.equal(fee.distanceFee, distanceFee);
+    assert.equal(fee.expressFee, expressFee);
+    assert.equal(fee.deliveryFee, roundCurrency(DELIVERY_FEES.standard + distanceFee + expressFee));
+  });
+
+  it("starts from the zone's fee and applies its surge", async () => {
+    mockDemand(3, 2);
+    const zone = makeZone({ deliveryFee: 30 });
+
+    const fee = await calculateDeliveryFee({
+      deliveryMethod: "standard",
+      zone,
+      pickupLocations: [nearSeller],
+      deliveryLocation: customer,
+    });
+
+    const multiplier = multiplierFor(1.5);
+    assert.equal(fee.baseFee, 30);
+    assert.equal(fee.surgeMultiplier, multiplier);
+    assert.equal(fee.deliveryFee, roundCurrency(30 * multiplier));
+    assert.equal(fee.surgeFee, roundCurrency(30 * multiplier - 30));
+  });
+});
+
+describe("getZoneSurge", () => {
+  it("puts zones with waiting orders and no agents on the highest tier", async () => {
+    mockDemand(4, 0);
+
+    const surge = await getZoneSurge(makeZone());
+
+    assert.equal(surge.level, SURGE_TIERS.length);
+    assert.equal(surge.multiplier, SURGE_TIERS[SURGE_TIERS.length - 1].multiplier);
+    assert.equal(surge.demandRatio, null);
+  });
+
+  it("does not surge quiet zones", async () => {
+    mockDemand(0, 0);
+
+    const surge = await getZoneSurge(makeZone());
+
+    assert.equal(surge.level, 0);
+    assert.equal(surge.multiplier, 1);
+  });
+
+  it("reuses a recent count unless a fresh one is asked for", async () => {
+    mockDemand(1, 4);
+    const zone = makeZone();
+
+    await getZoneSurge(zone);
+    await getZoneSurge(zone);
+    assert.equal(Order.countDocuments.mock.callCount(), 1);
+
+    await getZoneSurge(zone, { fresh: true });
+    assert.equal(Order.countDocuments.mock.callCount(), 2);
+  });
+});
+
+describe("getPickupLocations", () => {
+  it("uses the sellers' stored locations and skips sellers without one", async () => {
+    const withLocation = new ObjectId();
+    const withoutLocation = new ObjectId();
+    mock.method(User, "find", () => ({
+      select: async () => [
+        { _id: withLocation, location: farSeller },
+        { _id: withoutLocation, location: point(0, 0) },
+      ],
+    }));
+
+    const locations = await getPickupLocations([withLocation, withoutLocation]);
+
+    assert.deepEqual(locations, [farSeller]);
+  });
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { callHandler, makeUser } from "./helpers.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import DeliveryTrack from "../models/deliveryTrack.model.js";
+import Order from "../models/order.model.js";
+import { updateLocation } from "../controllers/deliveryAgent.controller.js";
+import { io } from "../socket/socket.js";
+
+const { ObjectId } = mongoose.Types;
+
+const agentUser = makeUser({ username: "rider" });
+const seller = [77.6, 12.95];
+
+const makeAgent = (orders) => {
+  const agent = new DeliveryAgent({
+    user: agentUser.id,
+    vehicleType: "bike",
+    isVerified: true,
+    isAvailable: true,
+    activeOrders: orders.map((order) => order._id),
+  });
+  mock.method(agent, "save", async () => agent);
+  return agent;
+};
+
+const makeOrder = () => {
+  const order = new Order({
+    user: new ObjectId(),
+    items: [{ productId: new ObjectId(), name: "Pulao", price: 120, quantity: 1 }],
+    deliveryAddress: "5 River Lane",
+    contactNumber: "9999999999",
+    subtotal: 120,
+    tax: 6,
+    deliveryFee: 40,
+    total: 166,
+    status: "out_for_delivery",
+    pickupLocation: { type: "Point", coordinates: seller },
+    deliveryLocation: { type: "Point", coordinates: [77.62, 12.96] },
+  });
+  mock.method(order, "save", async () => {
+    throw new Error("Write conflict");
+  });
+  return order;
+};
+
+// Rooms that got a deliveryLocationUpdate
+const locationRooms = () => {
+  const rooms = [];
+  mock.method(io, "to", (room) => ({
+    emit: (event) => {
+      if (event === "deliveryLocationUpdate") rooms.push(...[room].flat());
+    },
+  }));
+  return rooms;
+};
+
+const sendLocation = () =>
+  callHandler(updateLocation, {
+    body: { longitude: seller[0], latitude: seller[1] },
+    user: agentUser,
+  });
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+describe("updateLocation", () => {
+  it("saves the location and updates every order when tracking fails", async () => {
+    const orders = [makeOrder(), makeOrder()];
+    const agent = makeAgent(orders);
+    mock.method(DeliveryAgent, "findOne", async () => agent);
+    mock.method(Order, "find", async () => orders);
+    mock.method(DeliveryTrack, "insertMany", async () => {
+      throw new Error("Time series collection unavailable");
+    });
+    const rooms = locationRooms();
+
+    // The second fix at the seller enters the pickup fence, whose save fails
+    await sendLocation();
+    const { status, body, error } = await sendLocation();
+
+    assert.equal(error, null);
+    assert.equal(status, 200);
+    assert.deepEqual(body.currentLocation.coordinates, seller);
+    assert.equal(agent.save.mock.callCount(), 2);
+    assert.ok(orders.every((order) => order.save.mock.callCount() === 1));
+    assert.deepEqual(rooms.slice(-2), orders.map((order) => `order_${order._id}`));
+  });
+
+  it("needs valid coordinates", async () => {
+    const { error } = await callHandler(updateLocation, {
+      body: { longitude: "77.6", latitude: 12.95 },
+      user: agentUser,
+    });
+
+    assert.equal(error.statusCode, 400);
+  });
+});
@@ -0,0 +1,160 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { callHandler, fakeQuery, makeUser } from "./helpers.js";
+import DispatchAttempt from "../models/dispatchAttempt.model.js";
+import Order from "../models/order.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import { acceptSellerOrder } from "../controllers/sellerOrder.controller.js";
+import { startDispatch } from "../utils/dispatch.js";
+import { afterOrderCommit } from "../utils/orderEvents.js";
+import { confirmDueScheduledOrders } from "../utils/orderScheduler.js";
+import { saveOrder } from "../utils/orderSplit.js";
+
+const { ObjectId } = mongoose.Types;
+
+const seller = makeUser({ username: "seller" });
+
+// An order as loaded from the database
+const makeOrder = (fields = {}) => {
+  const order = Order.hydrate({
+    _id: new ObjectId(),
+    user: new ObjectId(),
+    items: [{ productId: new ObjectId(), name: "Idli", price: 60, quantity: 2 }],
+    deliveryAddress: "3 Hill Road",
+    contactNumber: "9999999999",
+    subtotal: 120,
+    tax: 6,
+    deliveryFee: 40,
+    total: 166,
+    pickupLocation: { type: "Point", coordinates: [77.6, 12.95] },
+    ...fields,
+  });
+  mock.method(order, "save", async () => order);
+  return order;
+};
+
+// Order.updateOne calls that tried to start a dispatch round
+const dispatchStarts = () =>
+  Order.updateOne.mock.calls.filter((call) => call.arguments[1].$inc?.["dispatch.round"]);
+
+beforeEach(() => {
+  mock.restoreAll();
+  // Stores ETAs and claims orders for dispatch; nothing is waiting unless a test says so
+  mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+});
+
+describe("dispatch after a confirmation", () => {
+  it("starts as soon as a seller accepts the order", async () => {
+    const order = makeOrder();
+    mock.method(Order, "findById", async () => order);
+    mock.method(Post, "exists", async () => ({ _id: new ObjectId() }));
+
+    const { status } = await callHandler(acceptSellerOrder, {
+      params: { id: order._id.toString() },
+      body: { prepTimeMinutes: 20 },
+      user: seller,
+    });
+
+    assert.equal(status, 200);
+    const starts = dispatchStarts();
+    assert.equal(starts.length, 1);
+    assert.deepEqual(starts[0].arguments[0]._id, order._id);
+    assert.equal(starts[0].arguments[0].status, "confirmed");
+  });
+
+  it("does not start when the confirmation was not saved", async () => {
+    const order = makeOrder();
+    mock.method(order, "save", async () => {
+      throw new Error("Write conflict");
+    });
+    mock.method(Order, "findById", async () => order);
+    mock.method(Post, "exists", async () => ({ _id: new ObjectId() }));
+
+    const { error } = await callHandler(acceptSellerOrder, {
+      params: { id: order._id.toString() },
+      body: { prepTimeMinutes: 20 },
+      user: seller,
+    });
+
+    assert.equal(error.statusCode, 500);
+    assert.equal(dispatchStarts().length, 0);
+  });
+
+  it("starts for scheduled orders the scheduler confirms", async () => {
+    const order = makeOrder({ deliverySlot: { start: new Date(), end: new Date(Date.now() + 3600000) } });
+    mock.method(Order, "find", async () => [order]);
+
+    const confirmed = await confirmDueScheduledOrders();
+
+    assert.equal(confirmed, 1);
+    assert.equal(order.status, "confirmed");
+    assert.equal(dispatchStarts().length, 1);
+  });
+
+  it("runs the side effects of a save only once", async () => {
+    const order = makeOrder({ estimatedReadyTime: new Date(Date.now() + 600000) });
+    order.status = "confirmed";
+    await saveOrder(order);
+
+    await afterOrderCommit(order);
+    await afterOrderCommit(order);
+
+    assert.equal(dispatchStarts().length, 1);
+  });
+
+  it("leaves orders saved without a status change alone", async () => {
+    const order = makeOrder({ status: "confirmed" });
+    order.deliveryInstructions = "Ring twice";
+    await saveOrder(order);
+
+    await afterOrderCommit(order);
+
+    assert.equal(Order.updateOne.mock.callCount(), 0);
+  });
+});
+
+describe("startDispatch", () => {
+  it("does nothing for orders that are not waiting for an agent", async () => {
+    const started = await startDispatch(new ObjectId());
+
+    assert.equal(started, false);
+    assert.equal(dispatchStarts().length, 1);
+  });
+
+  it("fails the round and alerts admins when the order has no pickup point", async () => {
+    const order = makeOrder({
+      status: "confirmed",
+      pickupLocation: { type: "Point", coordinates: [0, 0] },
+      dispatch: { status: "offered", round: 1 },
+    });
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(Order, "findOneAndUpdate", async () => order);
+    mock.method(DispatchAttempt, "countDocuments", async () => 0);
+    mock.method(User, "find", () => fakeQuery([]));
+
+    const started = await startDispatch(order._id);
+
+    assert.equal(started, true);
+    const failed = Order.updateOne.mock.calls.at(-1).arguments[1];
+    assert.equal(failed.$set["dispatch.status"], "failed");
+  });
+});
+
+describe("saveOrder", () => {
+  it("moves a split parent along with its seller orders", async () => {
+    const parent = makeOrder({ orderType: "parent", status: "processing" });
+    const child = makeOrder({ orderType: "child", parentOrder: parent._id });
+    const sibling = { status: "confirmed" };
+    child.status = "confirmed";
+    mock.method(Order, "findById", () => fakeQuery(parent));
+    mock.method(Order, "find", () => fakeQuery([child, sibling]));
+
+    await saveOrder(child);
+
+    assert.equal(parent.status, "confirmed");
+    assert.equal(parent.save.mock.callCount(), 1);
+    assert.equal(parent.statusHistory.at(-1).actorRole, "system");
+  });
+});
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Tests never connect to MongoDB: a query that was not mocked fails at once
+// instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+/**
+ * Call an Express handler with a fake request and collect what it answered
+ * @param {Function} handler - (req, res, next) controller
+ * @param {Object} [req] - Request fields (body, params, query, user, ...)
+ * @returns {Promise<Object>} { status, body, error } - error is what was passed to next
+ */
+export const callHandler = async (handler, req = {}) => {
+  const result = { status: null, body: null, error: null, headers: {} };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+    send(body) {
+      result.body = body;
+      return res;
+    },
+    set(name, value) {
+      result.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+  };
+
+  await handler({ body: {}, params: {}, query: {}, get: () => undefined, ...req }, res, (error) => {
+    result.error = error;
+  });
+  return result;
+};
+
+/**
+ * A stand-in for a mongoose query resolving to `result`; chained query
+ * methods (select, populate, session, sort, ...) return the same query
+ * @param {*} result
+ * @returns {Object} Thenable query
+ */
+export const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of ["select", "populate", "session", "sort", "skip", "limit", "lean"]) {
+    query[method] = () => query;
+  }
+  return query;
+};
+
+/**
+ * A logged-in user as middlewares/verifyToken.js puts it on req.user
+ * @param {Object} [fields]
+ * @returns {Object} { id, username, isAdmin }
+ */
+export const makeUser = (fields = {}) => ({
+  id: new mongoose.Types.ObjectId(),
+  username: "tester",
+  isAdmin: false,
+  ...fields,
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { callHandler, fakeQuery, makeUser } from "./helpers.js";
+import Invoice from "../models/invoice.model.js";
+import Order from "../models/order.model.js";
+import { User } from "../models/user.model.js";
+import { getOrderById, getOrderInvoice } from "../controllers/order.controller.js";
+
+const { ObjectId } = mongoose.Types;
+
+const customer = makeUser({ username: "customer" });
+
+const makeOrder = (fields = {}) =>
+  new Order({
+    user: customer.id,
+    items: [{ productId: new ObjectId(), name: "Dosa", price: 90, quantity: 2 }],
+    deliveryAddress: "4 Lake View",
+    contactNumber: "9999999999",
+    subtotal: 180,
+    tax: 9,
+    deliveryFee: 40,
+    total: 229,
+    seller: new ObjectId(),
+    ...fields,
+  });
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+describe("getOrderInvoice", () => {
+  const serveDeliveredOrder = () => {
+    const order = makeOrder({ status: "delivered", actualDeliveryTime: new Date() });
+    mock.method(Order, "findById", async () => order);
+    mock.method(Invoice, "findOne", () =>
+      fakeQuery({ seller: order.seller, invoiceNumber: "INV-ABCDEF-000001", issuedAt: new Date() })
+    );
+    mock.method(User, "find", () => fakeQuery([]));
+    return order;
+  };
+
+  it("serves the customer their own invoice", async () => {
+    const order = serveDeliveredOrder();
+
+    const { status, body, headers, error } = await callHandler(getOrderInvoice, {
+      params: { id: order._id.toString() },
+      query: { format: "html" },
+      user: customer,
+    });
+
+    assert.equal(error, null);
+    assert.equal(status, 200);
+    assert.match(headers["content-type"], /text\/html/);
+    assert.match(body, /INV-ABCDEF-000001/);
+  });
+
+  it("serves admins any invoice", async () => {
+    const order = serveDeliveredOrder();
+
+    const { status } = await callHandler(getOrderInvoice, {
+      params: { id: order._id.toString() },
+      query: { format: "html" },
+      user: makeUser({ isAdmin: true }),
+    });
+
+    assert.equal(status, 200);
+  });
+
+  it("refuses other users", async () => {
+    const order = serveDeliveredOrder();
+
+    const { error } = await callHandler(getOrderInvoice, {
+      params: { id: order._id.toString() },
+      user: makeUser(),
+    });
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  it("waits for the delivery", async () => {
+    const order = makeOrder({ status: "out_for_delivery" });
+    mock.method(Order, "findById", async () => order);
+
+    const { error } = await callHandler(getOrderInvoice, {
+      params: { id: order._id.toString() },
+      user: customer,
+    });
+
+    assert.equal(error.statusCode, 409);
+  });
+});
+
+describe("getOrderById", () => {
+  const serveOrder = (order) => mock.method(Order, "findById", () => fakeQuery(order));
+
+  it("shows the customer the delivery code of an order on its way", async () => {
+    const order = makeOrder({ status: "out_for_delivery", deliveryOtp: { code: "4821", generatedAt: new Date() } });
+    serveOrder(order);
+
+    const { status, body } = await callHandler(getOrderById, {
+      params: { id: order._id.toString() },
+      user: customer,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.order.deliveryOtp, "4821");
+  });
+
+  it("hides the delivery code from admins", async () => {
+    const order = makeOrder({ status: "out_for_delivery", deliveryOtp: { code: "4821", generatedAt: new Date() } });
+    serveOrder(order);
+
+    const { status, body } = await callHandler(getOrderById, {
+      params: { id: order._id.toString() },
+      user: makeUser({ isAdmin: true }),
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.order.deliveryOtp, null);
+  });
+
+  it("refuses other users", async () => {
+    const order = makeOrder();
+    serveOrder(order);
+
+    const { error } = await callHandler(getOrderById, {
+      params: { id: order._id.toString() },
+      user: makeUser(),
+    });
+
+    assert.equal(error.statusCode, 403);
+  });
+});
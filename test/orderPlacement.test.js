@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { callHandler, fakeQuery, makeUser } from "./helpers.js";
+import Order from "../models/order.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import { createOrder } from "../controllers/order.controller.js";
+
+const { ObjectId } = mongoose.Types;
+
+const customer = makeUser({ username: "customer" });
+const point = (lng, lat) => ({ type: "Point", coordinates: [lng, lat] });
+
+// Sellers with the location stored on their profile ([0, 0] when they never set one)
+const makeSeller = (location = point(0, 0)) => ({ _id: new ObjectId(), location });
+
+const makeDish = (seller) =>
+  Post.hydrate({ _id: new ObjectId(), caption: "Paneer roll", price: "90", author: seller._id });
+
+// Serve the dishes and sellers and let the checkout transaction succeed
+const serveCheckout = (dishes, sellers) => {
+  mock.method(Post, "find", async () => dishes);
+  mock.method(Post, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(User, "find", () => fakeQuery(sellers));
+  mock.method(User, "findById", () => fakeQuery(null));
+  mock.method(Order, "countDocuments", () => fakeQuery(0));
+  mock.method(Order, "find", () => fakeQuery([]));
+  mock.method(Order, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(Order.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(mongoose.connection, "transaction", async (fn) => fn({}));
+};
+
+const checkout = (dishes, body = {}) =>
+  callHandler(createOrder, {
+    body: {
+      items: dishes.map((dish) => ({ productId: dish._id.toString(), quantity: 1 })),
+      deliveryMethod: "pickup",
+      paymentMethod: "cash",
+      deliveryAddress: "Collect at the counter",
+      contactNumber: "9999999999",
+      ...body,
+    },
+    user: customer,
+  });
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+describe("createOrder pickup points", () => {
+  it("takes a single-seller order's pickup point from the seller, not the client", async () => {
+    const seller = makeSeller(point(77.59, 12.97));
+    const dish = makeDish(seller);
+    serveCheckout([dish], [seller]);
+
+    const { status, body, error } = await checkout([dish], { pickupCoordinates: [10, 10] });
+
+    assert.equal(error, null);
+    assert.equal(status, 201);
+    assert.equal(body.order.orderType, "single");
+    assert.deepEqual([...body.order.pickupLocation.coordinates], [77.59, 12.97]);
+  });
+
+  it("leaves the pickup point unset when the seller has no stored location", async () => {
+    const seller = makeSeller();
+    const dish = makeDish(seller);
+    serveCheckout([dish], [seller]);
+
+    const { status, body } = await checkout([dish], { pickupCoordinates: [10, 10] });
+
+    assert.equal(status, 201);
+    assert.deepEqual([...body.order.pickupLocation.coordinates], [0, 0]);
+  });
+
+  it("gives each seller order of a split cart its own seller's location", async () => {
+    const located = makeSeller(point(77.59, 12.97));
+    const unlocated = makeSeller();
+    const dishes = [makeDish(located), makeDish(unlocated)];
+    serveCheckout(dishes, [located, unlocated]);
+
+    const { status, body } = await checkout(dishes, { pickupCoordinates: [10, 10] });
+
+    assert.equal(status, 201);
+    assert.equal(body.order.orderType, "parent");
+    const pickups = new Map(body.childOrders.map((child) => [
+      child.seller.toString(),
+      [...child.pickupLocation.coordinates],
+    ]));
+    assert.deepEqual(pickups.get(located._id.toString()), [77.59, 12.97]);
+    assert.deepEqual(pickups.get(unlocated._id.toString()), [0, 0]);
+  });
+});
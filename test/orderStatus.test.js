@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ORDER_ROLES,
+  assertTransition,
+  buildStatusTimeline,
+  deriveParentStatus,
+  getAllowedTransitions,
+  transitionOrder,
+} from "../utils/orderStatus.js";
+
+const { CUSTOMER, SELLER, AGENT, ADMIN, SYSTEM } = ORDER_ROLES;
+
+const makeOrder = (fields = {}) => ({
+  status: "processing",
+  paymentMethod: "cash",
+  paymentStatus: "pending",
+  statusHistory: [],
+  ...fields,
+});
+
+describe("getAllowedTransitions", () => {
+  it("lists the moves open to the given roles", () => {
+    assert.deepEqual(getAllowedTransitions("processing", [CUSTOMER]), ["cancelled"]);
+    assert.deepEqual(getAllowedTransitions("confirmed", [SELLER]), ["preparing", "cancelled"]);
+    assert.deepEqual(getAllowedTransitions("delivered", [ADMIN]), []);
+    assert.deepEqual(getAllowedTransitions("unknown", [ADMIN]), []);
+  });
+});
+
+describe("assertTransition", () => {
+  it("returns the role that permits the move", () => {
+    assert.equal(assertTransition(makeOrder(), "confirmed", [CUSTOMER, SELLER]), SELLER);
+  });
+
+  it("rejects unknown statuses", () => {
+    assert.throws(() => assertTransition(makeOrder(), "lost", [ADMIN]), { statusCode: 400 });
+  });
+
+  it("rejects illegal moves with the allowed statuses", () => {
+    assert.throws(() => assertTransition(makeOrder({ status: "delivered" }), "processing", [ADMIN]), (error) => {
+      assert.equal(error.statusCode, 409);
+      assert.deepEqual(error.details.allowedStatuses, []);
+      return true;
+    });
+  });
+
+  it("rejects roles that may not take a legal move", () => {
+    assert.throws(() => assertTransition(makeOrder({ status: "preparing" }), "cancelled", [CUSTOMER]), {
+      statusCode: 403,
+    });
+  });
+
+  it("only lets the delivering agent mark an order delivered", () => {
+    const order = makeOrder({ status: "out_for_delivery" });
+    assert.throws(() => assertTransition(order, "delivered", [ADMIN, SELLER]), { statusCode: 403 });
+    assert.equal(assertTransition(order, "delivered", [AGENT]), AGENT);
+  });
+
+  it("refuses to confirm prepaid orders before they are paid", () => {
+    const unpaid = makeOrder({ paymentMethod: "card" });
+    for (const role of [SELLER, ADMIN, SYSTEM]) {
+      assert.throws(() => assertTransition(unpaid, "confirmed", [role]), { statusCode: 409 });
+    }
+
+    assert.equal(assertTransition(makeOrder({ paymentMethod: "card", paymentStatus: "paid" }), "confirmed", [SELLER]), SELLER);
+    assert.equal(assertTransition(unpaid, "cancelled", [CUSTOMER]), CUSTOMER);
+  });
+});
+
+describe("transitionOrder", () => {
+  it("changes the status and records who changed it", () => {
+    const order = makeOrder();
+    const from = transitionOrder(order, "confirmed", { roles: [SELLER], actorId: "user1" });
+
+    assert.equal(from, "processing");
+    assert.equal(order.status, "confirmed");
+    assert.equal(order.statusHistory.length, 1);
+    assert.equal(order.statusHistory[0].status, "confirmed");
+    assert.equal(order.statusHistory[0].actor, "user1");
+    assert.equal(order.statusHistory[0].actorRole, SELLER);
+    assert.equal(order.statusHistory[0].note, "Status changed from processing to confirmed");
+  });
+
+  it("leaves the order untouched when the move is refused", () => {
+    const order = makeOrder();
+    assert.throws(() => transitionOrder(order, "delivered", { roles: [ADMIN] }), { statusCode: 409 });
+    assert.equal(order.status, "processing");
+    assert.equal(order.statusHistory.length, 0);
+  });
+
+  it("hands out a delivery code when the order goes out", () => {
+    const order = makeOrder({ status: "preparing" });
+    transitionOrder(order, "out_for_delivery", { roles: [AGENT] });
+
+    assert.match(order.deliveryOtp.code, /^\d+$/);
+    assert.equal(order.deliveryOtp.attempts, 0);
+  });
+
+  it("stamps the delivery time", () => {
+    const order = makeOrder({ status: "out_for_delivery" });
+    transitionOrder(order, "delivered", { roles: [AGENT] });
+    assert.ok(order.actualDeliveryTime instanceof Date);
+  });
+
+  it("leaves paid orders waiting for their refund when they are cancelled", () => {
+    const paid = makeOrder({ status: "confirmed", paymentStatus: "paid" });
+    transitionOrder(paid, "cancelled", { roles: [CUSTOMER] });
+    assert.equal(paid.paymentStatus, "refund_pending");
+
+    const unpaid = makeOrder({ status: "confirmed" });
+    transitionOrder(unpaid, "cancelled", { roles: [CUSTOMER] });
+    assert.equal(unpaid.paymentStatus, "pending");
+  });
+});
+
+describe("buildStatusTimeline", () => {
+  it("measures the time spent in each status of a finished order", () => {
+    const at = (minutes) => new Date(Date.UTC(2024, 0, 1, 12, minutes));
+    const { timeline, stageDurations, totalDuration } = buildStatusTimeline({
+      status: "delivered",
+      statusHistory: [
+        { status: "confirmed", timestamp: at(5) },
+        { status: "processing", timestamp: at(0) },
+        { status: "delivered", timestamp: at(45), location: { coordinates: [77.6, 12.9] } },
+      ],
+    });
+
+    assert.deepEqual(timeline.map((entry) => entry.status), ["processing", "confirmed", "delivered"]);
+    assert.equal(stageDurations.processing, 5 * 60 * 1000);
+    assert.equal(stageDurations.confirmed, 40 * 60 * 1000);
+    assert.equal(stageDurations.delivered, 0);
+    assert.equal(totalDuration, 45 * 60 * 1000);
+    assert.equal(timeline[0].location, null);
+    assert.deepEqual(timeline[2].location.coordinates, [77.6, 12.9]);
+    assert.ok(timeline.every((entry) => !entry.isCurrent));
+  });
+
+  it("keeps the last status of an active order running", () => {
+    const { timeline } = buildStatusTimeline({
+      status: "confirmed",
+      statusHistory: [{ status: "confirmed", timestamp: new Date(Date.now() - 60 * 1000) }],
+    });
+    assert.ok(timeline[0].isCurrent);
+    assert.ok(timeline[0].durationMs >= 60 * 1000);
+  });
+});
+
+describe("deriveParentStatus", () => {
+  it("follows the least advanced active child", () => {
+    assert.equal(deriveParentStatus(["delivered", "preparing", "cancelled"]), "preparing");
+    assert.equal(deriveParentStatus(["delivered", "cancelled"]), "delivered");
+  });
+
+  it("is cancelled once every child is", () => {
+    assert.equal(deriveParentStatus(["cancelled", "cancelled"]), "cancelled");
+  });
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { callHandler, fakeQuery, makeUser } from "./helpers.js";
+import Payment from "../models/payment.model.js";
+import { createTopUp } from "../controllers/wallet.controller.js";
+import { paymentWebhook } from "../controllers/payment.controller.js";
+import { WALLET_MAX_TOPUP } from "../utils/wallet.js";
+import {
+  assertPaymentsAvailable,
+  getPaymentConfigProblem,
+  getPaymentProvider,
+} from "../utils/paymentProviders/index.js";
+import { signWebhookPayload } from "../utils/paymentProviders/mock.js";
+
+const PAYMENT_ENV = ["NODE_ENV", "PAYMENT_PROVIDER", "MOCK_PAYMENT_WEBHOOK_SECRET"];
+let savedEnv;
+
+const setEnv = (values) => {
+  for (const name of PAYMENT_ENV) {
+    if (values[name] === undefined) delete process.env[name];
+    else process.env[name] = values[name];
+  }
+};
+
+const MOCK_ENV = { NODE_ENV: "test", PAYMENT_PROVIDER: "mock", MOCK_PAYMENT_WEBHOOK_SECRET: "whsec_test" };
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(PAYMENT_ENV.map((name) => [name, process.env[name]]));
+  mock.restoreAll();
+});
+
+afterEach(() => {
+  setEnv(savedEnv);
+});
+
+describe("payment configuration", () => {
+  it("accepts the mock in tests once its webhook secret is set", () => {
+    setEnv(MOCK_ENV);
+    assert.equal(getPaymentConfigProblem(), null);
+    assert.equal(getPaymentProvider().name, "mock");
+  });
+
+  it("has no default provider", () => {
+    setEnv({ NODE_ENV: "test" });
+    assert.match(getPaymentConfigProblem(), /PAYMENT_PROVIDER/);
+    assert.throws(() => getPaymentProvider(), { statusCode: 503 });
+  });
+
+  it("refuses the mock in production", () => {
+    setEnv({ ...MOCK_ENV, NODE_ENV: "production" });
+    assert.match(getPaymentConfigProblem(), /NODE_ENV is production/);
+    assert.throws(() => assertPaymentsAvailable(), { statusCode: 503 });
+    assert.throws(() => getPaymentProvider("mock"), { statusCode: 503 });
+  });
+
+  it("refuses the mock without a webhook secret", () => {
+    setEnv({ ...MOCK_ENV, MOCK_PAYMENT_WEBHOOK_SECRET: undefined });
+    assert.match(getPaymentConfigProblem(), /MOCK_PAYMENT_WEBHOOK_SECRET/);
+    assert.throws(() => assertPaymentsAvailable(), { statusCode: 503 });
+  });
+
+  it("rejects unknown providers", () => {
+    setEnv({ ...MOCK_ENV, PAYMENT_PROVIDER: "acme" });
+    assert.match(getPaymentConfigProblem(), /Unknown payment provider: acme/);
+  });
+});
+
+describe("paymentWebhook", () => {
+  const webhookRequest = (body) => ({
+    params: { provider: "mock" },
+    rawBody: Buffer.from(body),
+    headers: { "x-mock-signature": signWebhookPayload(body) },
+  });
+
+  it("answers 503 when no provider is configured", async () => {
+    setEnv(MOCK_ENV);
+    const request = webhookRequest(JSON.stringify({ id: "evt_1", type: "payment.succeeded", data: { id: "pi_1" } }));
+    setEnv({ NODE_ENV: "production" });
+
+    const { error } = await callHandler(paymentWebhook, request);
+
+    assert.equal(error.statusCode, 503);
+  });
+
+  it("accepts signed events from the configured provider", async () => {
+    setEnv(MOCK_ENV);
+    mock.method(Payment, "findOne", () => fakeQuery(null));
+
+    const { status, body } = await callHandler(
+      paymentWebhook,
+      webhookRequest(JSON.stringify({ id: "evt_2", type: "payment.succeeded", data: { id: "pi_unknown" } }))
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { received: true, ignored: true });
+  });
+
+  it("rejects events with a bad signature", async () => {
+    setEnv(MOCK_ENV);
+    const request = webhookRequest(JSON.stringify({ id: "evt_3" }));
+    request.rawBody = Buffer.from(JSON.stringify({ id: "evt_3", forged: true }));
+
+    const { error } = await callHandler(paymentWebhook, request);
+
+    assert.equal(error.statusCode, 400);
+  });
+});
+
+describe("createTopUp", () => {
+  it("answers 503 when no provider is configured", async () => {
+    setEnv({ NODE_ENV: "production", PAYMENT_PROVIDER: "mock", MOCK_PAYMENT_WEBHOOK_SECRET: "whsec_test" });
+
+    const { error } = await callHandler(createTopUp, { body: { amount: 100 }, id: makeUser().id });
+
+    assert.equal(error.statusCode, 503);
+  });
+
+  it("caps the amount of a single top-up", async () => {
+    setEnv(MOCK_ENV);
+
+    const { error } = await callHandler(createTopUp, { body: { amount: WALLET_MAX_TOPUP + 1 }, id: makeUser().id });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.maxTopUp, WALLET_MAX_TOPUP);
+  });
+});
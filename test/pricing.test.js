@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DELIVERY_FEES,
+  TAX_RATE,
+  computeDiscount,
+  computeTotals,
+  findTotalMismatches,
+  getDeliveryFee,
+  getSellerIds,
+  parsePrice,
+  roundCurrency,
+  toQuoteSummary,
+  withDeliveryFee,
+} from "../utils/pricing.js";
+
+const lineItems = [
+  { price: 120, quantity: 2 },
+  { price: 45.5, quantity: 1 },
+];
+
+describe("roundCurrency", () => {
+  it("rounds to two decimals", () => {
+    assert.equal(roundCurrency(1.005), 1.01);
+    assert.equal(roundCurrency(10.234), 10.23);
+    assert.equal(roundCurrency("7.5"), 7.5);
+  });
+});
+
+describe("parsePrice", () => {
+  it("reads numbers out of free-form prices", () => {
+    assert.equal(parsePrice("120"), 120);
+    assert.equal(parsePrice("₹120.50"), 120.5);
+    assert.equal(parsePrice(99), 99);
+  });
+
+  it("returns NaN when there is no number", () => {
+    assert.ok(Number.isNaN(parsePrice("")));
+    assert.ok(Number.isNaN(parsePrice("free")));
+    assert.ok(Number.isNaN(parsePrice(null)));
+  });
+});
+
+describe("getDeliveryFee", () => {
+  it("charges the flat fee without a zone", () => {
+    assert.equal(getDeliveryFee("standard"), DELIVERY_FEES.standard);
+    assert.equal(getDeliveryFee("express"), DELIVERY_FEES.express);
+    assert.equal(getDeliveryFee("pickup"), 0);
+  });
+
+  it("replaces the standard fee with the zone's and keeps the express surcharge", () => {
+    const zone = { deliveryFee: 25 };
+    assert.equal(getDeliveryFee("standard", zone), 25);
+    assert.equal(getDeliveryFee("express", zone), 25 + DELIVERY_FEES.express - DELIVERY_FEES.standard);
+    assert.equal(getDeliveryFee("pickup", zone), 0);
+  });
+});
+
+describe("computeDiscount", () => {
+  it("applies percentage promos up to their cap", () => {
+    assert.equal(computeDiscount({ discountType: "percentage", discountValue: 10 }, 500), 50);
+    assert.equal(computeDiscount({ discountType: "percentage", discountValue: 50, maxDiscount: 100 }, 500), 100);
+  });
+
+  it("never discounts more than the subtotal", () => {
+    assert.equal(computeDiscount({ discountType: "flat", discountValue: 200 }, 150), 150);
+    assert.equal(computeDiscount({ discountType: "flat", discountValue: 20 }, 0), 0);
+    assert.equal(computeDiscount(null, 150), 0);
+  });
+});
+
+describe("computeTotals", () => {
+  it("taxes the discounted subtotal and adds the delivery fee and tip", () => {
+    const totals = computeTotals(lineItems, { deliveryMethod: "standard", discount: 30, tip: 20 });
+    const tax = roundCurrency((285.5 - 30) * TAX_RATE);
+
+    assert.deepEqual(totals, {
+      subtotal: 285.5,
+      tax,
+      deliveryFee: DELIVERY_FEES.standard,
+      discount: 30,
+      tip: 20,
+      total: roundCurrency(285.5 - 30 + tax + DELIVERY_FEES.standard + 20),
+    });
+  });
+
+  it("caps the discount at the subtotal", () => {
+    const totals = computeTotals(lineItems, { deliveryMethod: "pickup", discount: 1000 });
+    assert.equal(totals.discount, 285.5);
+    assert.equal(totals.tax, 0);
+    assert.equal(totals.total, 0);
+  });
+
+  it("prices delivery with the zone's fee", () => {
+    const totals = computeTotals(lineItems, { zone: { deliveryFee: 15 } });
+    assert.equal(totals.deliveryFee, 15);
+  });
+
+  it("rejects unknown delivery methods", () => {
+    assert.throws(() => computeTotals(lineItems, { deliveryMethod: "drone" }), { statusCode: 400 });
+  });
+});
+
+describe("withDeliveryFee", () => {
+  it("re-totals the quote with the new fee and keeps the breakdown", () => {
+    const quote = { ...computeTotals(lineItems, { tip: 10 }), items: lineItems };
+    const breakdown = { deliveryFee: 73.4, distanceMeters: 5200 };
+    const priced = withDeliveryFee(quote, breakdown);
+
+    assert.equal(priced.deliveryFee, 73.4);
+    assert.equal(priced.deliveryFeeDetails, breakdown);
+    assert.equal(priced.total, roundCurrency(quote.total - quote.deliveryFee + 73.4));
+    assert.equal(priced.items, lineItems);
+  });
+});
+
+describe("findTotalMismatches", () => {
+  const quote = { subtotal: 100, tax: 5, deliveryFee: 40, discount: 0, total: 145 };
+
+  it("accepts amounts within rounding noise and skips fields not sent", () => {
+    assert.deepEqual(findTotalMismatches(quote, { subtotal: 100.004, total: 145 }), []);
+    assert.deepEqual(findTotalMismatches(quote), []);
+  });
+
+  it("reports amounts that differ or are not numbers", () => {
+    assert.deepEqual(findTotalMismatches(quote, { total: 140, tax: "five" }), [
+      { field: "tax", expected: 5, received: "five" },
+      { field: "total", expected: 145, received: 140 },
+    ]);
+  });
+});
+
+describe("toQuoteSummary", () => {
+  it("leaves out line items and promo documents", () => {
+    const summary = toQuoteSummary({
+      subtotal: 100, tax: 5, deliveryFee: 40, discount: 0, tip: 0, total: 145, items: lineItems, promo: {},
+    });
+    assert.deepEqual(summary, { subtotal: 100, tax: 5, deliveryFee: 40, discount: 0, tip: 0, total: 145 });
+  });
+});
+
+describe("getSellerIds", () => {
+  it("lists each post author once", () => {
+    const sellers = getSellerIds([
+      { product: { author: "seller1" } },
+      { product: { author: "seller2" } },
+      { product: { author: "seller1" } },
+      { product: null },
+    ]);
+    assert.deepEqual(sellers, ["seller1", "seller2"]);
+  });
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { fakeQuery } from "./helpers.js";
+import Order from "../models/order.model.js";
+import Payment from "../models/payment.model.js";
+import PromoRedemption from "../models/promoRedemption.model.js";
+import { cancelOrderAsSystem } from "../utils/orderCancellation.js";
+import { applyPaymentResult } from "../utils/orderPayment.js";
+import mockProvider, { MOCK_PAYMENT_METHODS } from "../utils/paymentProviders/mock.js";
+
+const { ObjectId } = mongoose.Types;
+
+const PAYMENT_ENV = ["NODE_ENV", "PAYMENT_PROVIDER", "MOCK_PAYMENT_WEBHOOK_SECRET"];
+let savedEnv;
+
+// Payment status of the order each time it was saved
+let savedPaymentStatuses;
+
+const makeOrder = (fields = {}) => {
+  const order = Order.hydrate({
+    _id: new ObjectId(),
+    user: new ObjectId(),
+    items: [{ productId: new ObjectId(), name: "Biryani", price: 200, quantity: 1 }],
+    deliveryAddress: "12 Lake View",
+    contactNumber: "9999999999",
+    subtotal: 200,
+    tax: 10,
+    deliveryFee: 40,
+    total: 250,
+    status: "confirmed",
+    paymentMethod: "card",
+    paymentStatus: "paid",
+    inventoryStatus: "released",
+    ...fields,
+  });
+  mock.method(order, "save", async () => {
+    savedPaymentStatuses.push(order.paymentStatus);
+    return order;
+  });
+  return order;
+};
+
+// A captured mock payment for the order; an unknown intent makes refunds fail
+const makePayment = async (order, { refundable = true } = {}) => {
+  let providerPaymentId = "pi_mock_unknown";
+  if (refundable) {
+    const intent = await mockProvider.createIntent({ amount: order.total, currency: "inr" });
+    await mockProvider.confirmIntent(intent.id, { paymentMethod: MOCK_PAYMENT_METHODS.SUCCESS });
+    providerPaymentId = intent.id;
+  }
+
+  const payment = Payment.hydrate({
+    _id: new ObjectId(),
+    order: order._id,
+    user: order.user,
+    provider: "mock",
+    providerPaymentId,
+    amount: order.total,
+    amountRefunded: 0,
+    status: "succeeded",
+  });
+  mock.method(payment, "save", async () => payment);
+  mock.method(Payment, "findOne", async () => payment);
+  return payment;
+};
+
+// The [from, to] payment status moves written with Order.updateMany
+const paymentStatusMoves = () =>
+  Order.updateMany.mock.calls.map(({ arguments: [filter, update] }) => [
+    filter.paymentStatus,
+    update.$set.paymentStatus,
+  ]);
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(PAYMENT_ENV.map((name) => [name, process.env[name]]));
+  Object.assign(process.env, { NODE_ENV: "test", PAYMENT_PROVIDER: "mock", MOCK_PAYMENT_WEBHOOK_SECRET: "whsec_test" });
+  savedPaymentStatuses = [];
+
+  mock.restoreAll();
+  mock.method(mongoose.connection, "transaction", async (fn) => fn({}));
+  mock.method(PromoRedemption, "findOneAndDelete", async () => null);
+  mock.method(Order, "updateMany", async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => {
+  for (const name of PAYMENT_ENV) {
+    if (savedEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = savedEnv[name];
+  }
+});
+
+describe("refunds of cancelled orders", () => {
+  it("marks a paid order refunded once its refund has gone through", async () => {
+    const order = makeOrder();
+    const payment = await makePayment(order);
+
+    await cancelOrderAsSystem(order, "Kitchen closed");
+
+    assert.deepEqual(savedPaymentStatuses, ["refund_pending"]);
+    assert.equal(payment.amountRefunded, order.total);
+    assert.deepEqual(paymentStatusMoves(), [["refund_pending", "refunded"]]);
+    assert.equal(order.paymentStatus, "refunded");
+  });
+
+  it("keeps the order refund_pending when the refund fails", async () => {
+    const order = makeOrder();
+    await makePayment(order, { refundable: false });
+
+    await cancelOrderAsSystem(order, "Kitchen closed");
+
+    assert.equal(order.status, "cancelled");
+    assert.equal(order.paymentStatus, "refund_pending");
+    assert.deepEqual(paymentStatusMoves(), []);
+  });
+
+  it("leaves unpaid orders alone", async () => {
+    const order = makeOrder({ paymentStatus: "pending" });
+    mock.method(Payment, "findOne", async () => null);
+
+    await cancelOrderAsSystem(order, "Kitchen closed");
+
+    assert.equal(order.paymentStatus, "pending");
+    assert.equal(Payment.findOne.mock.callCount(), 0);
+  });
+});
+
+describe("payments settling after a cancellation", () => {
+  it("are refunded before the order is marked refunded", async () => {
+    const order = makeOrder({ status: "cancelled", paymentStatus: "pending" });
+    const payment = await makePayment(order);
+    payment.status = "processing";
+    mock.method(Order, "findById", () => fakeQuery(order));
+
+    await applyPaymentResult(payment, { status: "succeeded" });
+
+    assert.equal(payment.amountRefunded, order.total);
+    assert.deepEqual(paymentStatusMoves(), [
+      ["pending", "refund_pending"],
+      ["refund_pending", "refunded"],
+    ]);
+  });
+
+  it("stay refund_pending when the refund fails", async () => {
+    const order = makeOrder({ status: "cancelled", paymentStatus: "pending" });
+    const payment = await makePayment(order, { refundable: false });
+    payment.status = "processing";
+    mock.method(Order, "findById", () => fakeQuery(order));
+
+    await assert.rejects(applyPaymentResult(payment, { status: "succeeded" }), { statusCode: 404 });
+
+    assert.deepEqual(paymentStatusMoves(), [["pending", "refund_pending"]]);
+  });
+});
@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import { callHandler, makeUser } from "./helpers.js";
+import Order from "../models/order.model.js";
+import { Post } from "../models/post.model.js";
+import {
+  acceptSellerOrder,
+  declineSellerOrder,
+  markOrderReady,
+  startPreparingOrder,
+  updatePreparationTime,
+} from "../controllers/sellerOrder.controller.js";
+
+const { ObjectId } = mongoose.Types;
+
+const seller = makeUser({ username: "seller" });
+
+const makeOrder = (fields = {}) => {
+  const order = new Order({
+    user: new ObjectId(),
+    items: [{ productId: new ObjectId(), name: "Biryani", price: 180, quantity: 1 }],
+    deliveryAddress: "12 Main Road",
+    contactNumber: "9999999999",
+    subtotal: 180,
+    tax: 9,
+    deliveryFee: 40,
+    total: 229,
+    ...fields,
+  });
+  mock.method(order, "save", async () => order);
+  return order;
+};
+
+// Serve `order` from Order.findById; `sells` decides whether the caller authored its dishes
+const serveOrder = (order, { sells = true } = {}) => {
+  mock.method(Order, "findById", async () => order);
+  mock.method(Post, "exists", async () => (sells ? { _id: new ObjectId() } : null));
+};
+
+const callAsSeller = (handler, order, body = {}) =>
+  callHandler(handler, { params: { id: order?._id?.toString() || new ObjectId().toString() }, body, user: seller });
+
+beforeEach(() => {
+  mock.restoreAll();
+  // ETA writes and dispatch claims after an accepted order is saved
+  mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+});
+
+describe("seller order actions", () => {
+  it("answer 404 for orders that do not exist", async () => {
+    serveOrder(null);
+    const { error } = await callAsSeller(acceptSellerOrder, null, { prepTimeMinutes: 15 });
+    assert.equal(error.statusCode, 404);
+  });
+
+  it("send sellers of split orders to the seller orders", async () => {
+    const order = makeOrder({ orderType: "parent", childOrders: [new ObjectId()] });
+    serveOrder(order);
+
+    const { error } = await callAsSeller(startPreparingOrder, order);
+
+    assert.equal(error.statusCode, 409);
+    assert.deepEqual(error.details.childOrders, order.childOrders);
+  });
+
+  it("are refused to users who sell nothing in the order", async () => {
+    const order = makeOrder();
+    serveOrder(order, { sells: false });
+
+    for (const handler of [acceptSellerOrder, startPreparingOrder, markOrderReady]) {
+      const { error } = await callAsSeller(handler, order, { prepTimeMinutes: 15 });
+      assert.equal(error.statusCode, 403);
+    }
+    assert.equal(order.save.mock.callCount(), 0);
+  });
+});
+
+describe("acceptSellerOrder", () => {
+  it("confirms the order with the seller's preparation estimate", async () => {
+    const order = makeOrder();
+    serveOrder(order);
+
+    const { status, body } = await callAsSeller(acceptSellerOrder, order, { prepTimeMinutes: 25 });
+
+    assert.equal(status, 200);
+    assert.equal(body.order.status, "confirmed");
+    assert.equal(order.preparationTimeMinutes, 25);
+    assert.ok(order.estimatedReadyTime > new Date());
+    assert.equal(order.statusHistory.at(-1).actorRole, "seller");
+    assert.equal(order.save.mock.callCount(), 1);
+  });
+
+  it("waits for the payment of prepaid orders", async () => {
+    const order = makeOrder({ paymentMethod: "card", paymentStatus: "pending" });
+    serveOrder(order);
+
+    const { error } = await callAsSeller(acceptSellerOrder, order, { prepTimeMinutes: 25 });
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(order.status, "processing");
+  });
+
+  it("rejects preparation times that are not whole minutes", async () => {
+    const order = makeOrder();
+    serveOrder(order);
+
+    const { error } = await callAsSeller(acceptSellerOrder, order, { prepTimeMinutes: 2.5 });
+
+    assert.equal(error.statusCode, 400);
+  });
+});
+
+describe("declineSellerOrder", () => {
+  it("needs a reason", async () => {
+    const { error } = await callAsSeller(declineSellerOrder, makeOrder(), { reason: " " });
+    assert.equal(error.statusCode, 400);
+  });
+
+  it("only declines orders that were not accepted yet", async () => {
+    const order = makeOrder({ status: "confirmed" });
+    serveOrder(order);
+
+    const { error } = await callAsSeller(declineSellerOrder, order, { reason: "Out of rice" });
+
+    assert.equal(error.statusCode, 409);
+  });
+});
+
+describe("updatePreparationTime", () => {
+  it("only changes orders in the kitchen", async () => {
+    const order = makeOrder();
+    serveOrder(order);
+
+    const { error } = await callAsSeller(updatePreparationTime, order, { prepTimeMinutes: 10 });
+
+    assert.equal(error.statusCode, 409);
+  });
+});
+
+describe("startPreparingOrder", () => {
+  it("moves an accepted order into preparation", async () => {
+    const order = makeOrder({ status: "confirmed" });
+    serveOrder(order);
+
+    const { status } = await callAsSeller(startPreparingOrder, order);
+
+    assert.equal(status, 200);
+    assert.equal(order.status, "preparing");
+  });
+
+  it("cannot skip accepting the order", async () => {
+    const order = makeOrder();
+    serveOrder(order);
+
+    const { error } = await callAsSeller(startPreparingOrder, order);
+
+    assert.equal(error.statusCode, 409);
+  });
+});
+
+describe("markOrderReady", () => {
+  it("only marks orders that are being prepared", async () => {
+    const order = makeOrder({ status: "confirmed" });
+    serveOrder(order);
+
+    const { error } = await callAsSeller(markOrderReady, order);
+
+    assert.equal(error.statusCode, 409);
+  });
+
+  it("marks an order ready only once", async () => {
+    const order = makeOrder({ status: "preparing", readyForPickupAt: new Date() });
+    serveOrder(order);
+
+    const { error } = await callAsSeller(markOrderReady, order);
+
+    assert.equal(error.statusCode, 409);
+  });
+});
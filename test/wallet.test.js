@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+import LedgerEntry from "../models/ledgerEntry.model.js";
+import Wallet from "../models/wallet.model.js";
+import {
+  SYSTEM_WALLETS,
+  adjustWallet,
+  creditTopUp,
+  debitWalletForOrder,
+} from "../utils/wallet.js";
+
+const { ObjectId } = mongoose.Types;
+
+// In-memory stand-ins for the wallet and ledger collections
+let wallets;
+let entries;
+
+const findWallet = (filter) =>
+  wallets.find((wallet) =>
+    (filter._id && wallet._id.equals(filter._id)) ||
+    (filter.user && wallet.user?.equals(filter.user)) ||
+    (filter.code && wallet.code === filter.code)
+  );
+
+const fakeFindOneAndUpdate = async (filter, update) => {
+  let wallet = findWallet(filter);
+  if (!wallet && update.$setOnInsert) {
+    wallet = { _id: new ObjectId(), balance: 0, ...update.$setOnInsert };
+    wallets.push(wallet);
+  }
+  if (!wallet || (filter.balance && wallet.balance < filter.balance.$gte)) return null;
+
+  if (update.$inc) wallet.balance += update.$inc.balance;
+  return { ...wallet };
+};
+
+const fakeFind = (filter) => ({
+  session: async () => entries.filter((entry) => entry.idempotencyKey === filter.idempotencyKey),
+});
+
+const fakeCreate = async (docs) => {
+  const created = docs.map((doc) => ({ _id: new ObjectId(), ...doc }));
+  entries.push(...created);
+  return created;
+};
+
+const balanceOf = (filter) => findWallet(filter)?.balance ?? 0;
+
+beforeEach(() => {
+  wallets = [];
+  entries = [];
+  mock.restoreAll();
+  mock.method(Wallet, "findOneAndUpdate", fakeFindOneAndUpdate);
+  mock.method(LedgerEntry, "find", fakeFind);
+  mock.method(LedgerEntry, "create", fakeCreate);
+  mock.method(mongoose.connection, "transaction", async (fn) => fn({}));
+});
+
+const fundWallet = (userId, balance) => wallets.push({ _id: new ObjectId(), user: userId, balance });
+
+describe("debitWalletForOrder", () => {
+  it("moves the order total from the customer to the orders account", async () => {
+    const userId = new ObjectId();
+    fundWallet(userId, 500);
+    const order = { _id: new ObjectId(), user: userId, total: 120.5 };
+
+    const { debit, credit, replayed } = await debitWalletForOrder(order, {});
+
+    assert.equal(replayed, false);
+    assert.equal(balanceOf({ user: userId }), 379.5);
+    assert.equal(balanceOf({ code: SYSTEM_WALLETS.ORDERS }), 120.5);
+    assert.equal(debit.direction, "debit");
+    assert.equal(debit.balanceAfter, 379.5);
+    assert.equal(credit.direction, "credit");
+    assert.equal(credit.balanceAfter, 120.5);
+    assert.equal(debit.idempotencyKey, `order:${order._id}`);
+  });
+
+  it("refuses to take a wallet below zero", async () => {
+    const userId = new ObjectId();
+    fundWallet(userId, 50);
+    const order = { _id: new ObjectId(), user: userId, total: 80 };
+
+    await assert.rejects(debitWalletForOrder(order, {}), (error) => {
+      assert.equal(error.statusCode, 402);
+      assert.deepEqual(error.details, { balance: 50, required: 80 });
+      return true;
+    });
+    assert.equal(balanceOf({ user: userId }), 50);
+    assert.equal(entries.length, 0);
+  });
+
+  it("charges an order only once", async () => {
+    const userId = new ObjectId();
+    fundWallet(userId, 500);
+    const order = { _id: new ObjectId(), user: userId, total: 100 };
+
+    const first = await debitWalletForOrder(order, {});
+    const second = await debitWalletForOrder(order, {});
+
+    assert.equal(second.replayed, true);
+    assert.equal(second.debit, first.debit);
+    assert.equal(balanceOf({ user: userId }), 400);
+    assert.equal(entries.length, 2);
+  });
+
+  it("refuses a key that was used for a different amount", async () => {
+    const userId = new ObjectId();
+    fundWallet(userId, 500);
+    const order = { _id: new ObjectId(), user: userId, total: 100 };
+
+    await debitWalletForOrder(order, {});
+    await assert.rejects(debitWalletForOrder({ ...order, total: 150 }, {}), { statusCode: 409 });
+  });
+});
+
+describe("adjustWallet", () => {
+  it("credits a wallet from the adjustments account", async () => {
+    const userId = new ObjectId();
+
+    await adjustWallet({ userId, amount: 75, reason: "Goodwill", adminId: new ObjectId(), idempotencyKey: "a1" });
+
+    assert.equal(balanceOf({ user: userId }), 75);
+    assert.equal(balanceOf({ code: SYSTEM_WALLETS.ADJUSTMENTS }), -75);
+  });
+
+  it("cannot debit more than the balance", async () => {
+    const userId = new ObjectId();
+    fundWallet(userId, 30);
+
+    await assert.rejects(
+      adjustWallet({ userId, amount: -40, reason: "Correction", adminId: new ObjectId(), idempotencyKey: "a2" }),
+      { statusCode: 402 }
+    );
+    assert.equal(balanceOf({ user: userId }), 30);
+  });
+
+  it("rejects zero amounts", async () => {
+    await assert.rejects(
+      adjustWallet({ userId: new ObjectId(), amount: 0, reason: "Nothing", adminId: new ObjectId(), idempotencyKey: "a3" }),
+      { statusCode: 400 }
+    );
+  });
+});
+
+describe("creditTopUp", () => {
+  it("returns the entries of a concurrent request that won the race", async () => {
+    const payment = { _id: new ObjectId(), user: new ObjectId(), amount: 200 };
+    const winner = [
+      { idempotencyKey: `topup:${payment._id}`, direction: "debit", amount: 200 },
+      { idempotencyKey: `topup:${payment._id}`, direction: "credit", amount: 200 },
+    ];
+    // The other request commits its entries while this one is writing
+    LedgerEntry.create.mock.mockImplementationOnce(async () => {
+      entries.push(...winner);
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+
+    const result = await creditTopUp(payment);
+
+    assert.equal(result.replayed, true);
+    assert.equal(result.debit, winner[0]);
+    assert.equal(result.credit, winner[1]);
+  });
+});
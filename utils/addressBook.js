@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import createError from "./error.js";
+
+// Addresses a user can keep in their address book
+export const MAX_SAVED_ADDRESSES = 20;
+
+/**
+ * Load a user with their address book
+ * @param {string} userId
+ * @returns {Promise<Object>} User document with addresses selected
+ */
+export const getAddressBook = async (userId) => {
+  const user = await User.findById(userId).select("+addresses");
+  if (!user) {
+    throw createError(404, "User not found");
+  }
+  return user;
+};
+
+/**
+ * One address from a user's address book
+ * @param {string} userId
+ * @param {string} addressId
+ * @returns {Promise<Object>} The saved address subdocument
+ */
+export const getSavedAddress = async (userId, addressId) => {
+  if (!mongoose.Types.ObjectId.isValid(addressId)) {
+    throw createError(400, "Invalid address ID");
+  }
+
+  const user = await getAddressBook(userId);
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw createError(404, "Address not found");
+  }
+  return address;
+};
+
+/**
+ * Make one address the default and clear the flag on the others. With no
+ * address given, the first address becomes the default unless one already is.
+ * Does not save the user.
+ * @param {Object} user - User document with addresses selected
+ * @param {string} [addressId]
+ */
+export const setDefaultAddress = (user, addressId = null) => {
+  const target = addressId
+    ? user.addresses.id(addressId)
+    : user.addresses.find((address) => address.isDefault) || user.addresses[0];
+  for (const address of user.addresses) {
+    address.isDefault = Boolean(target) && address._id.equals(target._id);
+  }
+};
+
+/**
+ * The delivery address text an order stores for a saved address
+ * @param {Object} address - Saved address
+ * @returns {string}
+ */
+export const formatSavedAddress = (address) =>
+  address.landmark ? `${address.addressLine} (near ${address.landmark})` : address.addressLine;
@@ -0,0 +1,260 @@
+import DeliveryBatch from "../models/deliveryBatch.model.js";
+import Order from "../models/order.model.js";
+import { emitToAgent } from "../socket/socket.js";
+import { refreshOrderEta } from "./eta.js";
+import { distanceBetween, hasCoordinates } from "./geo.js";
+import { optimizeRoute, timeRoute } from "./routing.js";
+
+// Set ORDER_BATCHING=false to give agents one order at a time
+export const BATCHING_ENABLED = process.env.ORDER_BATCHING !== "false";
+
+/**
+ * Parse per-vehicle capacities like "bike:3,car:5"
+ * @param {string} value
+ * @returns {Object} { vehicleType: capacity }
+ */
+const parseCapacities = (value) =>
+  Object.fromEntries(
+    value
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([type, capacity]) => type && Number.isInteger(Number(capacity)) && Number(capacity) > 0)
+      .map(([type, capacity]) => [type, Number(capacity)])
+  );
+
+// How many orders each vehicle type can carry on one trip
+export const VEHICLE_CAPACITY = parseCapacities(
+  process.env.BATCH_VEHICLE_CAPACITY || "bicycle:2,bike:3,scooter:3,car:5"
+);
+
+// Largest capacity of any vehicle type
+export const MAX_BATCH_CAPACITY = BATCHING_ENABLED ? Math.max(1, ...Object.values(VEHICLE_CAPACITY)) : 1;
+
+// Orders share a trip only when their pickup points are this close together
+export const BATCH_PICKUP_RADIUS_METERS = Number(process.env.BATCH_PICKUP_RADIUS_METERS ?? 1000);
+
+// How much longer any order's ride may get because of the other orders on the trip
+export const BATCH_MAX_DETOUR_METERS = Number(process.env.BATCH_MAX_DETOUR_METERS ?? 2000);
+
+const FINISHED_STATUSES = ["delivered", "cancelled"];
+
+/**
+ * Number of orders an agent can carry at once
+ * @param {Object} agent - DeliveryAgent document
+ * @returns {number}
+ */
+export const agentCapacity = (agent) =>
+  BATCHING_ENABLED ? VEHICLE_CAPACITY[agent.vehicleType] || 1 : 1;
+
+const stopKey = (stop) => `${stop.order}:${stop.type}`;
+
+/**
+ * Order the stops of a trip into a short route that picks every order up
+ * before dropping it off. Stops already visited stay in front in the order
+ * they were made.
+ * @param {Array} orders - Orders on the trip
+ * @param {Object} [start] - Where the agent is now (GeoJSON point)
+ * @param {Array} [completedStops] - Stops already visited
+ * @returns {Array} Stops { order, type, location, completedAt? }
+ */
+export const planStops = (orders, start = null, completedStops = []) => {
+  const done = new Set(completedStops.map(stopKey));
+  const pending = orders
+    .flatMap((order) => [
+      ...(order.pickedUpAt ? [] : [{ order: order._id, type: "pickup", location: order.pickupLocation }]),
+      { order: order._id, type: "dropoff", location: order.deliveryLocation },
+    ])
+    .filter((stop) => !done.has(stopKey(stop)));
+
+  const from = hasCoordinates(start) ? start : completedStops[completedStops.length - 1]?.location || null;
+  return [...completedStops, ...optimizeRoute(pending, from)];
+};
+
+/**
+ * Total length of a list of stops, leg by leg
+ * @param {Array} stops
+ * @returns {number} Meters
+ */
+export const routeLength = (stops) =>
+  stops.slice(1).reduce((sum, stop, i) => sum + (distanceBetween(stops[i].location, stop.location) ?? 0), 0);
+
+/**
+ * Largest extra distance any order rides on this route compared with going
+ * straight from its pickup to its drop-off
+ * @param {Array} stops
+ * @returns {number} Meters
+ */
+export const maxDetour = (stops) => {
+  let worst = 0;
+  stops.forEach((stop, start) => {
+    if (stop.type !== "pickup") return;
+    const end = stops.findIndex((other) => other.type === "dropoff" && other.order.toString() === stop.order.toString());
+    if (end < start) return;
+    const ride = routeLength(stops.slice(start, end + 1));
+    const direct = distanceBetween(stop.location, stops[end].location) ?? 0;
+    worst = Math.max(worst, ride - direct);
+  });
+  return worst;
+};
+
+/**
+ * The trip an agent is currently on
+ * @param {string} agentId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object|null>} DeliveryBatch document
+ */
+export const getActiveBatch = (agentId, session = null) =>
+  DeliveryBatch.findOne({ agent: agentId, status: { $in: ["open", "in_progress"] } })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+/**
+ * Check whether an order can go on the trip an agent is on: the vehicle has
+ * room, nothing was picked up yet, the pickup points are close together and
+ * no order's ride gets longer than the allowed detour.
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Object} order - Order to add
+ * @returns {Promise<Object>} { fits, reason?, batched? }
+ */
+export const checkBatchFit = async (agent, order) => {
+  const carrying = await Order.find({
+    _id: { $in: agent.activeOrders, $ne: order._id },
+    status: { $nin: FINISHED_STATUSES },
+  });
+  if (carrying.length === 0) return { fits: true, batched: false };
+
+  const capacity = agentCapacity(agent);
+  if (carrying.length >= capacity) {
+    return { fits: false, reason: `A ${agent.vehicleType} can carry ${capacity} order(s) at once` };
+  }
+  if (carrying.some((other) => other.pickedUpAt)) {
+    return { fits: false, reason: "Your current trip has already left its pickup points" };
+  }
+
+  const farPickup = carrying.some((other) => {
+    const distance = distanceBetween(other.pickupLocation, order.pickupLocation);
+    return distance === null || distance > BATCH_PICKUP_RADIUS_METERS;
+  });
+  if (farPickup) {
+    return { fits: false, reason: "The pickup point is too far from the other pickups on your trip" };
+  }
+
+  const stops = planStops([...carrying, order], agent.currentLocation);
+  if (maxDetour(stops) > BATCH_MAX_DETOUR_METERS) {
+    return { fits: false, reason: "The drop-off is too far off the route of your current trip" };
+  }
+
+  return { fits: true, batched: true };
+};
+
+/**
+ * Bring a trip in line with its orders: drop orders that were reassigned,
+ * tick off stops that were made, re-plan the rest and refresh the ETA of
+ * every order still on it.
+ * @param {string} batchId
+ * @param {Object} [options]
+ * @param {Object} [options.agent] - DeliveryAgent on the trip, for their current location
+ * @returns {Promise<Object|null>} The DeliveryBatch
+ */
+export const refreshBatch = async (batchId, { agent = null } = {}) => {
+  const batch = await DeliveryBatch.findById(batchId);
+  if (!batch || batch.status === "completed") return batch;
+
+  const orders = await Order.find({ _id: { $in: batch.orders }, deliveryAgent: batch.agent });
+  const byId = new Map(orders.map((order) => [order._id.toString(), order]));
+  const isDone = (stop) => {
+    const order = byId.get(stop.order.toString());
+    if (!order) return false;
+    return stop.type === "pickup"
+      ? Boolean(order.pickedUpAt) || order.status === "delivered"
+      : order.status === "delivered";
+  };
+
+  const now = new Date();
+  const completed = batch.stops
+    .filter((stop) => stop.completedAt || isDone(stop))
+    .map(({ order, type, location, completedAt }) => ({ order, type, location, completedAt: completedAt || now }));
+  const active = orders.filter((order) => !FINISHED_STATUSES.includes(order.status));
+
+  const previousRoute = batch.stops.filter((stop) => !stop.completedAt).map(stopKey).join();
+  batch.orders = orders.map((order) => order._id);
+  batch.stops = planStops(active, agent?.currentLocation, completed);
+  batch.distanceMeters = Math.round(routeLength(batch.stops));
+  if (active.length === 0) {
+    batch.status = "completed";
+    batch.completedAt = now;
+  } else {
+    batch.status = completed.some((stop) => stop.type === "pickup") ? "in_progress" : "open";
+  }
+  await batch.save();
+
+  for (const order of active) {
+    await refreshOrderEta(order, { agent });
+  }
+
+  // Tell the agent when the order of the stops ahead changed
+  const route = batch.stops.filter((stop) => !stop.completedAt);
+  if (route.length > 0 && route.map(stopKey).join() !== previousRoute) {
+    emitToAgent(agent || { _id: batch.agent }, "routeUpdated", {
+      batchId: batch._id,
+      stops: route.map(({ order, type, location }) => ({ order, type, location })),
+      distanceMeters: batch.distanceMeters,
+      timestamp: now,
+    });
+  }
+  return batch;
+};
+
+/**
+ * Put an order an agent just took on the agent's current trip, or start a
+ * new trip for it
+ * @param {Object} order - Order assigned to the agent
+ * @param {Object} agent - DeliveryAgent document
+ * @returns {Promise<Object>} The DeliveryBatch
+ */
+export const addOrderToBatch = async (order, agent) => {
+  let batch = await getActiveBatch(agent._id);
+  if (!batch) {
+    batch = await DeliveryBatch.create({
+      agent: agent._id,
+      vehicleType: agent.vehicleType,
+      capacity: agentCapacity(agent),
+    });
+  }
+
+  await DeliveryBatch.updateOne({ _id: batch._id }, { $addToSet: { orders: order._id } });
+  await Order.updateOne({ _id: order._id }, { $set: { batch: batch._id } });
+  order.batch = batch._id;
+
+  return refreshBatch(batch._id, { agent });
+};
+
+// When the food of an order is ready, if it is not yet
+const readyTime = (order, now) => {
+  if (order.readyForPickupAt || order.pickedUpAt) return now;
+  return order.estimatedReadyTime || now;
+};
+
+/**
+ * Plan the route through all of an agent's undelivered orders from where
+ * they are now, with the time they reach each stop
+ * @param {Object} agent - DeliveryAgent document
+ * @returns {Promise<Object>} { orders, stops, distanceMeters, finishAt }
+ */
+export const planAgentRoute = async (agent) => {
+  const orders = await Order.find({
+    _id: { $in: agent.activeOrders },
+    status: { $nin: FINISHED_STATUSES },
+  });
+
+  const now = new Date();
+  const route = planStops(orders, agent.currentLocation);
+  const timed = timeRoute(route, {
+    start: hasCoordinates(agent.currentLocation) ? agent.currentLocation : null,
+    vehicleType: agent.vehicleType,
+    readyAt: new Map(orders.map((order) => [order._id.toString(), readyTime(order, now)])),
+    now,
+  });
+
+  return { orders, ...timed };
+};
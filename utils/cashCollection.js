@@ -0,0 +1,140 @@
+import AgentCashEntry from "../models/agentCashEntry.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import Order from "../models/order.model.js";
+import { withTransaction } from "./db.js";
+import createError from "./error.js";
+import { saveOrder } from "./orderSplit.js";
+import { roundCurrency } from "./pricing.js";
+
+// Agents holding more cash than this are flagged for a handover
+export const CASH_IN_HAND_LIMIT = Number(process.env.AGENT_CASH_IN_HAND_LIMIT ?? 5000);
+
+/**
+ * Whether the agent collects the order's money at the door
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isCashOnDelivery = (order) => order.paymentMethod === "cash";
+
+/**
+ * Validate the cash an agent reports for an order. It must match the order
+ * total exactly; short or over collections are settled outside the app.
+ * @param {Object} order - Cash-on-delivery order
+ * @param {*} value - Amount from the request
+ * @returns {number}
+ */
+export const parseCashCollected = (order, value) => {
+  const expected = roundCurrency(order.total);
+  if (value === undefined || value === null || value === "") {
+    throw createError(400, "cashCollected is required for cash-on-delivery orders", { expected });
+  }
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || roundCurrency(amount) !== expected) {
+    throw createError(400, "Cash collected does not match the order total", {
+      expected,
+      received: value,
+    });
+  }
+  return expected;
+};
+
+// A split cash order is paid once every seller order still delivering is
+const settleCashParent = async (parentId, session) => {
+  const unpaid = await Order.exists({
+    parentOrder: parentId,
+    status: { $ne: "cancelled" },
+    paymentStatus: "pending",
+  }).session(session);
+  if (unpaid) return;
+
+  await Order.updateOne(
+    { _id: parentId, paymentStatus: "pending" },
+    { $set: { paymentStatus: "paid" } },
+    { session }
+  );
+};
+
+/**
+ * Record the cash taken for a delivered order: the order becomes paid and
+ * the amount is added to the agent's cash in hand. Saves the order.
+ * @param {Object} params
+ * @param {Object} params.order - Cash-on-delivery order, already moved to delivered
+ * @param {Object} params.agent - DeliveryAgent document
+ * @param {number} params.amount - Output of parseCashCollected
+ * @param {ClientSession} params.session
+ * @returns {Promise<number>} The agent's cash in hand afterwards
+ */
+export const recordCashCollection = async ({ order, agent, amount, session }) => {
+  order.cashCollection = { amount, collectedAt: new Date(), agent: agent._id };
+  order.paymentStatus = "paid";
+  await saveOrder(order, { session });
+
+  if (order.orderType === "child") {
+    await settleCashParent(order.parentOrder, session);
+  }
+
+  const updated = await DeliveryAgent.findByIdAndUpdate(
+    agent._id,
+    { $inc: { cashInHand: amount } },
+    { new: true, session }
+  );
+  const cashInHand = roundCurrency(updated.cashInHand);
+
+  await AgentCashEntry.create(
+    [{ agent: agent._id, type: "collection", amount, balanceAfter: cashInHand, order: order._id }],
+    { session }
+  );
+
+  return cashInHand;
+};
+
+/**
+ * Record cash an agent handed over to the platform. Without an amount the
+ * agent's whole cash in hand is settled.
+ * @param {Object} params
+ * @param {string} params.agentId
+ * @param {number} [params.amount]
+ * @param {string} params.adminId - Admin who received the cash
+ * @param {string} [params.note]
+ * @returns {Promise<Object>} The handover AgentCashEntry
+ */
+export const recordCashHandover = ({ agentId, amount, adminId, note }) =>
+  withTransaction(async (session) => {
+    const agent = await DeliveryAgent.findById(agentId).session(session);
+    if (!agent) {
+      throw createError(404, "Delivery agent not found");
+    }
+
+    const cashInHand = roundCurrency(agent.cashInHand);
+    const handedOver = roundCurrency(amount ?? cashInHand);
+    if (!(handedOver > 0)) {
+      throw createError(409, "This agent holds no cash to settle");
+    }
+    if (handedOver > cashInHand) {
+      throw createError(409, "Handover exceeds the agent's cash in hand", { cashInHand });
+    }
+
+    // Conditional, so a delivery completed meanwhile is not lost
+    const updated = await DeliveryAgent.findOneAndUpdate(
+      { _id: agent._id, cashInHand: { $gte: handedOver } },
+      { $inc: { cashInHand: -handedOver } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw createError(409, "The agent's cash in hand changed, please retry");
+    }
+
+    const [entry] = await AgentCashEntry.create(
+      [{
+        agent: agent._id,
+        type: "handover",
+        amount: handedOver,
+        balanceAfter: roundCurrency(updated.cashInHand),
+        recordedBy: adminId,
+        note,
+      }],
+      { session }
+    );
+    return entry;
+  });
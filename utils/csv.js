@@ -0,0 +1,24 @@
+/**
+ * Quote a value for a CSV cell when it holds a separator, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} columns - { header, value: (row) => cell }
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(column.value(row))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
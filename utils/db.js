@@ -30,4 +30,20 @@ const connectDB = async () => {
   }
 };
 
+/**
+ * Run a callback inside a MongoDB transaction.
+ * The callback receives the session and must pass it to every query
+ * that should be part of the transaction. Transient errors are retried,
+ * and mongoose resets the state of documents saved in a failed attempt.
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} Whatever the callback returns
+ */
+export const withTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
 export default connectDB;
@@ -0,0 +1,254 @@
+import mongoose from "mongoose";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import DeliveryQuote from "../models/deliveryQuote.model.js";
+import DeliveryZone from "../models/deliveryZone.model.js";
+import Order from "../models/order.model.js";
+import SurgeLog from "../models/surgeLog.model.js";
+import { distanceBetween, hasCoordinates } from "./geo.js";
+import { getSellerPickupLocations } from "./orderSplit.js";
+import { DELIVERY_FEES, getDeliveryFee, roundCurrency } from "./pricing.js";
+
+// Distance covered by the base fee
+export const DELIVERY_FEE_INCLUDED_KM = Number(process.env.DELIVERY_FEE_INCLUDED_KM ?? 2);
+
+// Charged for every kilometre beyond the included distance
+export const DELIVERY_FEE_PER_KM = Number(process.env.DELIVERY_FEE_PER_KM ?? 8);
+
+/**
+ * Parse surge tiers like "1:1.2,2:1.5": from 1 open order per available
+ * agent the fee is multiplied by 1.2, from 2 by 1.5
+ * @param {string} value
+ * @returns {Array<Object>} [{ ratio, multiplier }] by ascending ratio
+ */
+const parseSurgeTiers = (value) =>
+  value
+    .split(",")
+    .map((pair) => pair.split(":").map(Number))
+    .filter(([ratio, multiplier]) => Number.isFinite(ratio) && ratio > 0 && Number.isFinite(multiplier) && multiplier >= 1)
+    .map(([ratio, multiplier]) => ({ ratio, multiplier }))
+    .sort((a, b) => a.ratio - b.ratio);
+
+export const SURGE_TIERS = parseSurgeTiers(process.env.DELIVERY_SURGE_TIERS || "1:1.2,1.5:1.5,2:2");
+
+// How long a delivery quote is honoured at checkout
+export const DELIVERY_QUOTE_TTL_SECONDS = Number(process.env.DELIVERY_QUOTE_TTL_SECONDS ?? 300);
+
+// How far the delivery point may move from the quoted one
+const QUOTE_LOCATION_TOLERANCE_METERS = 50;
+
+// Surge levels are recounted at most this often per zone
+const SURGE_CACHE_MS = 60 * 1000;
+
+// Last surge level per zone id: { at, surge }
+const surgeCache = new Map();
+
+/**
+ * Count demand and supply in a zone and pick its surge tier
+ * @param {Object} zone - DeliveryZone document
+ * @returns {Promise<Object>} { level, multiplier, openOrders, availableAgents, demandRatio }
+ */
+const countSurge = async (zone) => {
+  const [openOrders, availableAgents] = await Promise.all([
+    Order.countDocuments({
+      deliveryZone: zone._id,
+      orderType: { $ne: "parent" },
+      status: { $in: ["confirmed", "preparing"] },
+      deliveryAgent: null,
+    }),
+    DeliveryAgent.countDocuments({
+      isAvailable: true,
+      isVerified: true,
+      currentLocation: { $geoWithin: { $geometry: zone.area } },
+    }),
+  ]);
+
+  let demandRatio = null;
+  if (availableAgents > 0) {
+    demandRatio = openOrders / availableAgents;
+  }
+  // Orders waiting with no agent around is the highest surge
+  const ratio = demandRatio ?? (openOrders > 0 ? Infinity : 0);
+  const level = SURGE_TIERS.filter((tier) => ratio >= tier.ratio).length;
+
+  return {
+    level,
+    multiplier: level > 0 ? SURGE_TIERS[level - 1].multiplier : 1,
+    openOrders,
+    availableAgents,
+    demandRatio: demandRatio === null ? null : Math.round(demandRatio * 100) / 100,
+  };
+};
+
+/**
+ * Current surge level of a zone, recounted at most once a minute
+ * @param {Object} zone - DeliveryZone document
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Recount even when a recent count exists
+ * @returns {Promise<Object>} See countSurge
+ */
+export const getZoneSurge = async (zone, { fresh = false } = {}) => {
+  const key = zone._id.toString();
+  const cached = surgeCache.get(key);
+  if (!fresh && cached && Date.now() - cached.at < SURGE_CACHE_MS) return cached.surge;
+
+  const surge = await countSurge(zone);
+  surgeCache.set(key, { at: Date.now(), surge });
+  return surge;
+};
+
+/**
+ * Work out the delivery fee of an order: the zone's base fee, a charge per
+ * kilometre beyond the included distance and the express premium, all
+ * multiplied by the zone's surge
+ * @param {Object} params
+ * @param {string} params.deliveryMethod
+ * @param {Object} [params.zone] - DeliveryZone of the delivery point
+ * @param {Array} params.pickupLocations - GeoJSON points the order is collected from
+ * @param {Object} [params.deliveryLocation] - GeoJSON point
+ * @returns {Promise<Object>} { distanceMeters, baseFee, distanceFee, expressFee, surgeMultiplier, surgeFee, deliveryFee }
+ */
+export const calculateDeliveryFee = async ({ deliveryMethod, zone = null, pickupLocations, deliveryLocation = null }) => {
+  if (deliveryMethod === "pickup") {
+    return {
+      distanceMeters: 0,
+      baseFee: 0,
+      distanceFee: 0,
+      expressFee: 0,
+      surgeMultiplier: 1,
+      surgeFee: 0,
+      deliveryFee: DELIVERY_FEES.pickup,
+    };
+  }
+
+  const distanceMeters = Math.round(Math.max(
+    0,
+    ...pickupLocations.map((pickup) => distanceBetween(pickup, deliveryLocation) ?? 0)
+  ));
+  const baseFee = getDeliveryFee("standard", zone);
+  const extraKm = Math.max(0, distanceMeters / 1000 - DELIVERY_FEE_INCLUDED_KM);
+  const distanceFee = roundCurrency(extraKm * DELIVERY_FEE_PER_KM);
+  const expressFee = deliveryMethod === "express" ? DELIVERY_FEES.express - DELIVERY_FEES.standard : 0;
+
+  const { multiplier } = zone ? await getZoneSurge(zone) : { multiplier: 1 };
+  const fee = baseFee + distanceFee + expressFee;
+  const deliveryFee = roundCurrency(fee * multiplier);
+
+  return {
+    distanceMeters,
+    baseFee,
+    distanceFee,
+    expressFee,
+    surgeMultiplier: multiplier,
+    surgeFee: roundCurrency(deliveryFee - fee),
+    deliveryFee,
+  };
+};
+
+/**
+ * Where an order is collected, for pricing: each seller's stored location.
+ * Pickup points sent by the client are never used, so they cannot shorten
+ * the distance charged for.
+ * @param {Array} sellerIds
+ * @returns {Promise<Array>} GeoJSON points
+ */
+export const getPickupLocations = async (sellerIds) => {
+  const bySeller = await getSellerPickupLocations(sellerIds);
+  return sellerIds.map((id) => bySeller.get(id.toString())).filter(hasCoordinates);
+};
+
+const sameSellers = (a, b) => {
+  const ids = new Set(a.map(String));
+  return ids.size === new Set(b.map(String)).size && b.every((id) => ids.has(String(id)));
+};
+
+/**
+ * Quote a delivery fee that is honoured at checkout for DELIVERY_QUOTE_TTL_SECONDS
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} params.zone - DeliveryZone of the delivery point
+ * @param {string} params.deliveryMethod - standard or express
+ * @param {Object} params.deliveryLocation - GeoJSON point
+ * @param {Array} params.sellers - Sellers of the cart
+ * @returns {Promise<Object>} DeliveryQuote document
+ */
+export const createDeliveryQuote = async ({ userId, zone, deliveryMethod, deliveryLocation, sellers }) => {
+  const breakdown = await calculateDeliveryFee({
+    deliveryMethod,
+    zone,
+    pickupLocations: await getPickupLocations(sellers),
+    deliveryLocation,
+  });
+
+  return DeliveryQuote.create({
+    user: userId,
+    zone: zone._id,
+    deliveryMethod,
+    deliveryLocation,
+    sellers,
+    breakdown,
+    expiresAt: new Date(Date.now() + DELIVERY_QUOTE_TTL_SECONDS * 1000),
+  });
+};
+
+/**
+ * Delivery fee of an order at checkout. A quote the customer got earlier is
+ * honoured while it is valid and still matches the order; otherwise the
+ * fee is worked out again.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.quoteId] - DeliveryQuote the customer was shown
+ * @param {string} params.deliveryMethod
+ * @param {Object} [params.zone] - DeliveryZone of the delivery point
+ * @param {Object} [params.deliveryLocation] - GeoJSON point
+ * @param {Array} params.sellers - Sellers of the cart
+ * @returns {Promise<Object>} Fee breakdown (see calculateDeliveryFee), with `quote` when a quote was honoured
+ */
+export const resolveDeliveryFee = async ({
+  userId,
+  quoteId = null,
+  deliveryMethod,
+  zone = null,
+  deliveryLocation = null,
+  sellers,
+}) => {
+  if (quoteId && zone && mongoose.Types.ObjectId.isValid(quoteId)) {
+    const quote = await DeliveryQuote.findOne({
+      _id: quoteId,
+      user: userId,
+      zone: zone._id,
+      deliveryMethod,
+      expiresAt: { $gt: new Date() },
+    });
+    const moved = quote ? distanceBetween(quote.deliveryLocation, deliveryLocation) : null;
+    if (quote && moved !== null && moved <= QUOTE_LOCATION_TOLERANCE_METERS && sameSellers(quote.sellers, sellers)) {
+      return { ...quote.breakdown.toObject(), quote: quote._id };
+    }
+  }
+
+  return calculateDeliveryFee({
+    deliveryMethod,
+    zone,
+    pickupLocations: await getPickupLocations(sellers),
+    deliveryLocation,
+  });
+};
+
+/**
+ * Recount the surge level of every active zone and log the zones whose
+ * level changed since it was last logged. Called from the order scheduler.
+ * @returns {Promise<number>} Number of levels logged
+ */
+export const recordSurgeLevels = async () => {
+  const zones = await DeliveryZone.find({ isActive: true });
+
+  let logged = 0;
+  for (const zone of zones) {
+    const surge = await getZoneSurge(zone, { fresh: true });
+    const last = await SurgeLog.findOne({ zone: zone._id }).sort({ recordedAt: -1 }).select("level");
+    if (last && last.level === surge.level) continue;
+
+    await SurgeLog.create({ zone: zone._id, ...surge, demandRatio: surge.demandRatio ?? undefined });
+    logged++;
+  }
+  return logged;
+};
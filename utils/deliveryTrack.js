@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import DeliveryTrack from "../models/deliveryTrack.model.js";
+import { distanceBetween, hasCoordinates } from "./geo.js";
+
+// A new point is stored once this much time has passed since the last one...
+export const TRACK_MIN_INTERVAL_SECONDS = Number(process.env.DELIVERY_TRACK_MIN_INTERVAL_SECONDS ?? 15);
+
+// ...and the agent moved at least this far
+export const TRACK_MIN_DISTANCE_METERS = Number(process.env.DELIVERY_TRACK_MIN_DISTANCE_METERS ?? 25);
+
+// Fixes this inaccurate are kept but left out of the distance driven
+const MAX_ACCURACY_METERS = 100;
+
+// Last stored point per agent and order
+const lastPoints = new Map();
+
+// The socket server imports this module before the order model is loaded
+const getOrderModel = () => mongoose.model("Order");
+
+const optionalNumber = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== "" && Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Read a location sent by a device: a GeoJSON point, { longitude, latitude }
+ * or { lng, lat }
+ * @param {Object} location
+ * @returns {Object|null} GeoJSON point, null when it holds no valid position
+ */
+export const toPoint = (location) => {
+  if (!location) return null;
+
+  const coordinates = Array.isArray(location.coordinates)
+    ? location.coordinates
+    : [location.longitude ?? location.lng, location.latitude ?? location.lat];
+  const [lng, lat] = coordinates.map(optionalNumber);
+  if (lng === undefined || lat === undefined || Math.abs(lng) > 180 || Math.abs(lat) > 90) return null;
+
+  const point = { type: "Point", coordinates: [lng, lat] };
+  return hasCoordinates(point) ? point : null;
+};
+
+/**
+ * Store a GPS point of an agent on each order they are delivering. Points
+ * are throttled per order: one is only stored after TRACK_MIN_INTERVAL_SECONDS
+ * and once the agent moved TRACK_MIN_DISTANCE_METERS.
+ * @param {Object} params
+ * @param {string} params.agentId
+ * @param {Array<string>} params.orderIds - Orders out for delivery with the agent
+ * @param {Object} params.location - See toPoint
+ * @param {number} [params.accuracy] - Meters
+ * @param {number} [params.speed] - Meters per second
+ * @param {number} [params.heading] - Degrees
+ * @returns {Promise<number>} Number of points stored
+ */
+export const recordTrackPoint = async ({ agentId, orderIds, location, accuracy, speed, heading }) => {
+  const point = toPoint(location);
+  if (!point) return 0;
+
+  const now = new Date();
+  const due = orderIds.filter((orderId) => {
+    const last = lastPoints.get(`${agentId}:${orderId}`);
+    if (!last) return true;
+    const elapsedSeconds = (now - last.at) / 1000;
+    const moved = distanceBetween(last.location, point) ?? Infinity;
+    return elapsedSeconds >= TRACK_MIN_INTERVAL_SECONDS && moved >= TRACK_MIN_DISTANCE_METERS;
+  });
+  if (due.length === 0) return 0;
+
+  await DeliveryTrack.insertMany(
+    due.map((orderId) => ({
+      recordedAt: now,
+      meta: { order: orderId, agent: agentId },
+      location: point,
+      accuracy: optionalNumber(accuracy),
+      speed: optionalNumber(speed),
+      heading: optionalNumber(heading),
+    })),
+    { ordered: false }
+  );
+  for (const orderId of due) {
+    lastPoints.set(`${agentId}:${orderId}`, { at: now, location: point });
+  }
+  return due.length;
+};
+
+/**
+ * Store a location an agent's app sent over the socket for one order, if
+ * that order is out for delivery with the agent
+ * @param {Object} params - { agentId, orderId, location }
+ * @returns {Promise<number>} Number of points stored
+ */
+export const recordSocketLocation = async ({ agentId, orderId, location }) => {
+  if (!mongoose.Types.ObjectId.isValid(agentId) || !mongoose.Types.ObjectId.isValid(orderId)) return 0;
+
+  const delivering = await getOrderModel().exists({
+    _id: orderId,
+    deliveryAgent: agentId,
+    status: "out_for_delivery",
+  });
+  if (!delivering) return 0;
+
+  return recordTrackPoint({
+    agentId,
+    orderIds: [orderId],
+    location,
+    accuracy: location?.accuracy,
+    speed: location?.speed,
+    heading: location?.heading,
+  });
+};
+
+/**
+ * Forget throttling state of an order that left the road
+ * @param {string} agentId
+ * @param {string} orderId
+ */
+export const endTrack = (agentId, orderId) => {
+  lastPoints.delete(`${agentId}:${orderId}`);
+};
+
+/**
+ * The trail an order was driven along, oldest point first, and its length
+ * @param {Object} order - Order document (not a split parent)
+ * @returns {Promise<Object>} { order, agent, points, distanceMeters, startedAt, endedAt }
+ */
+export const buildOrderTrack = async (order) => {
+  const points = await DeliveryTrack.find({ "meta.order": order._id })
+    .sort({ recordedAt: 1 })
+    .select("recordedAt location accuracy speed heading")
+    .lean();
+
+  let distanceMeters = 0;
+  let previous = null;
+  for (const point of points) {
+    if (point.accuracy > MAX_ACCURACY_METERS) continue;
+    if (previous) distanceMeters += distanceBetween(previous.location, point.location) ?? 0;
+    previous = point;
+  }
+
+  return {
+    order: order._id,
+    agent: order.deliveryAgent || null,
+    status: order.status,
+    pointCount: points.length,
+    distanceMeters: Math.round(distanceMeters),
+    startedAt: points[0]?.recordedAt || null,
+    endedAt: points[points.length - 1]?.recordedAt || null,
+    points: points.map(({ recordedAt, location, accuracy, speed, heading }) => ({
+      recordedAt,
+      coordinates: location.coordinates,
+      accuracy,
+      speed,
+      heading,
+    })),
+  };
+};
@@ -0,0 +1,145 @@
+import DeliveryZone from "../models/deliveryZone.model.js";
+import createError from "./error.js";
+import { getDeliveryFee } from "./pricing.js";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// "HH:mm" -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a string is an IANA timezone Intl understands
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Weekday and minutes since midnight of a time in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { day, minutes }
+ */
+const localTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      weekday: "short",
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+      timeZone,
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Whether a zone takes deliveries at a given time. Zones without operating
+ * hours are always open; hours closing before they open run past midnight.
+ * @param {Object} zone - DeliveryZone document
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+export const isZoneOpen = (zone, at = new Date()) => {
+  if (!zone.operatingHours?.length) return true;
+
+  const { day, minutes } = localTime(at, zone.timezone);
+  return zone.operatingHours.some((hours) => {
+    const open = toMinutes(hours.open);
+    const close = toMinutes(hours.close);
+    if (open < close) {
+      return hours.day === day && minutes >= open && minutes < close;
+    }
+    // Open past midnight: the evening of its own day and the early hours of the next
+    return (hours.day === day && minutes >= open) || ((hours.day + 1) % 7 === day && minutes < close);
+  });
+};
+
+/**
+ * Check whether a delivery point is served. When several active zones cover
+ * it, the open zone with the lowest delivery fee is used.
+ * @param {Object} location - GeoJSON point
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Time of the delivery
+ * @param {number} [options.subtotal] - Item subtotal, checked against the zone's minimum order
+ * @returns {Promise<Object>} { serviceable, zone, reason? }
+ */
+export const checkServiceability = async (location, { at = new Date(), subtotal } = {}) => {
+  const zones = await DeliveryZone.find({
+    isActive: true,
+    area: { $geoIntersects: { $geometry: location } },
+  });
+  if (zones.length === 0) {
+    return { serviceable: false, zone: null, reason: "We do not deliver to this address yet" };
+  }
+
+  const open = zones.filter((zone) => isZoneOpen(zone, at));
+  if (open.length === 0) {
+    return { serviceable: false, zone: zones[0], reason: `Deliveries to ${zones[0].name} are closed at this time` };
+  }
+
+  const [zone] = open.sort((a, b) => getDeliveryFee("standard", a) - getDeliveryFee("standard", b));
+  if (subtotal !== undefined && subtotal < zone.minimumOrder) {
+    return {
+      serviceable: false,
+      zone,
+      reason: `Orders to ${zone.name} must be at least ${zone.minimumOrder}`,
+    };
+  }
+
+  return { serviceable: true, zone };
+};
+
+/**
+ * Find the zone that delivers to a point, or refuse the delivery
+ * @param {Object} location - GeoJSON point
+ * @param {Object} [options] - See checkServiceability
+ * @returns {Promise<Object>} DeliveryZone document
+ */
+export const assertServiceable = async (location, options = {}) => {
+  const { serviceable, zone, reason } = await checkServiceability(location, options);
+  if (!serviceable) {
+    throw createError(422, reason, zone ? { zone: toZoneSummary(zone) } : undefined);
+  }
+  return zone;
+};
+
+/**
+ * Refuse an order below the minimum of its zone
+ * @param {Object} zone - DeliveryZone document
+ * @param {number} subtotal - Item subtotal
+ */
+export const assertMinimumOrder = (zone, subtotal) => {
+  if (subtotal < zone.minimumOrder) {
+    throw createError(422, `Orders to ${zone.name} must be at least ${zone.minimumOrder}`, {
+      zone: toZoneSummary(zone),
+      subtotal,
+    });
+  }
+};
+
+/**
+ * What a customer is told about a zone
+ * @param {Object} zone - DeliveryZone document
+ * @returns {Object} { id, name, deliveryFee, minimumOrder, operatingHours, timezone }
+ */
+export const toZoneSummary = (zone) => ({
+  id: zone._id,
+  name: zone.name,
+  deliveryFee: getDeliveryFee("standard", zone),
+  minimumOrder: zone.minimumOrder,
+  operatingHours: zone.operatingHours,
+  timezone: zone.timezone,
+});
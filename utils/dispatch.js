@@ -0,0 +1,462 @@
+import mongoose from "mongoose";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import DispatchAttempt from "../models/dispatchAttempt.model.js";
+import Order from "../models/order.model.js";
+import { User } from "../models/user.model.js";
+import { emitToAgent, getReceiverSocketId, io } from "../socket/socket.js";
+import { addOrderToBatch, BATCHING_ENABLED, checkBatchFit, MAX_BATCH_CAPACITY } from "./batching.js";
+import createError from "./error.js";
+import { refreshOrderEta } from "./eta.js";
+import { distanceBetween, hasCoordinates } from "./geo.js";
+import { saveOrder } from "./orderSplit.js";
+import { ORDER_ROLES, transitionOrder } from "./orderStatus.js";
+import { notifyDeliveryOtp } from "./proofOfDelivery.js";
+
+// Set AUTO_DISPATCH=false to leave confirmed orders to agents browsing nearby orders
+export const AUTO_DISPATCH_ENABLED = process.env.AUTO_DISPATCH !== "false";
+
+// How far from the pickup point agents are offered an order
+export const DISPATCH_RADIUS_METERS = Number(process.env.DISPATCH_RADIUS_METERS ?? 5000);
+
+// How long an agent has to accept an offer before it goes to the next agent
+export const DISPATCH_OFFER_TIMEOUT_SECONDS = Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS ?? 30);
+
+// Nearest agents looked at for each offer
+const DISPATCH_CANDIDATES = 20;
+
+// How long a failed dispatch waits before the scheduler searches again
+export const DISPATCH_RETRY_MINUTES = Number(process.env.DISPATCH_RETRY_MINUTES ?? 10);
+
+// A search that made no offer for this long was interrupted and is resumed by the sweep
+const STALLED_SEARCH_MS = 60 * 1000;
+
+// Pending offer timeouts by attempt id
+const offerTimers = new Map();
+
+const clearOfferTimer = (attemptId) => {
+  const key = attemptId.toString();
+  clearTimeout(offerTimers.get(key));
+  offerTimers.delete(key);
+};
+
+/**
+ * Let admins know that no agent took an order
+ * @param {Object} order
+ * @param {number} attempts - Agents offered the order this round
+ */
+const alertAdmins = async (order, attempts) => {
+  console.warn(`Dispatch failed for order ${order._id}: no agent accepted after ${attempts} offer(s)`);
+
+  const admins = await User.find({ isAdmin: true }).select("_id");
+  for (const admin of admins) {
+    const socketId = getReceiverSocketId(admin._id.toString());
+    if (socketId) {
+      io.to(socketId).emit("dispatchFailed", {
+        orderId: order._id,
+        round: order.dispatch.round,
+        attempts,
+        timestamp: new Date(),
+      });
+    }
+  }
+};
+
+const failDispatch = async (order) => {
+  await Order.updateOne(
+    { _id: order._id, "dispatch.status": "offered" },
+    { $set: { "dispatch.status": "failed", "dispatch.failedAt": new Date() } }
+  );
+  const attempts = await DispatchAttempt.countDocuments({ order: order._id, round: order.dispatch.round });
+  await alertAdmins(order, attempts);
+};
+
+/**
+ * Offer an order to the nearest available agent who has not had it this
+ * round. Only one offer per order is open at a time.
+ * @param {string} orderId
+ * @returns {Promise<Object|null>} The DispatchAttempt, or null when no offer was made
+ */
+export const offerNextAgent = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      "dispatch.status": "searching",
+      deliveryAgent: null,
+      status: { $in: ["confirmed", "preparing"] },
+    },
+    { $set: { "dispatch.status": "offered" } },
+    { new: true }
+  );
+  if (!order) return null;
+
+  try {
+    if (!hasCoordinates(order.pickupLocation)) {
+      await failDispatch(order);
+      return null;
+    }
+
+    const now = new Date();
+    const [tried, busy] = await Promise.all([
+      DispatchAttempt.distinct("agent", { order: order._id, round: order.dispatch.round }),
+      // Agents deciding on another order
+      DispatchAttempt.distinct("agent", { status: "offered", expiresAt: { $gt: now } }),
+    ]);
+
+    const candidates = await DeliveryAgent.find({
+      _id: { $nin: [...tried, ...busy] },
+      isAvailable: true,
+      isVerified: true,
+      rejectedOrders: { $ne: order._id },
+      [`activeOrders.${MAX_BATCH_CAPACITY - 1}`]: { $exists: false },
+      currentLocation: {
+        $near: {
+          $geometry: { type: "Point", coordinates: order.pickupLocation.coordinates },
+          $maxDistance: DISPATCH_RADIUS_METERS,
+        },
+      },
+    }).limit(DISPATCH_CANDIDATES);
+
+    // Prefer an agent whose trip the order fits on, then the nearest free agent
+    let agent = null;
+    let batched = false;
+    for (const candidate of candidates) {
+      const fit = await checkBatchFit(candidate, order);
+      if (fit.fits && fit.batched) {
+        agent = candidate;
+        batched = true;
+        break;
+      }
+      if (fit.fits && !agent) agent = candidate;
+    }
+    if (!agent) {
+      await failDispatch(order);
+      return null;
+    }
+
+    const attempt = await DispatchAttempt.create({
+      order: order._id,
+      agent: agent._id,
+      round: order.dispatch.round,
+      distanceMeters: Math.round(distanceBetween(agent.currentLocation, order.pickupLocation) ?? 0),
+      offeredAt: now,
+      expiresAt: new Date(now.getTime() + DISPATCH_OFFER_TIMEOUT_SECONDS * 1000),
+    });
+
+    const timer = setTimeout(() => {
+      expireOffer(attempt._id).catch((error) => {
+        console.error(`Error expiring dispatch offer ${attempt._id}:`, error);
+      });
+    }, DISPATCH_OFFER_TIMEOUT_SECONDS * 1000);
+    timer.unref();
+    offerTimers.set(attempt._id.toString(), timer);
+
+    emitToAgent(agent, "deliveryOffer", {
+      attemptId: attempt._id,
+      orderId: order._id,
+      pickupLocation: order.pickupLocation,
+      deliveryLocation: order.deliveryLocation,
+      distanceMeters: attempt.distanceMeters,
+      total: order.total,
+      batched,
+      expiresAt: attempt.expiresAt,
+    });
+
+    return attempt;
+  } catch (error) {
+    // Give the order back to the search so the scheduler picks it up again
+    await Order.updateOne(
+      { _id: order._id, "dispatch.status": "offered" },
+      { $set: { "dispatch.status": "searching" } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Close an open offer and move the order on to the next agent
+ * @param {string} attemptId
+ * @param {string} status - "declined", "expired" or "cancelled"
+ * @returns {Promise<Object|null>} The closed attempt, or null if it was no longer open
+ */
+const closeOffer = async (attemptId, status) => {
+  clearOfferTimer(attemptId);
+
+  const attempt = await DispatchAttempt.findOneAndUpdate(
+    { _id: attemptId, status: "offered" },
+    { $set: { status, respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!attempt) return null;
+
+  await Order.updateOne(
+    { _id: attempt.order, "dispatch.status": "offered" },
+    { $set: { "dispatch.status": "searching" } }
+  );
+  await offerNextAgent(attempt.order);
+  return attempt;
+};
+
+/**
+ * Expire an offer the agent did not answer in time
+ * @param {string} attemptId
+ */
+export const expireOffer = async (attemptId) => {
+  const attempt = await closeOffer(attemptId, "expired");
+  if (attempt) {
+    const agent = await DeliveryAgent.findById(attempt.agent).select("user");
+    if (agent) {
+      emitToAgent(agent, "deliveryOfferExpired", { attemptId, orderId: attempt.order });
+    }
+  }
+  return attempt;
+};
+
+/**
+ * Start looking for an agent for a confirmed order. Does nothing when the
+ * order is not waiting for one or a search is already running.
+ * @param {string} orderId
+ * @returns {Promise<boolean>} Whether a new search round started
+ */
+export const startDispatch = async (orderId) => {
+  const result = await Order.updateOne(
+    {
+      _id: orderId,
+      status: "confirmed",
+      deliveryAgent: null,
+      orderType: { $ne: "parent" },
+      dispatchAt: { $not: { $gt: new Date() } },
+      "dispatch.status": { $in: [null, "failed"] },
+    },
+    {
+      $set: { "dispatch.status": "searching", "dispatch.startedAt": new Date() },
+      $unset: { "dispatch.failedAt": 1 },
+      $inc: { "dispatch.round": 1 },
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await offerNextAgent(orderId);
+  return true;
+};
+
+/**
+ * Start dispatch for a confirmed order in the background. Call it once the
+ * save that confirmed the order is committed (see afterOrderCommit).
+ * @param {string} orderId
+ */
+export const queueDispatch = (orderId) => {
+  if (!AUTO_DISPATCH_ENABLED) return;
+  startDispatch(orderId).catch((error) => {
+    console.error(`Error dispatching order ${orderId}:`, error);
+  });
+};
+
+/**
+ * Hand an unassigned order to an agent and put it out for delivery. Used
+ * both when an agent takes an order themselves and when they accept an offer.
+ * @param {Object} order - Order document
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Object} options
+ * @param {string} options.actorId - User taking the order
+ * @param {string} [options.agentName] - Shown to the customer
+ * @param {Array<string>} [options.roles]
+ * @returns {Promise<Object>} The saved order
+ */
+export const assignAgentToOrder = async (order, agent, { actorId, agentName, roles = [ORDER_ROLES.AGENT] }) => {
+  if (order.deliveryAgent) {
+    throw createError(400, "This order has already been assigned to a delivery agent");
+  }
+  if (order.orderType === "parent") {
+    throw createError(409, "Split orders are delivered through their seller orders");
+  }
+  if (order.dispatchAt && order.dispatchAt > new Date()) {
+    throw createError(409, `This scheduled order opens for delivery at ${order.dispatchAt.toISOString()}`);
+  }
+  if (BATCHING_ENABLED) {
+    const fit = await checkBatchFit(agent, order);
+    if (!fit.fits) {
+      throw createError(409, fit.reason);
+    }
+  }
+
+  // Validates the move against the transition table (409 on illegal moves)
+  transitionOrder(order, "out_for_delivery", {
+    roles,
+    actorId,
+    location: agent.currentLocation,
+    note: `Assigned to delivery agent: ${agentName || agent._id}`,
+  });
+
+  order.deliveryAgent = agent._id;
+  order.set("dispatch.status", "assigned");
+
+  // Only one agent can win the order
+  order.$where = { deliveryAgent: null };
+  try {
+    await saveOrder(order);
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw createError(409, "This order has already been assigned to a delivery agent");
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+
+  // The order is on its way: a new delivery estimate, and the customer gets the delivery code
+  try {
+    await refreshOrderEta(order, { agent });
+  } catch (error) {
+    console.error(`Error updating ETA for order ${order._id}:`, error);
+  }
+  notifyDeliveryOtp(order);
+
+  await DeliveryAgent.updateOne({ _id: agent._id }, { $addToSet: { activeOrders: order._id } });
+  if (!agent.activeOrders.some((id) => id.equals(order._id))) {
+    agent.activeOrders.push(order._id);
+  }
+
+  // Adds the order's stops to the agent's trip and moves the other orders' ETAs
+  await addOrderToBatch(order, agent);
+
+  // Withdraw offers other agents still hold for this order
+  const openOffers = await DispatchAttempt.find({ order: order._id, status: "offered" });
+  for (const offer of openOffers) {
+    clearOfferTimer(offer._id);
+    const accepted = offer.agent.equals(agent._id);
+    await DispatchAttempt.updateOne(
+      { _id: offer._id, status: "offered" },
+      { $set: { status: accepted ? "accepted" : "cancelled", respondedAt: new Date() } }
+    );
+    if (!accepted) {
+      const other = await DeliveryAgent.findById(offer.agent).select("user");
+      if (other) emitToAgent(other, "deliveryOfferWithdrawn", { attemptId: offer._id, orderId: order._id });
+    }
+  }
+
+  // Notify user that order is out for delivery
+  io.to(`user_${order.user}`).emit("orderStatusUpdate", {
+    orderId: order._id,
+    status: "out_for_delivery",
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    agent: {
+      id: agent._id,
+      name: agentName,
+      vehicleType: agent.vehicleType,
+      vehicleNumber: agent.vehicleNumber,
+    },
+  });
+
+  return order;
+};
+
+/**
+ * Accept or decline an offer made to an agent
+ * @param {Object} agent - DeliveryAgent document
+ * @param {string} attemptId
+ * @param {boolean} accept
+ * @param {Object} user - req.user of the agent
+ * @returns {Promise<Object>} { attempt, order }
+ */
+export const respondToOffer = async (agent, attemptId, accept, user) => {
+  const attempt = await DispatchAttempt.findOne({ _id: attemptId, agent: agent._id });
+  if (!attempt) {
+    throw createError(404, "Offer not found");
+  }
+  if (attempt.status !== "offered") {
+    throw createError(409, `This offer was already ${attempt.status}`);
+  }
+  if (attempt.expiresAt <= new Date()) {
+    await expireOffer(attempt._id);
+    throw createError(409, "This offer has expired");
+  }
+
+  if (!accept) {
+    await DeliveryAgent.updateOne({ _id: agent._id }, { $addToSet: { rejectedOrders: attempt.order } });
+    const declined = await closeOffer(attempt._id, "declined");
+    if (!declined) {
+      throw createError(409, "This offer is no longer open");
+    }
+    return { attempt: declined, order: null };
+  }
+
+  if (!agent.isVerified) {
+    throw createError(403, "Your account is not yet verified to accept orders");
+  }
+  if (!agent.isAvailable) {
+    throw createError(400, "You need to set yourself as available to accept orders");
+  }
+
+  // Claim the offer before the timeout can hand the order to someone else
+  clearOfferTimer(attempt._id);
+  const claimed = await DispatchAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "offered" },
+    { $set: { status: "accepted", respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createError(409, "This offer is no longer open");
+  }
+
+  try {
+    const order = await Order.findById(attempt.order);
+    if (!order) {
+      throw createError(404, "Order not found");
+    }
+    await assignAgentToOrder(order, agent, { actorId: user.id, agentName: user.username });
+    return { attempt: claimed, order };
+  } catch (error) {
+    // The order can no longer be taken; let the search carry on without this agent
+    await DispatchAttempt.updateOne({ _id: attempt._id }, { $set: { status: "cancelled" } });
+    await Order.updateOne(
+      { _id: attempt.order, "dispatch.status": "offered" },
+      { $set: { "dispatch.status": "searching" } }
+    );
+    await offerNextAgent(attempt.order);
+    throw error;
+  }
+};
+
+/**
+ * Scheduler pass: expire offers whose timer was lost (e.g. on a restart),
+ * pick up searches that stalled and start dispatch for confirmed orders
+ * that have none yet or whose last round failed a while ago.
+ * @returns {Promise<number>} Number of search rounds started
+ */
+export const sweepDispatch = async () => {
+  if (!AUTO_DISPATCH_ENABLED) return 0;
+
+  const now = new Date();
+  const overdue = await DispatchAttempt.find({ status: "offered", expiresAt: { $lte: now } }).select("_id");
+  for (const attempt of overdue) {
+    await expireOffer(attempt._id);
+  }
+
+  const stalled = await Order.find({
+    "dispatch.status": "searching",
+    deliveryAgent: null,
+    status: { $in: ["confirmed", "preparing"] },
+    updatedAt: { $lte: new Date(now.getTime() - STALLED_SEARCH_MS) },
+  }).select("_id");
+  for (const order of stalled) {
+    await offerNextAgent(order._id);
+  }
+
+  const retryBefore = new Date(now.getTime() - DISPATCH_RETRY_MINUTES * 60 * 1000);
+  const waiting = await Order.find({
+    status: "confirmed",
+    deliveryAgent: null,
+    orderType: { $ne: "parent" },
+    dispatchAt: { $not: { $gt: now } },
+    $or: [
+      { "dispatch.status": null },
+      { "dispatch.status": "failed", "dispatch.failedAt": { $lte: retryBefore } },
+    ],
+  }).select("_id");
+
+  let started = 0;
+  for (const order of waiting) {
+    if (await startDispatch(order._id)) started++;
+  }
+  return started;
+};
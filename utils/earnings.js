@@ -0,0 +1,262 @@
+import mongoose from "mongoose";
+import AgentEarning from "../models/agentEarning.model.js";
+import AgentPayout from "../models/agentPayout.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import { withTransaction } from "./db.js";
+import createError from "./error.js";
+import { distanceBetween } from "./geo.js";
+import { roundCurrency } from "./pricing.js";
+
+// What an agent is paid per delivery
+export const EARNING_RATES = {
+  baseFee: Number(process.env.AGENT_BASE_FEE ?? 30),
+  perKm: Number(process.env.AGENT_FEE_PER_KM ?? 8),
+  peakIncentive: Number(process.env.AGENT_PEAK_INCENTIVE ?? 20),
+};
+
+// Time zone earnings are grouped by day and week in, and peak hours are read in
+export const EARNINGS_TIMEZONE = process.env.EARNINGS_TIMEZONE || "UTC";
+
+/**
+ * Parse peak hour ranges like "12-14,19-22" (end hour exclusive)
+ * @param {string} value
+ * @returns {Array<Array<number>>} [[start, end], ...]
+ */
+const parsePeakHours = (value) =>
+  value
+    .split(",")
+    .map((range) => range.split("-").map(Number))
+    .filter(([start, end]) => Number.isInteger(start) && Number.isInteger(end) && start < end);
+
+export const PEAK_HOURS = parsePeakHours(process.env.AGENT_PEAK_HOURS || "12-14,19-22");
+
+const hourFormat = new Intl.DateTimeFormat("en-US", {
+  hour: "numeric",
+  hourCycle: "h23",
+  timeZone: EARNINGS_TIMEZONE,
+});
+
+/**
+ * Whether a time falls in one of the peak hour ranges
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const isPeakHour = (date) => {
+  const hour = Number(hourFormat.format(date));
+  return PEAK_HOURS.some(([start, end]) => hour >= start && hour < end);
+};
+
+/**
+ * Work out what an agent earns for delivering an order
+ * @param {Object} order - Delivered order
+ * @param {Date} [deliveredAt]
+ * @returns {Object} { baseFee, distanceMeters, distanceFee, tip, incentive, total }
+ */
+export const computeDeliveryEarning = (order, deliveredAt = new Date()) => {
+  const distanceMeters = Math.round(distanceBetween(order.pickupLocation, order.deliveryLocation) ?? 0);
+  const baseFee = EARNING_RATES.baseFee;
+  const distanceFee = roundCurrency((distanceMeters / 1000) * EARNING_RATES.perKm);
+  const incentive = isPeakHour(deliveredAt) ? EARNING_RATES.peakIncentive : 0;
+  const tip = roundCurrency(order.tip || 0);
+
+  return {
+    baseFee,
+    distanceMeters,
+    distanceFee,
+    tip,
+    incentive,
+    total: roundCurrency(baseFee + distanceFee + tip + incentive),
+  };
+};
+
+/**
+ * Record the earning of a delivered order, including the checkout tip
+ * @param {Object} order - Delivered order
+ * @param {Object} agent - DeliveryAgent who delivered it
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} AgentEarning document
+ */
+export const recordDeliveryEarning = async (order, agent, session = null) => {
+  const earnedAt = order.actualDeliveryTime || new Date();
+  const [earning] = await AgentEarning.create(
+    [{ agent: agent._id, order: order._id, earnedAt, ...computeDeliveryEarning(order, earnedAt) }],
+    { session }
+  );
+  if (earning.tip > 0) {
+    await DeliveryAgent.updateOne({ _id: agent._id }, { $inc: { totalTips: earning.tip } }, { session });
+  }
+  return earning;
+};
+
+/**
+ * Record a tip added after delivery; it goes to the agent in full
+ * @param {Object} order - Delivered order
+ * @param {number} amount
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} AgentEarning document
+ */
+export const recordTipEarning = async (order, amount, session = null) => {
+  const [earning] = await AgentEarning.create(
+    [{ agent: order.deliveryAgent, order: order._id, kind: "tip", tip: amount, total: amount }],
+    { session }
+  );
+  await DeliveryAgent.updateOne({ _id: order.deliveryAgent }, { $inc: { totalTips: amount } }, { session });
+  return earning;
+};
+
+// Match earnings of an agent in an optional time range
+const earningsFilter = (agentId, { from, to } = {}) => {
+  const filter = { agent: new mongoose.Types.ObjectId(agentId) };
+  if (from || to) {
+    filter.earnedAt = {};
+    if (from) filter.earnedAt.$gte = new Date(from);
+    if (to) filter.earnedAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+const sumFields = {
+  deliveries: { $sum: { $cond: [{ $eq: ["$kind", "tip"] }, 0, 1] } },
+  baseFees: { $sum: "$baseFee" },
+  distanceFees: { $sum: "$distanceFee" },
+  tips: { $sum: "$tip" },
+  incentives: { $sum: "$incentive" },
+  total: { $sum: "$total" },
+  unpaid: { $sum: { $cond: [{ $eq: ["$payout", null] }, "$total", 0] } },
+};
+
+const roundSums = ({ _id, ...sums }) => ({
+  ...(_id !== null && { period: _id }),
+  deliveries: sums.deliveries,
+  baseFees: roundCurrency(sums.baseFees),
+  distanceFees: roundCurrency(sums.distanceFees),
+  tips: roundCurrency(sums.tips),
+  incentives: roundCurrency(sums.incentives),
+  total: roundCurrency(sums.total),
+  unpaid: roundCurrency(sums.unpaid),
+});
+
+// Group keys: calendar day, or ISO week like "2024-W07"
+const PERIOD_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+};
+
+/**
+ * Totals of an agent's earnings, overall and per day or week
+ * @param {string} agentId
+ * @param {Object} [options]
+ * @param {string} [options.period="day"] - "day" or "week"
+ * @param {string|Date} [options.from]
+ * @param {string|Date} [options.to]
+ * @returns {Promise<Object>} { totals, breakdown }
+ */
+export const summarizeEarnings = async (agentId, { period = "day", from, to } = {}) => {
+  const format = PERIOD_FORMATS[period];
+  if (!format) {
+    throw createError(400, `period must be one of: ${Object.keys(PERIOD_FORMATS).join(", ")}`);
+  }
+
+  const [result] = await AgentEarning.aggregate([
+    { $match: earningsFilter(agentId, { from, to }) },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...sumFields } }],
+        breakdown: [
+          {
+            $group: {
+              _id: { $dateToString: { format, date: "$earnedAt", timezone: EARNINGS_TIMEZONE } },
+              ...sumFields,
+            },
+          },
+          { $sort: { _id: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const emptyTotals = { _id: null, deliveries: 0, baseFees: 0, distanceFees: 0, tips: 0, incentives: 0, total: 0, unpaid: 0 };
+  return {
+    totals: roundSums(result.totals[0] || emptyTotals),
+    breakdown: result.breakdown.map(roundSums),
+  };
+};
+
+/**
+ * Earnings of an agent, oldest first, for statements
+ * @param {string} agentId
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Array>}
+ */
+export const listEarnings = (agentId, range) =>
+  AgentEarning.find(earningsFilter(agentId, range))
+    .sort({ earnedAt: 1 })
+    .populate("payout", "status paidAt reference");
+
+/**
+ * Batch every agent's unpaid earnings up to a time into one payout per agent.
+ * Earnings already claimed by a payout are never included twice.
+ * @param {Object} params
+ * @param {Date} [params.until] - Only earnings up to this time; defaults to now
+ * @param {string} params.adminId
+ * @returns {Promise<Array>} Created AgentPayout documents
+ */
+export const runPayouts = async ({ until = new Date(), adminId }) => {
+  const groups = await AgentEarning.aggregate([
+    { $match: { payout: null, earnedAt: { $lte: until } } },
+    { $group: { _id: "$agent", ids: { $push: "$_id" } } },
+  ]);
+
+  const payouts = [];
+  for (const { _id: agentId, ids } of groups) {
+    const payout = await withTransaction(async (session) => {
+      // Claim the earnings first, so a concurrent run cannot pay them again
+      const claimId = new mongoose.Types.ObjectId();
+      await AgentEarning.updateMany(
+        { _id: { $in: ids }, payout: null },
+        { $set: { payout: claimId } },
+        { session }
+      );
+      const claimed = await AgentEarning.find({ payout: claimId }).session(session);
+      if (claimed.length === 0) return null;
+
+      const earnedAt = claimed.map((earning) => earning.earnedAt.getTime());
+      const [created] = await AgentPayout.create(
+        [{
+          _id: claimId,
+          agent: agentId,
+          amount: roundCurrency(claimed.reduce((sum, earning) => sum + earning.total, 0)),
+          earningsCount: claimed.length,
+          periodStart: new Date(Math.min(...earnedAt)),
+          periodEnd: new Date(Math.max(...earnedAt)),
+          createdBy: adminId,
+        }],
+        { session }
+      );
+      return created;
+    });
+    if (payout) payouts.push(payout);
+  }
+
+  return payouts;
+};
+
+/**
+ * Mark a payout as paid out to the agent
+ * @param {string} payoutId
+ * @param {string} [reference] - Transfer reference
+ * @returns {Promise<Object>} The payout
+ */
+export const markPayoutPaid = async (payoutId, reference) => {
+  const payout = await AgentPayout.findOneAndUpdate(
+    { _id: payoutId, status: "pending" },
+    { $set: { status: "paid", paidAt: new Date(), reference } },
+    { new: true }
+  );
+  if (payout) return payout;
+
+  const existing = await AgentPayout.exists({ _id: payoutId });
+  throw existing
+    ? createError(409, "Payout is already paid")
+    : createError(404, "Payout not found");
+};
@@ -2,13 +2,17 @@
  * Creates a standardized error object with status code and message
  * @param {number} statusCode - HTTP status code
  * @param {string} message - Error message
+ * @param {Object} [details] - Optional extra data returned to the client
  * @returns {Error} Custom error object with statusCode and message
  */
-const createError = (statusCode, message) => {
+const createError = (statusCode, message, details) => {
   const error = new Error();
   error.statusCode = statusCode;
   error.message = message;
+  if (details) {
+    error.details = details;
+  }
   return error;
 };
 
-export default createError; 
\ No newline at end of file
+export default createError; 
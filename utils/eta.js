@@ -0,0 +1,293 @@
+import mongoose from "mongoose";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import DeliveryBatch from "../models/deliveryBatch.model.js";
+import { User } from "../models/user.model.js";
+import { emitToOrder } from "../socket/socket.js";
+import { toPoint } from "./deliveryTrack.js";
+import { distanceBetween } from "./geo.js";
+
+// Average city speed per vehicle type in km/h
+export const VEHICLE_SPEEDS_KMH = {
+  bicycle: 12,
+  bike: 25,
+  scooter: 22,
+  car: 20,
+};
+
+// Kitchen time when neither the seller's estimate nor their default is known
+export const DEFAULT_PREP_MINUTES = 20;
+
+// An agent within this distance of the pickup point has collected the order
+export const PICKUP_RADIUS_METERS = 100;
+
+// Roads are longer than the straight line between two points
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Handing the food over, at the seller and at the door
+export const HANDOVER_MINUTES = 3;
+
+// Extra kitchen time for each order waiting ahead at the same seller
+const SELLER_QUEUE_MINUTES = 5;
+
+// Extra time for each other order the agent is delivering
+const AGENT_QUEUE_MINUTES = 8;
+
+// Travel time assumed for a leg with an unknown end point
+const FALLBACK_LEG_MINUTES = 15;
+
+// Smaller changes are not pushed to clients
+const ETA_CHANGE_THRESHOLD_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ["processing", "confirmed", "preparing", "out_for_delivery"];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Travel time between two points for a vehicle type
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @param {string} [vehicleType='bike']
+ * @returns {Object} { distanceMeters, minutes } - distanceMeters is null when a point is unset
+ */
+export const estimateTravel = (from, to, vehicleType = "bike") => {
+  const distanceMeters = distanceBetween(from, to);
+  if (distanceMeters === null) {
+    return { distanceMeters: null, minutes: FALLBACK_LEG_MINUTES };
+  }
+
+  const speed = VEHICLE_SPEEDS_KMH[vehicleType] || VEHICLE_SPEEDS_KMH.bike;
+  const km = (distanceMeters * ROAD_DISTANCE_FACTOR) / 1000;
+  return {
+    distanceMeters: Math.round(distanceMeters),
+    minutes: Math.round((km / speed) * 60 * 10) / 10,
+  };
+};
+
+/**
+ * When the seller will have the food ready. Uses the seller's estimate when
+ * there is one, otherwise their default prep time plus the orders queued
+ * ahead of this one in their kitchen.
+ * @param {Object} order
+ * @param {Date} now
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} { readyAt, queuedOrders }
+ */
+const estimateReadyTime = async (order, now, session) => {
+  if (order.readyForPickupAt || order.pickedUpAt) {
+    return { readyAt: now, queuedOrders: 0 };
+  }
+  if (order.estimatedReadyTime) {
+    return { readyAt: new Date(Math.max(now, order.estimatedReadyTime)), queuedOrders: 0 };
+  }
+
+  const sellerId = order.seller || order.sellers?.[0];
+  if (!sellerId) {
+    return { readyAt: new Date(now.getTime() + DEFAULT_PREP_MINUTES * MINUTE), queuedOrders: 0 };
+  }
+
+  const Order = mongoose.model("Order");
+  const [seller, queuedOrders] = await Promise.all([
+    User.findById(sellerId).select("sellerSettings").session(session),
+    Order.countDocuments({
+      _id: { $ne: order._id },
+      sellers: sellerId,
+      orderType: { $ne: "parent" },
+      status: { $in: ["confirmed", "preparing"] },
+      readyForPickupAt: { $exists: false },
+      createdAt: { $lt: order.createdAt || now },
+    }).session(session),
+  ]);
+
+  const prepMinutes = seller?.sellerSettings?.defaultPrepMinutes || DEFAULT_PREP_MINUTES;
+  const minutes = prepMinutes + queuedOrders * SELLER_QUEUE_MINUTES;
+  return { readyAt: new Date(now.getTime() + minutes * MINUTE), queuedOrders };
+};
+
+/**
+ * Travel time from the agent through the stops of their trip that come
+ * before this order's drop-off, including the handover at each stop
+ * @param {Object} order - Order on a batch
+ * @param {Object} agent - DeliveryAgent on the trip
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object|null>} { stops, distanceMeters, minutes }, null when the order has no drop-off stop
+ */
+const estimateBatchRoute = async (order, agent, session) => {
+  const batch = await DeliveryBatch.findById(order.batch).select("stops").session(session);
+  const pending = (batch?.stops || []).filter((stop) => !stop.completedAt);
+  const end = pending.findIndex((stop) => stop.type === "dropoff" && stop.order.equals(order._id));
+  if (end === -1) return null;
+
+  let position = agent.currentLocation;
+  let distanceMeters = 0;
+  let minutes = 0;
+  for (const stop of pending.slice(0, end + 1)) {
+    const leg = estimateTravel(position, stop.location, agent.vehicleType);
+    distanceMeters += leg.distanceMeters ?? 0;
+    minutes += leg.minutes + HANDOVER_MINUTES;
+    position = stop.location;
+  }
+  return { stops: end + 1, distanceMeters, minutes: Math.round(minutes * 10) / 10 };
+};
+
+/**
+ * Work out when an order (not a split parent) will be ready and delivered:
+ * kitchen time, the agent's trip to the pickup point, the trip on to the
+ * customer, and the other orders the agent is carrying (in stop order when
+ * they share a trip).
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {Object} [options.agent] - Assigned DeliveryAgent, loaded when omitted
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<Object>} { estimatedReadyTime, estimatedDeliveryTime, breakdown }
+ */
+export const computeOrderEta = async (order, { agent = null, session = null } = {}) => {
+  const now = new Date();
+  const { readyAt, queuedOrders } = await estimateReadyTime(order, now, session);
+
+  if (order.deliveryMethod === "pickup") {
+    return {
+      estimatedReadyTime: readyAt,
+      estimatedDeliveryTime: readyAt,
+      breakdown: { queuedOrders },
+    };
+  }
+
+  const deliveryAgent = agent || (order.deliveryAgent
+    ? await DeliveryAgent.findById(order.deliveryAgent).session(session)
+    : null);
+  const vehicleType = deliveryAgent?.vehicleType;
+
+  let departAt;
+  let toPickup = null;
+  let toCustomer;
+  if (order.pickedUpAt && deliveryAgent) {
+    // The food is on its way: only the trip from the agent to the customer is left
+    departAt = now;
+    toCustomer = estimateTravel(deliveryAgent.currentLocation, order.deliveryLocation, vehicleType);
+  } else {
+    // Without an agent yet, assume one is at the seller by the time the food is ready
+    toPickup = deliveryAgent
+      ? estimateTravel(deliveryAgent.currentLocation, order.pickupLocation, vehicleType)
+      : null;
+    const agentAt = new Date(now.getTime() + (toPickup ? toPickup.minutes + HANDOVER_MINUTES : 0) * MINUTE);
+    departAt = new Date(Math.max(agentAt, readyAt));
+    toCustomer = estimateTravel(order.pickupLocation, order.deliveryLocation, vehicleType);
+  }
+
+  const otherDeliveries = deliveryAgent
+    ? deliveryAgent.activeOrders.filter((id) => !id.equals(order._id)).length
+    : 0;
+
+  let estimatedDeliveryTime;
+  // On a trip the agent makes the stops ahead of this order's drop-off first
+  const batchRoute = order.batch && deliveryAgent
+    ? await estimateBatchRoute(order, deliveryAgent, session)
+    : null;
+  if (batchRoute) {
+    const afterStops = now.getTime() + batchRoute.minutes * MINUTE;
+    const afterReady = departAt.getTime() + (toCustomer.minutes + HANDOVER_MINUTES) * MINUTE;
+    estimatedDeliveryTime = new Date(Math.max(afterStops, afterReady));
+  } else {
+    const remainingMinutes = toCustomer.minutes + HANDOVER_MINUTES + otherDeliveries * AGENT_QUEUE_MINUTES;
+    estimatedDeliveryTime = new Date(departAt.getTime() + remainingMinutes * MINUTE);
+  }
+
+  // Scheduled orders are not delivered before their slot
+  if (order.deliverySlot?.start && order.deliverySlot.start > estimatedDeliveryTime) {
+    estimatedDeliveryTime = new Date(order.deliverySlot.start);
+  }
+
+  return {
+    estimatedReadyTime: readyAt,
+    estimatedDeliveryTime,
+    breakdown: {
+      queuedOrders,
+      vehicleType: vehicleType || null,
+      toPickup,
+      toCustomer,
+      otherDeliveries,
+      batchRoute,
+    },
+  };
+};
+
+// A split order arrives with its last seller order
+const refreshParentEta = async (parentId, session) => {
+  const Order = mongoose.model("Order");
+  const children = await Order.find({ parentOrder: parentId, status: { $in: ACTIVE_STATUSES } })
+    .select("estimatedDeliveryTime")
+    .session(session);
+
+  const times = children.map((child) => child.estimatedDeliveryTime).filter(Boolean);
+  if (times.length === 0) return null;
+
+  const estimatedDeliveryTime = new Date(Math.max(...times));
+  await Order.updateOne({ _id: parentId }, { $set: { estimatedDeliveryTime } }, { session });
+  emitToOrder({ _id: parentId }, "etaUpdate", { estimatedDeliveryTime, timestamp: new Date() });
+  return estimatedDeliveryTime;
+};
+
+/**
+ * Recompute an active order's estimatedDeliveryTime, store it and push an
+ * `etaUpdate` event to the order's room when it moved by a minute or more.
+ * The order document is updated in memory too.
+ * @param {Object} order - Order document
+ * @param {Object} [options] - See computeOrderEta
+ * @returns {Promise<Object|null>} The computed ETA, null for finished orders
+ */
+export const refreshOrderEta = async (order, { agent = null, session = null } = {}) => {
+  if (!ACTIVE_STATUSES.includes(order.status)) return null;
+
+  if (order.orderType === "parent") {
+    const estimatedDeliveryTime = await refreshParentEta(order._id, session);
+    return estimatedDeliveryTime && { estimatedDeliveryTime };
+  }
+
+  const eta = await computeOrderEta(order, { agent, session });
+  const previous = order.estimatedDeliveryTime;
+  if (previous && Math.abs(previous - eta.estimatedDeliveryTime) < ETA_CHANGE_THRESHOLD_MS) {
+    return eta;
+  }
+
+  const Order = mongoose.model("Order");
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { estimatedDeliveryTime: eta.estimatedDeliveryTime } },
+    { session }
+  );
+  order.estimatedDeliveryTime = eta.estimatedDeliveryTime;
+
+  emitToOrder(order, "etaUpdate", {
+    status: order.status,
+    estimatedReadyTime: eta.estimatedReadyTime,
+    estimatedDeliveryTime: eta.estimatedDeliveryTime,
+    timestamp: new Date(),
+  });
+
+  if (order.parentOrder) {
+    await refreshParentEta(order.parentOrder, session);
+  }
+  return eta;
+};
+
+/**
+ * Refresh the ETA of an order from a position its agent's app sent over
+ * the socket. Callers only pass positions that were stored on the track,
+ * so ETAs are recomputed no more often than track points are stored.
+ * @param {Object} params - { agentId, orderId, location }
+ * @returns {Promise<Object|null>} See refreshOrderEta
+ */
+export const refreshSocketEta = async ({ agentId, orderId, location }) => {
+  const point = toPoint(location);
+  if (!point) return null;
+
+  const [order, agent] = await Promise.all([
+    mongoose.model("Order").findOne({ _id: orderId, deliveryAgent: agentId, status: "out_for_delivery" }),
+    DeliveryAgent.findById(agentId),
+  ]);
+  if (!order || !agent) return null;
+
+  // Estimate from where the app says the agent is now
+  agent.currentLocation = point;
+  return refreshOrderEta(order, { agent });
+};
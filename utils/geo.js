@@ -0,0 +1,47 @@
+// Mean radius of the earth in meters
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Distance in meters
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Whether a GeoJSON point holds a real position. Locations that were never
+ * set carry the schema default [0, 0].
+ * @param {Object} point - { type: "Point", coordinates: [lng, lat] }
+ * @returns {boolean}
+ */
+export const hasCoordinates = (point) => {
+  const [lng, lat] = point?.coordinates || [0, 0];
+  return Number.isFinite(lng) && Number.isFinite(lat) && (lng !== 0 || lat !== 0);
+};
+
+/**
+ * Distance between two GeoJSON points
+ * @param {Object} from - { coordinates: [lng, lat] }
+ * @param {Object} to - { coordinates: [lng, lat] }
+ * @returns {number|null} Distance in meters, null when either point is unset
+ */
+export const distanceBetween = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+  const [fromLng, fromLat] = from.coordinates;
+  const [toLng, toLat] = to.coordinates;
+  return calculateDistance(fromLat, fromLng, toLat, toLng);
+};
@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import { emitToOrder } from "../socket/socket.js";
+import { refreshBatch } from "./batching.js";
+import { PICKUP_RADIUS_METERS } from "./eta.js";
+import { distanceBetween } from "./geo.js";
+import { ORDER_ROLES, recordStatusHistory } from "./orderStatus.js";
+import { toPoint } from "./deliveryTrack.js";
+
+// Fence around the seller: the agent has arrived to collect the order
+export const GEOFENCE_PICKUP_RADIUS_METERS = Number(process.env.GEOFENCE_PICKUP_RADIUS_METERS ?? PICKUP_RADIUS_METERS);
+
+// Fence around the customer: the agent is about to arrive
+export const GEOFENCE_NEARBY_RADIUS_METERS = Number(process.env.GEOFENCE_NEARBY_RADIUS_METERS ?? 300);
+
+// Consecutive fixes inside a fence before it counts as entered
+export const GEOFENCE_CONFIRM_FIXES = Number(process.env.GEOFENCE_CONFIRM_FIXES ?? 2);
+
+// A fix has to be this far outside a fence to reset the count; fixes
+// jittering around the edge neither count nor reset
+export const GEOFENCE_EXIT_MARGIN_METERS = Number(process.env.GEOFENCE_EXIT_MARGIN_METERS ?? 30);
+
+/**
+ * Fences of an order out for delivery. Each fires once per order; the time
+ * it fired is stored under order.geofence.
+ */
+const FENCES = [
+  {
+    name: "pickup",
+    event: "agent_arrived_pickup",
+    firedField: "arrivedPickupAt",
+    radius: () => GEOFENCE_PICKUP_RADIUS_METERS,
+    center: (order) => order.pickupLocation,
+    applies: (order) => !order.geofence?.arrivedPickupAt,
+    note: "Agent arrived at the pickup point",
+  },
+  {
+    name: "nearby",
+    event: "agent_nearby",
+    firedField: "nearbyAt",
+    radius: () => GEOFENCE_NEARBY_RADIUS_METERS,
+    center: (order) => order.deliveryLocation,
+    // Only on the way to the customer, not while heading to the seller
+    applies: (order) => Boolean(order.pickedUpAt) && !order.geofence?.nearbyAt,
+    note: "Agent is nearby",
+  },
+];
+
+// Consecutive fixes inside each fence, by order and fence name
+const insideCounts = new Map();
+
+/**
+ * Forget an order's fix counts once it is delivered, cancelled or handed
+ * to another agent
+ * @param {string} orderId
+ */
+export const clearGeofences = (orderId) => {
+  for (const fence of FENCES) {
+    insideCounts.delete(`${orderId}:${fence.name}`);
+  }
+};
+
+/**
+ * Debounce one fix against a fence
+ * @returns {boolean} Whether the fence counts as entered now
+ */
+const confirmEntry = (key, distance, radius) => {
+  if (distance === null || distance > radius + GEOFENCE_EXIT_MARGIN_METERS) {
+    insideCounts.delete(key);
+    return false;
+  }
+  if (distance > radius) return false;
+
+  const count = (insideCounts.get(key) || 0) + 1;
+  if (count < GEOFENCE_CONFIRM_FIXES) {
+    insideCounts.set(key, count);
+    return false;
+  }
+  insideCounts.delete(key);
+  return true;
+};
+
+/**
+ * Check an agent's position against the fences of an order they are
+ * delivering. Entering a fence notes it in the order's statusHistory and
+ * emits its event to the order room; arriving at the pickup point also
+ * marks the order as picked up.
+ * @param {Object} order - Order document out for delivery
+ * @param {Object} location - Agent's position (GeoJSON point)
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Agent's user id, for statusHistory
+ * @param {Object} [options.agent] - DeliveryAgent document, for re-planning their trip
+ * @returns {Promise<Array<string>>} Events emitted
+ */
+export const checkOrderGeofences = async (order, location, { actorId, agent = null } = {}) => {
+  if (order.status !== "out_for_delivery") return [];
+
+  const now = new Date();
+  const entered = FENCES.filter((fence) => {
+    if (!fence.applies(order)) return false;
+    const distance = distanceBetween(location, fence.center(order));
+    return confirmEntry(`${order._id}:${fence.name}`, distance, fence.radius());
+  });
+  if (entered.length === 0) return [];
+
+  for (const fence of entered) {
+    order.set(`geofence.${fence.firedField}`, now);
+    if (fence.name === "pickup" && !order.pickedUpAt) {
+      order.pickedUpAt = now;
+    }
+    recordStatusHistory(order, {
+      actorId,
+      actorRole: ORDER_ROLES.AGENT,
+      location,
+      note: fence.note,
+    });
+  }
+  await order.save();
+
+  for (const fence of entered) {
+    emitToOrder(order, fence.event, {
+      agentId: order.deliveryAgent,
+      location,
+      distanceMeters: Math.round(distanceBetween(location, fence.center(order)) ?? 0),
+      timestamp: now,
+    });
+  }
+
+  // Ticks off the pickup and closes the trip to new orders
+  if (entered.some((fence) => fence.name === "pickup") && order.batch) {
+    await refreshBatch(order.batch, { agent });
+  }
+
+  return entered.map((fence) => fence.event);
+};
+
+/**
+ * Check a position an agent's app sent over the socket for one order
+ * @param {Object} params - { agentId, userId, orderId, location }
+ * @returns {Promise<Array<string>>} Events emitted
+ */
+export const checkSocketGeofences = async ({ agentId, userId, orderId, location }) => {
+  const point = toPoint(location);
+  if (!point || !mongoose.Types.ObjectId.isValid(agentId) || !mongoose.Types.ObjectId.isValid(orderId)) {
+    return [];
+  }
+
+  const order = await mongoose.model("Order").findOne({
+    _id: orderId,
+    deliveryAgent: agentId,
+    status: "out_for_delivery",
+  });
+  if (!order) return [];
+
+  return checkOrderGeofences(order, point, {
+    actorId: mongoose.Types.ObjectId.isValid(userId) ? userId : undefined,
+  });
+};
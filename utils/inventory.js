@@ -0,0 +1,81 @@
+import { Post } from "../models/post.model.js";
+import createError from "./error.js";
+
+// Sum quantities per product so a product listed twice is reserved once
+const groupQuantities = (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const productId = (item.productId?._id || item.productId).toString();
+    quantities.set(productId, (quantities.get(productId) || 0) + item.quantity);
+  }
+  return quantities;
+};
+
+/**
+ * Take stock for every item of an order. Must run inside a transaction:
+ * when any item is short the whole reservation is rolled back and a 409
+ * listing each short item is thrown.
+ * @param {Array} items - [{ productId, quantity, name? }]
+ * @param {ClientSession} session
+ */
+export const reserveStock = async (items, session) => {
+  const shortages = [];
+
+  for (const [productId, quantity] of groupQuantities(items)) {
+    // Only decrement when enough stock is left
+    const result = await Post.updateOne(
+      { _id: productId, unlimitedStock: { $ne: true }, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 1) continue;
+
+    const product = await Post.findById(productId)
+      .select("caption quantity unlimitedStock")
+      .session(session);
+
+    if (product?.unlimitedStock) continue;
+
+    shortages.push({
+      productId,
+      name: product?.caption,
+      requested: quantity,
+      available: product ? Math.max(product.quantity, 0) : 0,
+    });
+  }
+
+  if (shortages.length > 0) {
+    throw createError(409, "Some items are out of stock", { items: shortages });
+  }
+};
+
+/**
+ * Give stock back for the given items (products with unlimited stock are skipped)
+ * @param {Array} items - [{ productId, quantity }]
+ * @param {ClientSession} [session]
+ */
+export const releaseStock = async (items, session = null) => {
+  for (const [productId, quantity] of groupQuantities(items)) {
+    await Post.updateOne(
+      { _id: productId, unlimitedStock: { $ne: true } },
+      { $inc: { quantity } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Release the stock held by an order once, e.g. on cancellation or a
+ * failed payment. Marks the order as released (caller saves it).
+ * @param {Object} order - Order document
+ * @param {ClientSession} [session]
+ * @returns {Promise<boolean>} Whether stock was released
+ */
+export const releaseOrderInventory = async (order, session = null) => {
+  if (order.inventoryStatus === "released") return false;
+
+  await releaseStock(order.items, session);
+  order.inventoryStatus = "released";
+  return true;
+};
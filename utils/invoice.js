@@ -0,0 +1,339 @@
+import Invoice from "../models/invoice.model.js";
+import InvoiceCounter from "../models/invoiceCounter.model.js";
+import Order from "../models/order.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import { withTransaction } from "./db.js";
+import createError from "./error.js";
+import { PAYMENT_CURRENCY } from "./payments.js";
+import { createPdfDocument, PAGE_HEIGHT } from "./pdf.js";
+import { roundCurrency } from "./pricing.js";
+
+// Start of every invoice number, e.g. INV-1A2B3C-000042
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash on delivery",
+  card: "Card",
+  wallet: "Wallet",
+};
+
+// The seller an order is invoiced for. Orders from before sellers were
+// stored on orders are invoiced for the author of their first dish.
+const getInvoiceSeller = async (order, session) => {
+  const seller = order.seller || order.sellers?.[0];
+  if (seller) return seller;
+
+  const productIds = order.items.map((item) => item.productId?._id || item.productId);
+  const posts = await Post.find({ _id: { $in: productIds } }).select("author").session(session);
+  const authors = new Map(posts.map((post) => [post._id.toString(), post.author]));
+  return productIds.map((id) => authors.get(id?.toString())).find(Boolean);
+};
+
+/**
+ * Invoice number of a seller's nth invoice. The seller part is taken from the
+ * end of the seller id, so numbers of different sellers never collide.
+ * @param {string} sellerId
+ * @param {number} sequence
+ * @returns {string}
+ */
+const formatInvoiceNumber = (sellerId, sequence) =>
+  `${INVOICE_PREFIX}-${sellerId.toString().slice(-6).toUpperCase()}-${String(sequence).padStart(6, "0")}`;
+
+// Take the seller's next number and store the invoice (inside a transaction)
+const createInvoice = async (order, session) => {
+  const seller = await getInvoiceSeller(order, session);
+  if (!seller) {
+    throw createError(409, "This order has no seller to invoice for");
+  }
+
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { seller },
+    { $inc: { sequence: 1 } },
+    { upsert: true, new: true, session }
+  );
+  const [invoice] = await Invoice.create(
+    [{
+      order: order._id,
+      seller,
+      sequence: counter.sequence,
+      invoiceNumber: formatInvoiceNumber(seller, counter.sequence),
+    }],
+    { session }
+  );
+  return invoice;
+};
+
+/**
+ * Issue the invoice of a delivered single or seller order. An order keeps
+ * the number it was issued first; numbers are taken in the same transaction
+ * as the invoice, so an aborted issue leaves no gap.
+ * @param {Object} order - Delivered order (not a parent order)
+ * @param {ClientSession} [session] - Issue as part of the caller's transaction
+ * @returns {Promise<Object>} Invoice document
+ */
+export const issueInvoice = async (order, session = null) => {
+  const existing = await Invoice.findOne({ order: order._id }).session(session);
+  if (existing) return existing;
+
+  if (session) return createInvoice(order, session);
+
+  try {
+    return await withTransaction((txSession) => createInvoice(order, txSession));
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000) return Invoice.findOne({ order: order._id });
+    throw error;
+  }
+};
+
+/**
+ * Invoices of an order, issuing any that are missing. A split order has one
+ * invoice per delivered seller order.
+ * @param {Object} order - Order document
+ * @returns {Promise<Array>} [{ invoice, order }]
+ */
+export const getOrderInvoices = async (order) => {
+  const delivered = order.orderType === "parent"
+    ? await Order.find({ parentOrder: order._id, status: "delivered" }).sort({ createdAt: 1 })
+    : [order].filter((candidate) => candidate.status === "delivered");
+
+  if (delivered.length === 0) {
+    throw createError(409, "Invoices are issued once the order is delivered");
+  }
+
+  const invoices = [];
+  for (const invoicedOrder of delivered) {
+    invoices.push({ invoice: await issueInvoice(invoicedOrder), order: invoicedOrder });
+  }
+  return invoices;
+};
+
+/**
+ * Everything printed on an invoice, worked out from the order
+ * @param {Array} invoices - Output of getOrderInvoices
+ * @param {Object} [parent] - Parent order of split orders (holds the promo code)
+ * @returns {Promise<Array>} Invoice views
+ */
+export const buildInvoiceViews = async (invoices, parent = null) => {
+  const userIds = invoices.flatMap(({ invoice, order }) => [invoice.seller, order.user]);
+  const users = await User.find({ _id: { $in: userIds } }).select("username email");
+  const userMap = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return invoices.map(({ invoice, order }) => {
+    const seller = userMap.get(invoice.seller.toString());
+    const customer = userMap.get(order.user.toString());
+    const taxableAmount = roundCurrency(order.subtotal - order.discount);
+    const refunded = roundCurrency((order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0));
+
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      issuedAt: invoice.issuedAt,
+      orderId: (order.parentOrder || order._id).toString(),
+      deliveredAt: order.actualDeliveryTime,
+      currency: PAYMENT_CURRENCY,
+      seller: { name: seller?.username || "Seller", email: seller?.email },
+      customer: {
+        name: customer?.username || "Customer",
+        address: order.deliveryAddress,
+        contactNumber: order.contactNumber,
+      },
+      items: order.items.map((item) => ({
+        name: item.name || "Item",
+        quantity: item.quantity,
+        unitPrice: item.price,
+        amount: roundCurrency(item.price * item.quantity),
+      })),
+      subtotal: order.subtotal,
+      discount: order.discount,
+      promoCode: order.promoCodeApplied || parent?.promoCodeApplied || null,
+      taxableAmount,
+      // The rate the order was actually taxed at
+      taxRate: taxableAmount > 0 ? roundCurrency((order.tax / taxableAmount) * 100) : 0,
+      tax: order.tax,
+      deliveryFee: order.deliveryFee,
+      tip: order.tip || 0,
+      total: order.total,
+      refunded,
+      paymentMethod: PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+    };
+  });
+};
+
+const formatMoney = (currency, amount) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "-");
+
+// Amount rows under the item table, left out when they do not apply
+const summaryRows = (view) => [
+  ["Subtotal", view.subtotal],
+  ...(view.discount > 0
+    ? [[view.promoCode ? `Discount (${view.promoCode})` : "Discount", -view.discount]]
+    : []),
+  ["Taxable amount", view.taxableAmount],
+  [`Tax (${view.taxRate}%)`, view.tax],
+  ["Delivery fee", view.deliveryFee],
+  ...(view.tip > 0 ? [["Tip", view.tip]] : []),
+];
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[char]);
+
+/**
+ * Render invoices as one HTML document
+ * @param {Array} views - Output of buildInvoiceViews
+ * @returns {string}
+ */
+export const renderInvoiceHtml = (views) => {
+  const sections = views.map((view) => {
+    const money = (amount) => escapeHtml(formatMoney(view.currency, amount));
+    const items = view.items
+      .map((item) => `
+        <tr>
+          <td>${escapeHtml(item.name)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`)
+      .join("");
+    const summary = summaryRows(view)
+      .map(([label, amount]) => `<tr><td colspan="3">${escapeHtml(label)}</td><td class="num">${money(amount)}</td></tr>`)
+      .join("");
+
+    return `
+    <section class="invoice">
+      <h1>Tax invoice</h1>
+      <p class="meta">
+        Invoice no. <strong>${escapeHtml(view.invoiceNumber)}</strong><br>
+        Issued ${formatDate(view.issuedAt)} &middot; Delivered ${formatDate(view.deliveredAt)}<br>
+        Order ${escapeHtml(view.orderId)}
+      </p>
+      <div class="parties">
+        <div><h2>Sold by</h2>${escapeHtml(view.seller.name)}<br>${escapeHtml(view.seller.email)}</div>
+        <div><h2>Billed to</h2>${escapeHtml(view.customer.name)}<br>${escapeHtml(view.customer.address)}<br>${escapeHtml(view.customer.contactNumber)}</div>
+      </div>
+      <table>
+        <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+        <tbody>${items}</tbody>
+        <tfoot>
+          ${summary}
+          <tr class="total"><td colspan="3">Total</td><td class="num">${money(view.total)}</td></tr>
+          ${view.refunded > 0 ? `<tr><td colspan="3">Refunded</td><td class="num">${money(-view.refunded)}</td></tr>` : ""}
+        </tfoot>
+      </table>
+      <p>Paid by ${escapeHtml(view.paymentMethod)} (${escapeHtml(view.paymentStatus)})</p>
+    </section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(views.map((view) => view.invoiceNumber).join(", "))}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 2rem; }
+    .invoice { max-width: 720px; margin: 0 auto 3rem; page-break-after: always; }
+    h1 { font-size: 1.6rem; margin-bottom: 0.5rem; }
+    h2 { font-size: 0.8rem; text-transform: uppercase; color: #666; margin: 0 0 0.3rem; }
+    .parties { display: flex; justify-content: space-between; margin: 1.5rem 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 0.4rem; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>${sections.join("")}
+</body>
+</html>`;
+};
+
+/**
+ * Render invoices as a PDF, one invoice per page (longer ones continue on
+ * the next page)
+ * @param {Array} views - Output of buildInvoiceViews
+ * @returns {Buffer}
+ */
+export const renderInvoicePdf = (views) => {
+  const pdf = createPdfDocument();
+  const LEFT = 40;
+  const RIGHT = 555;
+  const BOTTOM = PAGE_HEIGHT - 60;
+
+  for (const view of views) {
+    const money = (amount) => formatMoney(view.currency, amount);
+    pdf.addPage();
+    let top = 60;
+
+    pdf.text("TAX INVOICE", LEFT, top, { size: 18, bold: true });
+    pdf.text(`Invoice no. ${view.invoiceNumber}`, RIGHT, top - 6, { bold: true, align: "right" });
+    pdf.text(`Issued ${formatDate(view.issuedAt)}`, RIGHT, top + 8, { align: "right" });
+    pdf.text(`Order ${view.orderId}`, RIGHT, top + 22, { size: 8, align: "right" });
+
+    top += 50;
+    pdf.text("SOLD BY", LEFT, top, { size: 8, bold: true });
+    pdf.text("BILLED TO", 320, top, { size: 8, bold: true });
+    const sellerLines = [view.seller.name, view.seller.email].filter(Boolean);
+    const customerLines = [view.customer.name, view.customer.address, view.customer.contactNumber].filter(Boolean);
+    sellerLines.forEach((text, i) => pdf.text(text, LEFT, top + 14 * (i + 1)));
+    customerLines.forEach((text, i) => pdf.text(text, 320, top + 14 * (i + 1)));
+
+    const tableHeader = () => {
+      pdf.text("Item", LEFT, top, { bold: true });
+      pdf.text("Qty", 340, top, { bold: true, align: "right" });
+      pdf.text("Unit price", 450, top, { bold: true, align: "right" });
+      pdf.text("Amount", RIGHT, top, { bold: true, align: "right" });
+      pdf.line(LEFT, top + 5, RIGHT, top + 5);
+      top += 20;
+    };
+
+    top += 14 * (Math.max(sellerLines.length, customerLines.length) + 2);
+    tableHeader();
+    for (const item of view.items) {
+      if (top > BOTTOM) {
+        pdf.addPage();
+        top = 60;
+        tableHeader();
+      }
+      pdf.text(item.name.length > 50 ? `${item.name.slice(0, 47)}...` : item.name, LEFT, top);
+      pdf.text(String(item.quantity), 340, top, { align: "right" });
+      pdf.text(money(item.unitPrice), 450, top, { align: "right" });
+      pdf.text(money(item.amount), RIGHT, top, { align: "right" });
+      top += 16;
+    }
+
+    // Summary block: 16pt per row plus total, payment and refund lines
+    if (top + 16 * (summaryRows(view).length + 4) > BOTTOM) {
+      pdf.addPage();
+      top = 60;
+    }
+    pdf.line(LEFT, top - 8, RIGHT, top - 8);
+    top += 6;
+    for (const [label, amount] of summaryRows(view)) {
+      pdf.text(label, 340, top);
+      pdf.text(money(amount), RIGHT, top, { align: "right" });
+      top += 16;
+    }
+    pdf.line(340, top - 10, RIGHT, top - 10, 1);
+    top += 4;
+    pdf.text("Total", 340, top, { size: 12, bold: true });
+    pdf.text(money(view.total), RIGHT, top, { size: 12, bold: true, align: "right" });
+    top += 18;
+    if (view.refunded > 0) {
+      pdf.text("Refunded", 340, top);
+      pdf.text(money(-view.refunded), RIGHT, top, { align: "right" });
+      top += 16;
+    }
+
+    pdf.text(`Paid by ${view.paymentMethod} (${view.paymentStatus})`, LEFT, top + 10);
+    pdf.text("Thank you for your order!", LEFT, BOTTOM + 20, { size: 8 });
+  }
+
+  return pdf.toBuffer();
+};
@@ -0,0 +1,383 @@
+import Order from "../models/order.model.js";
+import { withTransaction } from "./db.js";
+import { endTrack } from "./deliveryTrack.js";
+import createError from "./error.js";
+import { clearGeofences } from "./geofence.js";
+import { afterOrderCommit } from "./orderEvents.js";
+import { releaseOrderInventory, releaseStock } from "./inventory.js";
+import { repriceOrderItems, roundCurrency } from "./pricing.js";
+import { releasePromoRedemption, updateRedemptionDiscount } from "./promo.js";
+import { releaseDeliverySlot } from "./scheduling.js";
+import { refundOrderPayment } from "./payments.js";
+import { saveOrder, splitQuoteByChild } from "./orderSplit.js";
+import {
+  ORDER_ROLES,
+  recordStatusHistory,
+  resolveOrderRoles,
+  transitionOrder,
+} from "./orderStatus.js";
+
+// Single items can only be taken out before the seller starts preparing
+const ITEM_CANCELLABLE_STATUSES = ["processing", "confirmed"];
+
+// Release what a cancelled order holds and save it (inside a transaction)
+const releaseCancelledOrder = async (order, session) => {
+  await releaseOrderInventory(order, session);
+  await releaseDeliverySlot(order, session);
+  await saveOrder(order, { session });
+  await releasePromoRedemption(order._id, session);
+};
+
+// A committed cancellation takes the order off the road: drop its live
+// tracking state and move the estimates it counted towards
+const afterCancellationCommit = async (order) => {
+  if (order.deliveryAgent) endTrack(order.deliveryAgent, order._id);
+  clearGeofences(order._id);
+  await afterOrderCommit(order);
+};
+
+// Cancelled orders stay refund_pending until their refund has gone through
+const markRefunded = (filter) =>
+  Order.updateMany(
+    { ...filter, paymentStatus: "refund_pending" },
+    { $set: { paymentStatus: "refunded" } }
+  );
+
+// Give the money of a cancelled, paid order back through the payment provider
+const refundCancelledOrder = async (order, wasPaid, note) => {
+  if (!wasPaid) return;
+
+  try {
+    if (order.orderType !== "child") {
+      await refundOrderPayment(order, { reason: note });
+      // The seller orders of a split order were paid with it
+      await markRefunded({ $or: [{ _id: order._id }, { parentOrder: order._id }] });
+      order.paymentStatus = "refunded";
+      return;
+    }
+
+    // A seller order is refunded out of its parent's payment
+    const refund = await refundOrderPayment(order, { amount: order.total, reason: note });
+    await markRefunded({ _id: order._id });
+    order.paymentStatus = "refunded";
+    if (refund) {
+      await Order.updateOne(
+        { _id: order.parentOrder, paymentStatus: "paid" },
+        { $set: { paymentStatus: "partially_refunded" } }
+      );
+    }
+    // The refund of its last seller order settles a cancelled parent
+    await markRefunded({ _id: order.parentOrder });
+  } catch (error) {
+    // The order stays refund_pending for an admin to follow up
+    console.error(`Error refunding cancelled order ${order._id}:`, error);
+  }
+};
+
+/**
+ * Cancel an order with the roles the caller holds on it. A split order is
+ * cancelled by cancelling each of its child orders - all of them or none.
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {Function} params.getRoles - async (order) => roles of the caller on that order
+ * @param {string} [params.actorId]
+ * @param {string} params.note - Cancellation reason, also used as statusHistory note
+ * @returns {Promise<Object>} The cancelled order (reloaded for split orders)
+ */
+const cancelOrderWithRoles = async (order, { getRoles, actorId, note }) => {
+  const wasPaid = ["paid", "partially_refunded"].includes(order.paymentStatus);
+
+  if (order.orderType !== "parent") {
+    const roles = await getRoles(order);
+    if (roles.length === 0) {
+      throw createError(403, "You are not authorized to cancel this order");
+    }
+
+    // Validates the move against the transition table (409 on illegal moves)
+    transitionOrder(order, "cancelled", { roles, actorId, note });
+    order.cancellationReason = note;
+    await withTransaction((session) => releaseCancelledOrder(order, session));
+    await afterCancellationCommit(order);
+    await refundCancelledOrder(order, wasPaid, note);
+    return order;
+  }
+
+  const children = await Order.find({ parentOrder: order._id, status: { $ne: "cancelled" } });
+
+  // Validate every child before changing any of them
+  for (const child of children) {
+    const roles = await getRoles(child);
+    if (roles.length === 0) {
+      throw createError(403, "You are not authorized to cancel this order");
+    }
+    transitionOrder(child, "cancelled", { roles, actorId, note });
+    child.cancellationReason = note;
+  }
+
+  // Saving the children moves the parent to cancelled (see saveOrder)
+  await withTransaction(async (session) => {
+    for (const child of children) {
+      await releaseCancelledOrder(child, session);
+    }
+  });
+  for (const child of children) {
+    await afterCancellationCommit(child);
+  }
+  await refundCancelledOrder(order, wasPaid, note);
+
+  return Order.findById(order._id);
+};
+
+/**
+ * Cancel an order on behalf of a user
+ * @param {Object} order - Order document
+ * @param {Object} user - req.user
+ * @param {string} note - Cancellation reason, also used as statusHistory note
+ * @returns {Promise<Object>} The cancelled order (reloaded for split orders)
+ */
+export const cancelOrderForUser = (order, user, note) =>
+  cancelOrderWithRoles(order, {
+    getRoles: (target) => resolveOrderRoles(target, user),
+    actorId: user.id,
+    note,
+  });
+
+/**
+ * Cancel an order on behalf of the server, e.g. after a failed payment
+ * @param {Object} order - Order document
+ * @param {string} note - Cancellation reason, also used as statusHistory note
+ * @returns {Promise<Object>} The cancelled order (reloaded for split orders)
+ */
+export const cancelOrderAsSystem = (order, note) =>
+  cancelOrderWithRoles(order, {
+    getRoles: async () => [ORDER_ROLES.SYSTEM],
+    note,
+  });
+
+// Throw unless items of this order can still be cancelled
+const assertItemsCancellable = (order) => {
+  if (ITEM_CANCELLABLE_STATUSES.includes(order.status)) return;
+
+  if (order.status === "out_for_delivery" || order.status === "delivered") {
+    throw createError(409, "Items cannot be cancelled once the order is out for delivery");
+  }
+  if (order.status === "preparing") {
+    throw createError(409, "Items cannot be cancelled once the seller has started preparing them");
+  }
+  throw createError(409, `Items cannot be cancelled from a ${order.status} order`);
+};
+
+/**
+ * Validate the requested cancellations against the ordered quantities
+ * @param {Array} orderedItems - Items that can be cancelled
+ * @param {Array} requested - [{ productId, quantity? }], no quantity cancels the whole line
+ * @returns {Map<string, number>} productId -> quantity to cancel
+ */
+const parseItemCancellations = (orderedItems, requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw createError(400, "Select at least one item to cancel");
+  }
+
+  const ordered = new Map();
+  for (const item of orderedItems) {
+    const productId = item.productId.toString();
+    ordered.set(productId, (ordered.get(productId) || 0) + item.quantity);
+  }
+
+  const quantities = new Map();
+  for (const { productId, quantity } of requested) {
+    if (!productId) {
+      throw createError(400, "Each item must have a product ID");
+    }
+    const key = productId.toString();
+    if (!ordered.has(key)) {
+      throw createError(400, `Product ${key} is not part of this order`);
+    }
+
+    const cancelled = quantities.get(key) || 0;
+    const count = quantity === undefined || quantity === null
+      ? ordered.get(key) - cancelled
+      : Number(quantity);
+    if (!Number.isInteger(count) || count <= 0) {
+      throw createError(400, "Each item must have a valid quantity");
+    }
+    if (cancelled + count > ordered.get(key)) {
+      throw createError(400, `Only ${ordered.get(key)} of product ${key} can be cancelled`);
+    }
+    quantities.set(key, cancelled + count);
+  }
+
+  return quantities;
+};
+
+/**
+ * Take the cancelled quantities out of a list of order items
+ * @param {Array} items - Order items
+ * @param {Map<string, number>} quantities - productId -> quantity to cancel
+ * @returns {Object} { remaining, removed } as plain item objects
+ */
+const subtractItems = (items, quantities) => {
+  const left = new Map(quantities);
+  const remaining = [];
+  const removed = [];
+
+  for (const { _id, productId, name, price, quantity } of items) {
+    const key = productId.toString();
+    const taken = Math.min(left.get(key) || 0, quantity);
+    if (taken > 0) {
+      removed.push({ productId, name, price, quantity: taken });
+      left.set(key, left.get(key) - taken);
+    }
+    if (quantity > taken) {
+      remaining.push({ _id, productId, name, price, quantity: quantity - taken });
+    }
+  }
+
+  return { remaining, removed };
+};
+
+// Copy repriced amounts onto an order
+const applyAmounts = (order, { subtotal, tax, deliveryFee, discount, tip, total }) => {
+  Object.assign(order, { subtotal, tax, deliveryFee, discount, tip, total });
+};
+
+/**
+ * Cancel some items of an order, or lower their quantities, before the
+ * seller starts preparing them. Amounts are worked out again, stock comes
+ * back for the cancelled items only and a paid order gets a refund record.
+ * Cancelling everything that is left cancels the whole order.
+ * @param {Object} order - Order document; a seller order is handled through its parent
+ * @param {Object} user - req.user
+ * @param {Object} params
+ * @param {Array} params.items - [{ productId, quantity? }]
+ * @param {string} [params.reason]
+ * @returns {Promise<Object>} { order, removed, refund } - refund is null when nothing was paid
+ */
+export const cancelItemsForUser = async (order, user, { items, reason }) => {
+  const target = order.orderType === "child" ? await Order.findById(order.parentOrder) : order;
+  if (!target) {
+    throw createError(404, "Order not found");
+  }
+
+  const roles = await resolveOrderRoles(target, user);
+  const actorRole = [ORDER_ROLES.CUSTOMER, ORDER_ROLES.ADMIN].find((role) => roles.includes(role));
+  if (!actorRole) {
+    throw createError(403, "You are not authorized to change this order");
+  }
+  assertItemsCancellable(target);
+
+  // Items of a split order live on its child orders
+  const isSplit = target.orderType === "parent";
+  const children = isSplit
+    ? await Order.find({ parentOrder: target._id, status: { $ne: "cancelled" } })
+    : [];
+
+  const quantities = parseItemCancellations(
+    isSplit ? children.flatMap((child) => child.items) : target.items,
+    items
+  );
+  const { remaining, removed } = subtractItems(target.items, quantities);
+  const childChanges = children.map((child) => ({ child, ...subtractItems(child.items, quantities) }));
+
+  for (const { child, removed: childRemoved } of childChanges) {
+    if (childRemoved.length > 0) assertItemsCancellable(child);
+  }
+
+  const note = `Cancelled ${removed.map((item) => `${item.quantity} x ${item.name}`).join(", ")}`
+    + (reason ? `: ${reason}` : "");
+
+  const nothingLeft = isSplit
+    ? childChanges.every((change) => change.remaining.length === 0)
+    : remaining.length === 0;
+  if (nothingLeft) {
+    const cancelledOrder = await cancelOrderForUser(target, user, reason || note);
+    return { order: cancelledOrder, removed, refund: null };
+  }
+
+  const keptChildren = childChanges.filter((change) => change.remaining.length > 0);
+  const emptiedChildren = childChanges.filter((change) => change.remaining.length === 0);
+
+  // Price the order and, for split orders, what the remaining sellers still deliver
+  const quote = await repriceOrderItems(target, remaining);
+  const childQuote = isSplit
+    ? await repriceOrderItems(target, keptChildren.flatMap((change) => change.remaining))
+    : null;
+
+  const refundAmount = roundCurrency(target.total - quote.total);
+  target.items = remaining;
+  applyAmounts(target, quote);
+  recordStatusHistory(target, { actorId: user.id, actorRole, note });
+
+  let refund = null;
+  if (["paid", "partially_refunded"].includes(target.paymentStatus) && refundAmount > 0) {
+    target.refunds.push({ amount: refundAmount, items: removed, reason, requestedBy: user.id });
+    target.paymentStatus = "partially_refunded";
+    refund = target.refunds[target.refunds.length - 1];
+  }
+
+  for (const change of keptChildren) {
+    change.child.items = change.remaining;
+    if (change.removed.length > 0) {
+      recordStatusHistory(change.child, { actorId: user.id, actorRole, note });
+    }
+  }
+  if (isSplit) {
+    const shares = splitQuoteByChild(childQuote, keptChildren.map((change) => change.child));
+    keptChildren.forEach((change, i) => applyAmounts(change.child, shares[i]));
+  }
+
+  for (const { child } of emptiedChildren) {
+    transitionOrder(child, "cancelled", { roles: [actorRole], actorId: user.id, note });
+    child.cancellationReason = reason || note;
+  }
+
+  await withTransaction(async (session) => {
+    if (!isSplit && target.inventoryStatus === "reserved") {
+      await releaseStock(removed, session);
+    }
+    // The parent goes first: saving a cancelled child updates it (see saveOrder)
+    await target.save({ session });
+
+    for (const { child, removed: childRemoved } of keptChildren) {
+      if (childRemoved.length > 0 && child.inventoryStatus === "reserved") {
+        await releaseStock(childRemoved, session);
+      }
+      await child.save({ session });
+    }
+    for (const { child } of emptiedChildren) {
+      await releaseCancelledOrder(child, session);
+    }
+
+    if (target.promoCode) {
+      await updateRedemptionDiscount(target._id, target.discount, session);
+    }
+  });
+  for (const { child } of emptiedChildren) {
+    await afterCancellationCommit(child);
+  }
+
+  if (refund) {
+    try {
+      const providerRefund = await refundOrderPayment(target, {
+        amount: refund.amount,
+        reason: note,
+        idempotencyKey: `refund:${target._id}:${refund._id}`
+      });
+      if (providerRefund) {
+        refund.providerRefundId = providerRefund.providerRefundId;
+        await Order.updateOne(
+          { _id: target._id, "refunds._id": refund._id },
+          { $set: { "refunds.$.providerRefundId": providerRefund.providerRefundId } }
+        );
+      }
+      // The refund covers the seller orders that were cancelled outright
+      await markRefunded({ _id: { $in: emptiedChildren.map(({ child }) => child._id) } });
+    } catch (error) {
+      console.error(`Error refunding cancelled items of order ${target._id}:`, error);
+    }
+  }
+
+  // A cancelled seller order may have moved the parent on
+  const updatedOrder = emptiedChildren.length > 0 ? await Order.findById(target._id) : target;
+  return { order: updatedOrder, removed, refund };
+};
@@ -0,0 +1,40 @@
+import Order from "../models/order.model.js";
+import { queueDispatch } from "./dispatch.js";
+import { refreshOrderEta } from "./eta.js";
+import { notifyDeliveryOtp } from "./proofOfDelivery.js";
+
+/**
+ * Run what follows a saved order change once it is committed: move the
+ * delivery estimate, start looking for an agent for a confirmed order and
+ * send the customer the delivery code of an order that went out. Reads
+ * (and clears) what saveOrder recorded on the document, so running it
+ * twice does nothing the second time.
+ * @param {Object} order - Order document saved with saveOrder
+ */
+export const afterOrderCommit = async (order) => {
+  const { statusChanged = false, etaStale = false } = order.$locals;
+  delete order.$locals.statusChanged;
+  delete order.$locals.etaStale;
+
+  if (etaStale) {
+    try {
+      await refreshOrderEta(order);
+      // A seller order that left the road no longer counts towards its parent's estimate
+      if (statusChanged && order.orderType === "child") {
+        const parent = await Order.findById(order.parentOrder);
+        if (parent) await refreshOrderEta(parent);
+      }
+    } catch (error) {
+      console.error(`Error updating ETA for order ${order._id}:`, error);
+    }
+  }
+
+  if (!statusChanged) return;
+
+  if (order.status === "confirmed" && order.orderType !== "parent") {
+    queueDispatch(order._id);
+  }
+  if (order.status === "out_for_delivery") {
+    notifyDeliveryOtp(order);
+  }
+};
@@ -0,0 +1,281 @@
+import Order from "../models/order.model.js";
+import Payment from "../models/payment.model.js";
+import { emitToOrder } from "../socket/socket.js";
+import createError from "./error.js";
+import { cancelOrderAsSystem } from "./orderCancellation.js";
+import { assertPaymentsAvailable, getPaymentProvider } from "./paymentProviders/index.js";
+import {
+  confirmPaymentIntent,
+  createPaymentIntent,
+  createTipIntent,
+  createTopUpIntent,
+  isFinalPaymentStatus,
+  refundOrderPayment,
+  requiresPrepayment,
+} from "./payments.js";
+import { failTipPayment, settleTipPayment } from "./tips.js";
+import { creditTopUp } from "./wallet.js";
+
+// Orders whose payment was not confirmed within this time are cancelled
+export const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES ?? 15);
+
+// Set the payment status of an order and of its seller orders
+const setOrderPaymentStatus = (orderId, from, to) =>
+  Order.updateMany(
+    { $or: [{ _id: orderId }, { parentOrder: orderId }], paymentStatus: from },
+    { $set: { paymentStatus: to } }
+  );
+
+// Payment confirmed: mark the order paid, or give the money back if it was cancelled meanwhile
+const settleOrder = async (payment) => {
+  const order = await Order.findById(payment.order);
+  if (!order) return;
+
+  if (order.status === "cancelled") {
+    // Owed back from here on; refunded only once the provider has taken the refund
+    await setOrderPaymentStatus(order._id, "pending", "refund_pending");
+    await refundOrderPayment(order, { reason: "Order was cancelled before the payment settled" });
+    await setOrderPaymentStatus(order._id, "refund_pending", "refunded");
+  } else {
+    await setOrderPaymentStatus(order._id, "pending", "paid");
+  }
+
+  emitToOrder(order, "paymentStatusUpdate", {
+    paymentStatus: order.status === "cancelled" ? "refunded" : "paid",
+    timestamp: new Date(),
+  });
+};
+
+// Payment failed: cancel the order, which gives its stock back
+const failOrder = async (payment) => {
+  await setOrderPaymentStatus(payment.order, "pending", "failed");
+
+  const order = await Order.findById(payment.order);
+  if (!order) return;
+
+  if (order.status !== "cancelled") {
+    try {
+      await cancelOrderAsSystem(order, `Payment failed: ${payment.failureReason || "declined"}`);
+    } catch (error) {
+      // e.g. the seller already started preparing; left for an admin to resolve
+      console.error(`Could not cancel order ${order._id} after a failed payment:`, error.message);
+    }
+  }
+
+  emitToOrder(order, "paymentStatusUpdate", {
+    paymentStatus: "failed",
+    reason: payment.failureReason,
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Record a status reported by the provider and apply it to the order.
+ * Repeated or out-of-date reports are ignored.
+ * @param {Object} payment - Payment document
+ * @param {Object} result - { status, failureReason? } from the provider
+ * @returns {Promise<Object>} The payment
+ */
+export const applyPaymentResult = async (payment, { status, failureReason }) => {
+  if (payment.status === status || isFinalPaymentStatus(payment.status)) {
+    return payment;
+  }
+
+  payment.status = status;
+  if (failureReason) payment.failureReason = failureReason;
+  await payment.save();
+
+  if (payment.purpose === "wallet_topup") {
+    // A failed top-up leaves the wallet untouched
+    if (status === "succeeded") await creditTopUp(payment);
+  } else if (payment.purpose === "tip") {
+    if (status === "succeeded") await settleTipPayment(payment);
+    else if (status === "failed" || status === "cancelled") await failTipPayment(payment);
+  } else if (status === "succeeded") {
+    await settleOrder(payment);
+  } else if (status === "failed" || status === "cancelled") {
+    await failOrder(payment);
+  }
+
+  return payment;
+};
+
+/**
+ * Open the provider payment for a freshly placed prepaid order. When the
+ * provider cannot be reached the order is cancelled again.
+ * @param {Object} order - Single or parent order
+ * @returns {Promise<Object|null>} { id, provider, status, amount, clientSecret }, null for cash orders
+ */
+export const startOrderPayment = async (order) => {
+  if (!requiresPrepayment(order)) return null;
+
+  try {
+    const { payment, clientSecret } = await createPaymentIntent(order);
+    return {
+      id: payment._id,
+      provider: payment.provider,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      clientSecret,
+    };
+  } catch (error) {
+    console.error(`Error starting payment for order ${order._id}:`, error);
+    await cancelOrderAsSystem(order, "Payment could not be started");
+    throw createError(502, "Payment provider is unavailable, the order was not placed");
+  }
+};
+
+/**
+ * Open a provider payment that tops up a wallet once it succeeds
+ * @param {Object} wallet - Wallet document
+ * @param {number} amount
+ * @returns {Promise<Object>} { id, provider, status, amount, currency, clientSecret }
+ */
+export const startTopUpPayment = async (wallet, amount) => {
+  try {
+    const { payment, clientSecret } = await createTopUpIntent(wallet, amount);
+    return {
+      id: payment._id,
+      provider: payment.provider,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      clientSecret,
+    };
+  } catch (error) {
+    console.error(`Error starting top-up for wallet ${wallet._id}:`, error);
+    throw createError(502, "Payment provider is unavailable");
+  }
+};
+
+/**
+ * Confirm a wallet top-up with the customer's payment method
+ * @param {Object} payment - Payment with purpose "wallet_topup"
+ * @param {string} paymentMethod
+ * @returns {Promise<Object>} The payment
+ */
+export const confirmTopUpPayment = async (payment, paymentMethod) => {
+  if (payment.status !== "requires_confirmation") {
+    throw createError(409, `Payment is already ${payment.status}`);
+  }
+
+  const result = await confirmPaymentIntent(payment, paymentMethod);
+  return applyPaymentResult(payment, result);
+};
+
+/**
+ * Charge a tip added after delivery through the payment provider. The
+ * agent is credited once the payment succeeds, which may be via webhook.
+ * @param {Object} order - Order checked with assertCanTip
+ * @param {number} amount
+ * @param {string} paymentMethod - Provider-specific payment method token
+ * @returns {Promise<Object>} The payment
+ */
+export const chargeTipPayment = async (order, amount, paymentMethod) => {
+  assertPaymentsAvailable();
+
+  // Claim the tip first, so two requests cannot both charge the customer
+  const claimed = await Order.updateOne(
+    { _id: order._id, "postDeliveryTip.status": { $nin: ["pending", "paid"] } },
+    { $set: { postDeliveryTip: { amount, status: "pending" } } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw createError(409, "A tip for this order is already being processed");
+  }
+
+  let payment;
+  try {
+    ({ payment } = await createTipIntent(order, amount));
+  } catch (error) {
+    console.error(`Error starting tip payment for order ${order._id}:`, error);
+    await Order.updateOne({ _id: order._id }, { $set: { "postDeliveryTip.status": "failed" } });
+    throw createError(502, "Payment provider is unavailable");
+  }
+  await Order.updateOne({ _id: order._id }, { $set: { "postDeliveryTip.payment": payment._id } });
+
+  const result = await confirmPaymentIntent(payment, paymentMethod);
+  return applyPaymentResult(payment, result);
+};
+
+/**
+ * Confirm an order's payment with the customer's payment method
+ * @param {Object} order - Order document
+ * @param {string} paymentMethod
+ * @returns {Promise<Object>} The payment
+ */
+export const confirmOrderPayment = async (order, paymentMethod) => {
+  const payment = await Payment.findOne({ order: order._id, purpose: { $ne: "tip" } }).sort({ createdAt: -1 });
+  if (!payment) {
+    throw createError(404, "This order has no payment to confirm");
+  }
+  if (payment.status !== "requires_confirmation") {
+    throw createError(409, `Payment is already ${payment.status}`);
+  }
+  if (order.status === "cancelled") {
+    throw createError(409, "Cannot pay for a cancelled order");
+  }
+
+  const result = await confirmPaymentIntent(payment, paymentMethod);
+  return applyPaymentResult(payment, result);
+};
+
+/**
+ * Verify and apply a provider webhook. Events are applied once.
+ * @param {string} providerName
+ * @param {Buffer} rawBody
+ * @param {Object} headers
+ * @returns {Promise<Object>} { received, duplicate?, ignored? }
+ */
+export const handlePaymentWebhook = async (providerName, rawBody, headers) => {
+  assertPaymentsAvailable();
+  const provider = getPaymentProvider(providerName);
+  if (!rawBody) {
+    throw createError(400, "Missing webhook body");
+  }
+
+  const event = provider.verifyWebhook(rawBody, headers);
+  const payment = await Payment.findOne({ provider: providerName, providerPaymentId: event.data?.id });
+  if (!payment) {
+    return { received: true, ignored: true };
+  }
+
+  // Claim the event so a redelivery is not applied twice
+  const claimed = await Payment.updateOne(
+    { _id: payment._id, processedEvents: { $ne: event.id } },
+    { $push: { processedEvents: event.id } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { received: true, duplicate: true };
+  }
+
+  await applyPaymentResult(await Payment.findById(payment._id), event.data);
+  return { received: true };
+};
+
+/**
+ * Cancel prepaid orders and wallet top-ups whose payment was never confirmed
+ * @returns {Promise<number>} Number of payments expired
+ */
+export const expireUnpaidOrders = async () => {
+  const cutoff = new Date(Date.now() - PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+  const stale = await Payment.find({
+    status: "requires_confirmation",
+    createdAt: { $lte: cutoff },
+  });
+
+  let expired = 0;
+  for (const payment of stale) {
+    try {
+      await applyPaymentResult(payment, {
+        status: "cancelled",
+        failureReason: `Not paid within ${PAYMENT_TIMEOUT_MINUTES} minutes`,
+      });
+      expired++;
+    } catch (error) {
+      console.error(`Error expiring payment ${payment._id}:`, error);
+    }
+  }
+
+  return expired;
+};
@@ -0,0 +1,109 @@
+import Order from "../models/order.model.js";
+import { io } from "../socket/socket.js";
+import { afterOrderCommit } from "./orderEvents.js";
+import { saveOrder } from "./orderSplit.js";
+import { ORDER_ROLES, transitionOrder } from "./orderStatus.js";
+import { CONFIRM_LEAD_MINUTES } from "./scheduling.js";
+import { expireUnpaidOrders } from "./orderPayment.js";
+import { isAwaitingPayment } from "./payments.js";
+import { sweepDispatch } from "./dispatch.js";
+import { recordSurgeLevels } from "./deliveryFees.js";
+
+// How often the scheduler looks for due orders
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+let isRunning = false;
+
+/**
+ * Confirm scheduled orders whose slot starts within the confirmation lead time
+ * @returns {Promise<number>} Number of orders confirmed
+ */
+export const confirmDueScheduledOrders = async () => {
+  const confirmBefore = new Date(Date.now() + CONFIRM_LEAD_MINUTES * 60 * 1000);
+
+  const dueOrders = await Order.find({
+    status: "processing",
+    orderType: { $ne: "parent" }, // follows its child orders
+    "deliverySlot.start": { $lte: confirmBefore },
+  });
+
+  let confirmed = 0;
+  for (const order of dueOrders) {
+    // Prepaid orders wait for their payment
+    if (isAwaitingPayment(order)) continue;
+
+    try {
+      transitionOrder(order, "confirmed", {
+        roles: [ORDER_ROLES.SYSTEM],
+        note: "Scheduled order confirmed ahead of its delivery slot",
+      });
+      await saveOrder(order);
+      await afterOrderCommit(order);
+      confirmed++;
+
+      io.to(`user_${order.user}`).emit("orderStatusUpdate", {
+        orderId: order._id,
+        status: order.status,
+        deliverySlot: order.deliverySlot,
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      console.error(`Error confirming scheduled order ${order._id}:`, error);
+    }
+  }
+
+  return confirmed;
+};
+
+// One scheduler pass; skipped when the previous pass is still running
+const runSchedulerTick = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const confirmed = await confirmDueScheduledOrders();
+    if (confirmed > 0) {
+      console.log(`Scheduler confirmed ${confirmed} scheduled order(s)`);
+    }
+
+    const expired = await expireUnpaidOrders();
+    if (expired > 0) {
+      console.log(`Scheduler cancelled ${expired} unpaid order(s)`);
+    }
+
+    const dispatched = await sweepDispatch();
+    if (dispatched > 0) {
+      console.log(`Scheduler started dispatch for ${dispatched} order(s)`);
+    }
+
+    const surgeChanges = await recordSurgeLevels();
+    if (surgeChanges > 0) {
+      console.log(`Scheduler logged ${surgeChanges} surge level change(s)`);
+    }
+  } catch (error) {
+    console.error("Order scheduler error:", error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the background scheduler for scheduled, unpaid and undispatched orders
+ */
+export const startOrderScheduler = () => {
+  if (schedulerTimer) return;
+  console.log("Starting order scheduler...");
+  schedulerTimer = setInterval(runSchedulerTick, SCHEDULER_INTERVAL_MS);
+  runSchedulerTick();
+};
+
+/**
+ * Stop the background scheduler
+ */
+export const stopOrderScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    console.log("Order scheduler stopped");
+  }
+};
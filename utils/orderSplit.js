@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { roundCurrency } from "./pricing.js";
+import { isPromoItemEligible, releasePromoRedemption } from "./promo.js";
+import { ORDER_ROLES, deriveParentStatus, recordStatusHistory } from "./orderStatus.js";
+
+/**
+ * Split an amount over weights, rounding each share to two decimals.
+ * The last share absorbs the rounding remainder so the shares add up.
+ * @param {number} amount
+ * @param {Array<number>} weights
+ * @returns {Array<number>}
+ */
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const shares = weights.map((w) =>
+    totalWeight > 0 ? roundCurrency((amount * w) / totalWeight) : roundCurrency(amount / weights.length)
+  );
+  const allocated = shares.slice(0, -1).reduce((sum, share) => sum + share, 0);
+  shares[shares.length - 1] = roundCurrency(amount - allocated);
+  return shares;
+};
+
+/**
+ * Subtotal and promo-eligible amount of a group of priced line items
+ * @param {Array} items - Line items with their Post attached as `product`
+ * @param {Object} [promo]
+ * @returns {Object} { items, subtotal, eligible }
+ */
+const describePart = (items, promo) => ({
+  items,
+  subtotal: roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0)),
+  eligible: items
+    .filter((item) => !promo || isPromoItemEligible(promo, item))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0),
+});
+
+/**
+ * Share order-level amounts over parts of an order. Discount is shared in
+ * proportion to the promo-eligible amount of each part, tax in proportion
+ * to the discounted amount, and the delivery fee and tip evenly (each part
+ * has its own agent). The parts always add up to the order.
+ * @param {Object} amounts - { discount, tax, deliveryFee, tip }
+ * @param {Array} parts - [{ subtotal, eligible }] (see describePart)
+ * @returns {Array} [{ subtotal, discount, tax, deliveryFee, tip, total }]
+ */
+const shareOrderAmounts = ({ discount, tax, deliveryFee, tip = 0 }, parts) => {
+  const discounts = allocate(discount, parts.map((part) => part.eligible));
+  const taxes = allocate(tax, parts.map((part, i) => part.subtotal - discounts[i]));
+  const fees = allocate(deliveryFee, parts.map(() => 1));
+  const tips = allocate(tip, parts.map(() => 1));
+
+  return parts.map((part, i) => ({
+    subtotal: part.subtotal,
+    discount: discounts[i],
+    tax: taxes[i],
+    deliveryFee: fees[i],
+    tip: tips[i],
+    total: roundCurrency(part.subtotal - discounts[i] + taxes[i] + fees[i] + tips[i]),
+  }));
+};
+
+/**
+ * Divide a priced cart into one part per seller (see shareOrderAmounts)
+ * @param {Object} quote - Output of priceOrder
+ * @returns {Array} [{ sellerId, items, subtotal, tax, deliveryFee, discount, tip, total }]
+ */
+export const splitQuoteBySeller = (quote) => {
+  const groups = new Map();
+  for (const item of quote.items) {
+    const sellerId = item.product?.author?.toString();
+    if (!groups.has(sellerId)) groups.set(sellerId, []);
+    groups.get(sellerId).push(item);
+  }
+
+  const sellerIds = [...groups.keys()];
+  const parts = [...groups.values()].map((items) => describePart(items, quote.promo));
+
+  return shareOrderAmounts(quote, parts).map((amounts, i) => ({
+    sellerId: sellerIds[i],
+    items: parts[i].items,
+    ...amounts,
+  }));
+};
+
+/**
+ * Share a repriced split order over the child orders holding its items,
+ * e.g. after some items were cancelled (see shareOrderAmounts)
+ * @param {Object} quote - Output of repriceOrderItems
+ * @param {Array} children - Child orders with their remaining items
+ * @returns {Array} [{ subtotal, tax, deliveryFee, discount, tip, total }] in the order of `children`
+ */
+export const splitQuoteByChild = (quote, children) => {
+  const parts = children.map((child) => {
+    const productIds = new Set(child.items.map((item) => item.productId.toString()));
+    const items = quote.items.filter((item) => productIds.has(item.productId.toString()));
+    return describePart(items, quote.promo);
+  });
+
+  return shareOrderAmounts(quote, parts);
+};
+
+/**
+ * Pickup points of sellers, taken from their User.location
+ * @param {Array} sellerIds
+ * @returns {Promise<Map<string, Object>>} sellerId -> GeoJSON point (only sellers with a location)
+ */
+export const getSellerPickupLocations = async (sellerIds) => {
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select("location");
+  const locations = new Map();
+
+  for (const seller of sellers) {
+    const [lng, lat] = seller.location?.coordinates || [0, 0];
+    if (lng !== 0 || lat !== 0) {
+      locations.set(seller._id.toString(), { type: "Point", coordinates: [lng, lat] });
+    }
+  }
+  return locations;
+};
+
+/**
+ * Recompute a parent order's status after one of its child orders changed.
+ * Called from saveOrder.
+ * @param {Object} child - Saved child order
+ * @param {ClientSession} [session]
+ */
+export const syncParentStatus = async (child, session = null) => {
+  const Order = mongoose.model("Order");
+
+  const parent = await Order.findById(child.parentOrder).session(session);
+  if (!parent) return;
+
+  const children = await Order.find({ parentOrder: parent._id })
+    .select("status")
+    .session(session);
+  const derived = deriveParentStatus(children.map((c) => c.status));
+  if (derived === parent.status) return;
+
+  const previous = parent.status;
+  parent.status = derived;
+  recordStatusHistory(parent, {
+    actorRole: ORDER_ROLES.SYSTEM,
+    note: `Status changed from ${previous} to ${derived} by seller orders`,
+  });
+
+  if (derived === "delivered") {
+    parent.actualDeliveryTime = new Date();
+  }
+  if (derived === "cancelled") {
+    if (["paid", "partially_refunded"].includes(parent.paymentStatus)) {
+      parent.paymentStatus = "refund_pending";
+    }
+    await releasePromoRedemption(parent._id, session);
+  }
+
+  await parent.save({ session });
+};
+
+/**
+ * Save an order whose status may have changed. A seller order's split
+ * parent follows it in the same session. What the save changed is kept on
+ * the document for afterOrderCommit (see utils/orderEvents.js), which the
+ * caller runs once the session is committed.
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<Object>} The saved order
+ */
+export const saveOrder = async (order, { session = null } = {}) => {
+  const statusChanged = !order.isNew && order.isModified("status");
+  const etaStale = order.isNew || statusChanged;
+
+  await order.save({ session });
+  if (order.orderType === "child" && statusChanged) {
+    await syncParentStatus(order, session);
+  }
+
+  // Kept until afterOrderCommit runs, across saves in the same transaction
+  order.$locals.statusChanged ||= statusChanged;
+  order.$locals.etaStale ||= etaStale;
+  return order;
+};
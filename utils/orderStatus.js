@@ -0,0 +1,270 @@
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import { Post } from "../models/post.model.js";
+import createError from "./error.js";
+import { isAwaitingPayment } from "./payments.js";
+import { generateDeliveryOtp } from "./proofOfDelivery.js";
+
+export const ORDER_STATUSES = [
+  "processing",
+  "confirmed",
+  "preparing",
+  "out_for_delivery",
+  "delivered",
+  "cancelled",
+];
+
+export const ORDER_ROLES = {
+  CUSTOMER: "customer",
+  SELLER: "seller",
+  AGENT: "agent",
+  ADMIN: "admin",
+  // Changes made by the server itself (schedulers, payment webhooks, ...)
+  SYSTEM: "system",
+};
+
+const { CUSTOMER, SELLER, AGENT, ADMIN, SYSTEM } = ORDER_ROLES;
+
+/**
+ * Allowed status changes: TRANSITIONS[from][to] lists the roles that may
+ * take that edge. Anything not listed here is an illegal move.
+ */
+const TRANSITIONS = {
+  processing: {
+    // SYSTEM: the scheduler confirms scheduled orders ahead of their slot
+    confirmed: [SELLER, ADMIN, SYSTEM],
+    // SYSTEM: failed or abandoned payments cancel the order
+    cancelled: [CUSTOMER, SELLER, ADMIN, SYSTEM],
+  },
+  confirmed: {
+    preparing: [SELLER, ADMIN],
+    out_for_delivery: [AGENT, ADMIN],
+    cancelled: [CUSTOMER, SELLER, ADMIN, SYSTEM],
+  },
+  preparing: {
+    out_for_delivery: [AGENT, ADMIN],
+    cancelled: [SELLER, ADMIN],
+  },
+  out_for_delivery: {
+    // Only through completeDelivery, which checks the proof of delivery
+    // and settles cash, earnings and the invoice
+    delivered: [AGENT],
+    cancelled: [ADMIN],
+  },
+  delivered: {},
+  cancelled: {},
+};
+
+/**
+ * Statuses reachable from `from` by any of the given roles
+ * @param {string} from
+ * @param {Array<string>} roles
+ * @returns {Array<string>}
+ */
+export const getAllowedTransitions = (from, roles) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, allowed]) => allowed.some((role) => roles.includes(role)))
+    .map(([to]) => to);
+
+/**
+ * Work out which roles the user holds on this order.
+ * A user can hold several (e.g. an admin who also placed the order).
+ * @param {Object} order - Order document
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<string>>}
+ */
+export const resolveOrderRoles = async (order, user) => {
+  const userId = user.id.toString();
+  const roles = [];
+
+  if (user.isAdmin) {
+    roles.push(ADMIN);
+  }
+
+  if (order.user && (order.user._id || order.user).toString() === userId) {
+    roles.push(CUSTOMER);
+  }
+
+  const productIds = order.items.map((item) => item.productId?._id || item.productId);
+  const sellsItem = await Post.exists({ _id: { $in: productIds }, author: user.id });
+  if (sellsItem) {
+    roles.push(SELLER);
+  }
+
+  if (order.deliveryAgent) {
+    const agentId = order.deliveryAgent._id || order.deliveryAgent;
+    const isAgent = await DeliveryAgent.exists({ _id: agentId, user: user.id });
+    if (isAgent) {
+      roles.push(AGENT);
+    }
+  }
+
+  return roles;
+};
+
+/**
+ * Append an entry to the order's statusHistory (not saved)
+ * @param {Object} order - Order document
+ * @param {Object} entry
+ * @param {string} [entry.status] - Defaults to the current status
+ * @param {string} [entry.actorId] - User who made the change
+ * @param {string} [entry.actorRole] - One of ORDER_ROLES
+ * @param {Object} [entry.location] - GeoJSON point where the change happened
+ * @param {string} [entry.note]
+ */
+export const recordStatusHistory = (order, { status, actorId, actorRole, location, note } = {}) => {
+  order.statusHistory.push({
+    status: status || order.status,
+    timestamp: new Date(),
+    ...(actorId && { actor: actorId }),
+    ...(actorRole && { actorRole }),
+    ...(location?.coordinates && { location }),
+    note,
+  });
+};
+
+/**
+ * Throw unless one of the roles may move the order to `to`.
+ * Illegal edges are a 409, legal edges the caller may not take are a 403.
+ * Prepaid orders cannot be confirmed before their payment is (409).
+ * @param {Object} order
+ * @param {string} to
+ * @param {Array<string>} roles
+ * @returns {string} The caller's role that permits the move
+ */
+export const assertTransition = (order, to, roles) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw createError(400, "Invalid status value");
+  }
+
+  const allowedRoles = TRANSITIONS[order.status]?.[to];
+  if (!allowedRoles) {
+    throw createError(409, `Cannot change order status from ${order.status} to ${to}`, {
+      currentStatus: order.status,
+      requestedStatus: to,
+      allowedStatuses: Object.keys(TRANSITIONS[order.status] || {}),
+    });
+  }
+
+  const actingRole = roles.find((role) => allowedRoles.includes(role));
+  if (!actingRole) {
+    throw createError(403, `You are not allowed to change this order from ${order.status} to ${to}`);
+  }
+
+  if (to === "confirmed" && isAwaitingPayment(order)) {
+    throw createError(409, "This order is waiting for the customer's payment");
+  }
+
+  return actingRole;
+};
+
+/**
+ * Validate and apply a status change on an order document (not saved).
+ * Records the change in statusHistory and applies the side effects
+ * that belong to the new status.
+ * @param {Object} order - Order document
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {Array<string>} options.roles - Roles of the caller on this order
+ * @param {string} [options.actorId] - User making the change
+ * @param {string} [options.note]
+ * @param {Object} [options.location] - GeoJSON point where the change happened
+ * @returns {string} The previous status
+ */
+export const transitionOrder = (order, to, { roles, actorId, note, location } = {}) => {
+  const actorRole = assertTransition(order, to, roles);
+
+  const from = order.status;
+  order.status = to;
+
+  recordStatusHistory(order, {
+    status: to,
+    actorId,
+    actorRole,
+    location,
+    note: note || `Status changed from ${from} to ${to}`,
+  });
+
+  switch (to) {
+    case "out_for_delivery":
+      // The agent needs this code from the customer to complete the delivery
+      order.deliveryOtp = { code: generateDeliveryOtp(), generatedAt: new Date(), attempts: 0 };
+      break;
+    case "delivered":
+      order.actualDeliveryTime = new Date();
+      break;
+    case "cancelled":
+      // Owed back until the refund goes through (see utils/orderCancellation.js)
+      if (["paid", "partially_refunded"].includes(order.paymentStatus)) {
+        order.paymentStatus = "refund_pending";
+      }
+      break;
+    default:
+      break;
+  }
+
+  return from;
+};
+
+/**
+ * Build a timeline from statusHistory with the time spent in each entry
+ * and the total time spent per status
+ * @param {Object} order - Order document
+ * @returns {Object} { timeline, stageDurations, totalDuration }
+ */
+export const buildStatusTimeline = (order) => {
+  const history = [...(order.statusHistory || [])].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+  const isFinished = ["delivered", "cancelled"].includes(order.status);
+  const now = new Date();
+
+  const timeline = history.map((entry, index) => {
+    const start = new Date(entry.timestamp);
+    const next = history[index + 1];
+    // The open-ended last entry keeps running until the order finishes
+    const end = next ? new Date(next.timestamp) : (isFinished ? start : now);
+    // Entries written without a location carry the schema default [0, 0]
+    const [lng, lat] = entry.location?.coordinates || [0, 0];
+
+    return {
+      status: entry.status,
+      timestamp: entry.timestamp,
+      actor: entry.actor,
+      actorRole: entry.actorRole,
+      location: lng !== 0 || lat !== 0 ? entry.location : null,
+      note: entry.note,
+      durationMs: end - start,
+      isCurrent: !next && !isFinished,
+    };
+  });
+
+  const stageDurations = timeline.reduce((acc, entry) => {
+    acc[entry.status] = (acc[entry.status] || 0) + entry.durationMs;
+    return acc;
+  }, {});
+
+  const totalDuration = history.length > 0
+    ? (isFinished ? new Date(history[history.length - 1].timestamp) : now) - new Date(history[0].timestamp)
+    : 0;
+
+  return { timeline, stageDurations, totalDuration };
+};
+
+// Progress order of the non-cancelled statuses
+const STATUS_FLOW = ["processing", "confirmed", "preparing", "out_for_delivery", "delivered"];
+
+/**
+ * Status of a parent order given the statuses of its child orders:
+ * cancelled when every child is cancelled, otherwise the least advanced
+ * status among the children that are still active
+ * @param {Array<string>} childStatuses
+ * @returns {string}
+ */
+export const deriveParentStatus = (childStatuses) => {
+  const active = childStatuses.filter((status) => status !== "cancelled");
+  if (active.length === 0) return "cancelled";
+
+  return active.reduce((least, status) =>
+    STATUS_FLOW.indexOf(status) < STATUS_FLOW.indexOf(least) ? status : least
+  );
+};
@@ -0,0 +1,94 @@
+import createError from "../error.js";
+import mockProvider from "./mock.js";
+
+/**
+ * A payment provider implements:
+ *   createIntent({ amount, currency, captureMethod, metadata }) -> { id, status, clientSecret }
+ *   confirmIntent(intentId, { paymentMethod }) -> { id, status, failureReason? }
+ *   captureIntent(intentId) -> { id, status }
+ *   refund(intentId, { amount, reason }) -> { id, amount, status }
+ *   verifyWebhook(rawBody, headers) -> { id, type, data: { id, status, failureReason? } }
+ *     (throws a 400 error when the signature does not match)
+ *
+ * Intent statuses: requires_confirmation, processing, requires_capture,
+ * succeeded, failed, cancelled.
+ */
+const providers = new Map([[mockProvider.name, mockProvider]]);
+
+/**
+ * Make a provider available under its name
+ * @param {Object} provider - Implementation of the interface above, with a `name`
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// The mock charges nothing, so it is only available in these environments
+const MOCK_ENVIRONMENTS = ["development", "test"];
+
+/**
+ * Whether the mock provider may be used in this environment
+ * @returns {boolean}
+ */
+export const isMockProviderAllowed = () => MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+/**
+ * Why online payments cannot be taken, or null when they can. There are
+ * no defaults: PAYMENT_PROVIDER must name a registered provider, and the
+ * mock also needs NODE_ENV=development or test and its own webhook secret.
+ * @returns {string|null}
+ */
+export const getPaymentConfigProblem = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    return "PAYMENT_PROVIDER is not set";
+  }
+  if (!providers.has(name)) {
+    return `Unknown payment provider: ${name}`;
+  }
+  if (name === mockProvider.name) {
+    if (!isMockProviderAllowed()) {
+      return `The mock payment provider only runs with NODE_ENV=${MOCK_ENVIRONMENTS.join(" or ")} (NODE_ENV is ${process.env.NODE_ENV || "not set"})`;
+    }
+    if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+      return "MOCK_PAYMENT_WEBHOOK_SECRET is not set";
+    }
+  }
+  return null;
+};
+
+/**
+ * Throw a 503 unless online payments can be taken. Without a usable
+ * provider the rest of the API, cash orders included, keeps working.
+ */
+export const assertPaymentsAvailable = () => {
+  if (getPaymentConfigProblem()) {
+    throw createError(503, "Online payments are not available right now");
+  }
+};
+
+/**
+ * Name of the provider new payments are opened with
+ * @returns {string}
+ */
+export const getDefaultProviderName = () => {
+  assertPaymentsAvailable();
+  return process.env.PAYMENT_PROVIDER;
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} [name] - Defaults to the configured provider
+ * @returns {Object}
+ */
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw createError(400, `Unknown payment provider: ${name}`);
+  }
+  // Payments opened with the mock in development are never settled elsewhere
+  if (provider === mockProvider && (!isMockProviderAllowed() || !process.env.MOCK_PAYMENT_WEBHOOK_SECRET)) {
+    throw createError(503, "Online payments are not available right now");
+  }
+  return provider;
+};
@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import createError from "../error.js";
+
+/**
+ * Local payment provider for development and tests. Nothing is charged;
+ * the payment method passed to confirmIntent decides the outcome.
+ */
+
+// Payment methods understood by the mock
+export const MOCK_PAYMENT_METHODS = {
+  SUCCESS: "pm_mock_success",
+  FAILURE: "pm_mock_failure",
+  DELAYED_SUCCESS: "pm_mock_delayed_success",
+  DELAYED_FAILURE: "pm_mock_delayed_failure",
+};
+
+// Signed webhooks older than this are rejected
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Intents only live as long as the process
+const intents = new Map();
+
+// No fallback: a known secret would let anyone forge webhooks
+const getWebhookSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw createError(500, "MOCK_PAYMENT_WEBHOOK_SECRET is not set");
+  }
+  return secret;
+};
+
+const getSettlementDelay = () => Number(process.env.MOCK_PAYMENT_SETTLEMENT_DELAY_MS ?? 5000);
+
+const getWebhookUrl = () =>
+  process.env.MOCK_PAYMENT_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/v1/payments/webhook/mock`;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+const findIntent = (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw createError(404, "Payment intent not found");
+  }
+  return intent;
+};
+
+const toResult = (intent) => ({
+  id: intent.id,
+  status: intent.status,
+  amount: intent.amount,
+  failureReason: intent.failureReason,
+});
+
+/**
+ * Sign a webhook body the way the mock does
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds
+ * @returns {string} Value for the x-mock-signature header
+ */
+export const signWebhookPayload = (body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac("sha256", getWebhookSecret())
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Post a signed event to the app's webhook endpoint, like a real provider would
+const sendWebhook = async (type, intent) => {
+  const body = JSON.stringify({
+    id: randomId("evt"),
+    type,
+    data: toResult(intent),
+  });
+
+  try {
+    const response = await fetch(getWebhookUrl(), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-mock-signature": signWebhookPayload(body),
+      },
+      body,
+    });
+    if (!response.ok) {
+      console.error(`Mock payment webhook ${type} was rejected with status ${response.status}`);
+    }
+  } catch (error) {
+    console.error("Error delivering mock payment webhook:", error.message);
+  }
+};
+
+// Settle a delayed payment after the configured delay
+const scheduleSettlement = (intent, succeed) => {
+  const timer = setTimeout(() => {
+    if (intent.status !== "processing") return;
+
+    if (succeed) {
+      intent.status = intent.captureMethod === "manual" ? "requires_capture" : "succeeded";
+    } else {
+      intent.status = "failed";
+      intent.failureReason = "Payment declined by the bank";
+    }
+    sendWebhook(succeed ? "payment.succeeded" : "payment.failed", intent);
+  }, getSettlementDelay());
+
+  // Pending settlements never keep the process alive
+  timer.unref();
+};
+
+const mockProvider = {
+  name: "mock",
+
+  async createIntent({ amount, currency, captureMethod = "automatic", metadata = {} }) {
+    const intent = {
+      id: randomId("pi_mock"),
+      clientSecret: randomId("secret"),
+      amount,
+      currency,
+      captureMethod,
+      metadata,
+      status: "requires_confirmation",
+      amountRefunded: 0,
+    };
+    intents.set(intent.id, intent);
+    return { ...toResult(intent), clientSecret: intent.clientSecret };
+  },
+
+  async confirmIntent(intentId, { paymentMethod } = {}) {
+    const intent = findIntent(intentId);
+    if (intent.status !== "requires_confirmation") {
+      throw createError(409, `Payment intent is already ${intent.status}`);
+    }
+
+    switch (paymentMethod) {
+      case MOCK_PAYMENT_METHODS.SUCCESS:
+        intent.status = intent.captureMethod === "manual" ? "requires_capture" : "succeeded";
+        break;
+      case MOCK_PAYMENT_METHODS.FAILURE:
+        intent.status = "failed";
+        intent.failureReason = "Card declined";
+        break;
+      case MOCK_PAYMENT_METHODS.DELAYED_SUCCESS:
+      case MOCK_PAYMENT_METHODS.DELAYED_FAILURE:
+        intent.status = "processing";
+        scheduleSettlement(intent, paymentMethod === MOCK_PAYMENT_METHODS.DELAYED_SUCCESS);
+        break;
+      default:
+        throw createError(400, `Unsupported mock payment method. Use one of: ${Object.values(MOCK_PAYMENT_METHODS).join(", ")}`);
+    }
+
+    return toResult(intent);
+  },
+
+  async captureIntent(intentId) {
+    const intent = findIntent(intentId);
+    if (intent.status !== "requires_capture") {
+      throw createError(409, `Cannot capture a payment intent that is ${intent.status}`);
+    }
+    intent.status = "succeeded";
+    return toResult(intent);
+  },
+
+  async refund(intentId, { amount, reason } = {}) {
+    const intent = findIntent(intentId);
+    if (intent.status !== "succeeded") {
+      throw createError(409, `Cannot refund a payment intent that is ${intent.status}`);
+    }
+    if (intent.amountRefunded + amount > intent.amount + 0.001) {
+      throw createError(400, "Refund exceeds the captured amount");
+    }
+
+    intent.amountRefunded += amount;
+    return { id: randomId("re_mock"), amount, reason, status: "succeeded" };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const header = headers["x-mock-signature"] || "";
+    const parts = Object.fromEntries(header.split(",").map((part) => part.split("=")));
+    const timestamp = Number(parts.t);
+
+    if (!parts.v1 || !Number.isFinite(timestamp)) {
+      throw createError(400, "Missing webhook signature");
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw createError(400, "Webhook signature has expired");
+    }
+
+    const expected = signWebhookPayload(rawBody.toString(), timestamp).split("v1=")[1];
+    const received = Buffer.from(parts.v1);
+    if (received.length !== expected.length ||
+        !crypto.timingSafeEqual(received, Buffer.from(expected))) {
+      throw createError(400, "Invalid webhook signature");
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+};
+
+export default mockProvider;
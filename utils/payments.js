@@ -0,0 +1,155 @@
+import Payment from "../models/payment.model.js";
+import { getDefaultProviderName, getPaymentProvider } from "./paymentProviders/index.js";
+import { roundCurrency } from "./pricing.js";
+import { refundOrderToWallet } from "./wallet.js";
+
+// Currency payments are opened in
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "INR";
+
+// Payment methods charged through the payment provider at checkout
+// (wallet orders are debited from the wallet while they are placed)
+export const PREPAID_METHODS = ["card"];
+
+// Provider statuses after which a payment no longer changes
+const FINAL_STATUSES = ["succeeded", "failed", "cancelled"];
+
+/**
+ * Whether an order is paid up front through the payment provider
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const requiresPrepayment = (order) => PREPAID_METHODS.includes(order.paymentMethod);
+
+/**
+ * Whether an order is still waiting for the provider to confirm its payment
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isAwaitingPayment = (order) =>
+  requiresPrepayment(order) && order.paymentStatus === "pending";
+
+/**
+ * Whether a payment status is final
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isFinalPaymentStatus = (status) => FINAL_STATUSES.includes(status);
+
+/**
+ * Open a payment intent with the configured provider and record it
+ * @param {number} amount
+ * @param {Object} metadata - Sent to the provider
+ * @param {Object} fields - Payment fields: purpose, user, order or wallet
+ * @returns {Promise<Object>} { payment, clientSecret }
+ */
+const openPaymentIntent = async (amount, metadata, fields) => {
+  const providerName = getDefaultProviderName();
+  const provider = getPaymentProvider(providerName);
+
+  const intent = await provider.createIntent({ amount, currency: PAYMENT_CURRENCY, metadata });
+
+  const payment = await Payment.create({
+    ...fields,
+    provider: providerName,
+    providerPaymentId: intent.id,
+    amount,
+    currency: PAYMENT_CURRENCY,
+    status: intent.status,
+  });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+/**
+ * Open a payment intent for an order with the configured provider
+ * @param {Object} order - Order the customer pays for (single or parent)
+ * @returns {Promise<Object>} { payment, clientSecret }
+ */
+export const createPaymentIntent = (order) =>
+  openPaymentIntent(
+    order.total,
+    { orderId: order._id.toString() },
+    { purpose: "order", order: order._id, user: order.user }
+  );
+
+/**
+ * Open a payment intent for topping up a user's wallet
+ * @param {Object} wallet - Wallet document of the user
+ * @param {number} amount
+ * @returns {Promise<Object>} { payment, clientSecret }
+ */
+export const createTopUpIntent = (wallet, amount) =>
+  openPaymentIntent(
+    amount,
+    { walletId: wallet._id.toString() },
+    { purpose: "wallet_topup", wallet: wallet._id, user: wallet.user }
+  );
+
+/**
+ * Open a payment intent for a tip added after delivery
+ * @param {Object} order - Delivered order the tip is for
+ * @param {number} amount
+ * @returns {Promise<Object>} { payment, clientSecret }
+ */
+export const createTipIntent = (order, amount) =>
+  openPaymentIntent(
+    amount,
+    { orderId: order._id.toString(), purpose: "tip" },
+    { purpose: "tip", order: order._id, user: order.user }
+  );
+
+/**
+ * Confirm a payment with the customer's payment method. Authorised payments
+ * are captured straight away.
+ * @param {Object} payment - Payment document
+ * @param {string} paymentMethod - Provider-specific payment method token
+ * @returns {Promise<Object>} Provider result { id, status, failureReason? }
+ */
+export const confirmPaymentIntent = async (payment, paymentMethod) => {
+  const provider = getPaymentProvider(payment.provider);
+
+  let result = await provider.confirmIntent(payment.providerPaymentId, { paymentMethod });
+  if (result.status === "requires_capture") {
+    result = await provider.captureIntent(payment.providerPaymentId);
+  }
+  return result;
+};
+
+/**
+ * Give money back for an order the way it was paid: to the wallet for
+ * wallet orders, through the provider otherwise. Does nothing for cash orders.
+ * @param {Object} order - Order document; seller orders refund against their parent's payment
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Defaults to everything not refunded yet
+ * @param {string} [options.reason]
+ * @param {string} [options.idempotencyKey] - Wallet refunds only; defaults to one refund per order
+ * @returns {Promise<Object|null>} { providerRefundId, amount, reason }, or null
+ */
+export const refundOrderPayment = async (order, { amount, reason, idempotencyKey } = {}) => {
+  const orderId = order.orderType === "child" ? order.parentOrder : order._id;
+
+  if (order.paymentMethod === "wallet") {
+    const credit = await refundOrderToWallet(orderId, {
+      amount,
+      reason,
+      idempotencyKey: idempotencyKey || `refund:${order._id}`,
+    });
+    return credit && { providerRefundId: `ledger_${credit._id}`, amount: credit.amount, reason };
+  }
+
+  const payment = await Payment.findOne({ order: orderId, purpose: { $ne: "tip" }, status: "succeeded" });
+  if (!payment) return null;
+
+  const refundable = roundCurrency(payment.amount - payment.amountRefunded);
+  const refundAmount = roundCurrency(Math.min(amount ?? refundable, refundable));
+  if (refundAmount <= 0) return null;
+
+  const provider = getPaymentProvider(payment.provider);
+  const refund = await provider.refund(payment.providerPaymentId, { amount: refundAmount, reason });
+
+  payment.refunds.push({ providerRefundId: refund.id, amount: refundAmount, reason });
+  payment.amountRefunded = roundCurrency(payment.amountRefunded + refundAmount);
+  await payment.save();
+
+  return payment.refunds[payment.refunds.length - 1];
+};
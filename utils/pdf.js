@@ -0,0 +1,110 @@
+// A4 in points
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// The standard fonts only cover Latin-1
+const toLatin1 = (text) => String(text ?? "").replace(/[^\x20-\xff]/g, "?");
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Approximate width of a line of text in Helvetica
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false]
+ * @returns {number} Width in points
+ */
+export const textWidth = (text, size, bold = false) => {
+  let units = 0;
+  for (const char of toLatin1(text)) {
+    units += HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556;
+  }
+  // Bold glyphs run about 5% wider
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Small PDF writer for text documents such as invoices. It uses the built-in
+ * Helvetica fonts, so nothing needs to be embedded. Positions are measured
+ * from the top-left corner of the page.
+ * @returns {Object} { addPage, text, line, toBuffer }
+ */
+export const createPdfDocument = () => {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+
+  /**
+   * @param {string} value
+   * @param {number} x
+   * @param {number} top
+   * @param {Object} [options] - { size = 10, bold = false, align = "left" | "right" }
+   */
+  const text = (value, x, top, { size = 10, bold = false, align = "left" } = {}) => {
+    if (!current) addPage();
+    const left = align === "right" ? x - textWidth(value, size, bold) : x;
+    current.push(
+      `BT /${bold ? "F2" : "F1"} ${size} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - top)} Td (${escapeText(value)}) Tj ET`
+    );
+  };
+
+  const line = (x1, top1, x2, top2, width = 0.5) => {
+    if (!current) addPage();
+    current.push(
+      `${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - top1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - top2)} l S`
+    );
+  };
+
+  const toBuffer = () => {
+    if (pages.length === 0) addPage();
+
+    // 1 catalog, 2 page tree, 3-4 fonts, then a content stream and a page per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+    objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+    objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+    objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+    pages.forEach((operations, i) => {
+      const content = operations.join("\n");
+      objects[5 + i * 2] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+      objects[6 + i * 2] =
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${5 + i * 2} 0 R >>`;
+    });
+
+    let output = "%PDF-1.4\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, "latin1");
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, "latin1");
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  };
+
+  return { addPage, text, line, toBuffer };
+};
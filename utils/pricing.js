@@ -0,0 +1,298 @@
+import { Post } from "../models/post.model.js";
+import PromoCode from "../models/promoCode.model.js";
+import createError from "./error.js";
+import { findPromoByCode, evaluatePromo, isPromoItemEligible } from "./promo.js";
+
+// Tax applied to the item subtotal (5% GST by default)
+export const TAX_RATE = Number(process.env.ORDER_TAX_RATE ?? 0.05);
+
+// Flat delivery fee charged for each delivery method
+export const DELIVERY_FEES = {
+  standard: Number(process.env.DELIVERY_FEE_STANDARD ?? 40),
+  express: Number(process.env.DELIVERY_FEE_EXPRESS ?? 80),
+  pickup: 0,
+};
+
+// Allowed difference between client and server amounts (rounding noise)
+const PRICE_TOLERANCE = 0.01;
+
+/**
+ * Round an amount to two decimal places
+ * @param {number} amount
+ * @returns {number}
+ */
+export const roundCurrency = (amount) =>
+  Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Post.price is stored as a free-form string ("120", "₹120.50"),
+ * so strip everything that is not part of the number
+ * @param {string|number} value
+ * @returns {number} Parsed price or NaN when no number is present
+ */
+export const parsePrice = (value) => {
+  if (typeof value === "number") return value;
+  if (!value) return NaN;
+  const cleaned = String(value).replace(/[^0-9.]/g, "");
+  return cleaned ? parseFloat(cleaned) : NaN;
+};
+
+/**
+ * Delivery fee of a delivery method. A delivery zone with its own fee
+ * replaces the standard fee; express keeps its surcharge on top of it.
+ * @param {string} deliveryMethod
+ * @param {Object} [zone] - DeliveryZone the order is delivered in
+ * @returns {number}
+ */
+export const getDeliveryFee = (deliveryMethod, zone = null) => {
+  if (deliveryMethod === "pickup" || typeof zone?.deliveryFee !== "number") {
+    return DELIVERY_FEES[deliveryMethod];
+  }
+  return roundCurrency(zone.deliveryFee + DELIVERY_FEES[deliveryMethod] - DELIVERY_FEES.standard);
+};
+
+/**
+ * Work out the discount for a promo against an order subtotal
+ * @param {Object} promo - { discountType: 'percentage'|'flat', discountValue, maxDiscount }
+ * @param {number} subtotal - Amount the promo applies to
+ * @returns {number} Discount, never more than the subtotal
+ */
+export const computeDiscount = (promo, subtotal) => {
+  if (!promo || subtotal <= 0) return 0;
+
+  let discount = promo.discountType === "percentage"
+    ? subtotal * (promo.discountValue / 100)
+    : promo.discountValue;
+
+  if (promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+};
+
+/**
+ * Build line items from the Post documents referenced by the cart.
+ * Prices and names always come from the database, never from the client.
+ * @param {Array} items - [{ productId, quantity }]
+ * @returns {Promise<Array>} Priced line items, each with its Post attached as `product`
+ */
+export const buildLineItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, "Order must contain items");
+  }
+
+  for (const item of items) {
+    if (!item.productId) {
+      throw createError(400, "Each item must have a product ID");
+    }
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0) {
+      throw createError(400, "Each item must have a valid quantity");
+    }
+  }
+
+  const productIds = items.map((item) => item.productId.toString());
+  const products = await Post.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return items.map((item) => {
+    const product = productMap.get(item.productId.toString());
+    if (!product) {
+      throw createError(404, `Product not found: ${item.productId}`);
+    }
+
+    const price = parsePrice(product.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw createError(400, `Product ${product._id} does not have a valid price`);
+    }
+
+    return {
+      productId: product._id,
+      name: product.caption,
+      price: roundCurrency(price),
+      quantity: Number(item.quantity),
+      product,
+    };
+  });
+};
+
+/**
+ * Compute order amounts from priced line items
+ * @param {Array} lineItems - Output of buildLineItems
+ * @param {Object} options
+ * @param {string} [options.deliveryMethod='standard']
+ * @param {number} [options.discount=0] - Discount already computed for the order
+ * @param {number} [options.tip=0] - Tip for the delivery agent, passed through untaxed
+ * @param {Object} [options.zone] - DeliveryZone the order is delivered in
+ * @returns {Object} { subtotal, tax, deliveryFee, discount, tip, total }
+ */
+export const computeTotals = (lineItems, { deliveryMethod = "standard", discount = 0, tip = 0, zone = null } = {}) => {
+  if (!(deliveryMethod in DELIVERY_FEES)) {
+    throw createError(400, `Invalid delivery method: ${deliveryMethod}`);
+  }
+
+  const subtotal = roundCurrency(
+    lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+  const appliedDiscount = roundCurrency(Math.min(discount, subtotal));
+  // Tax is charged on the discounted item amount, not on the delivery fee
+  const tax = roundCurrency((subtotal - appliedDiscount) * TAX_RATE);
+  const deliveryFee = getDeliveryFee(deliveryMethod, zone);
+  const total = roundCurrency(subtotal - appliedDiscount + tax + deliveryFee + tip);
+
+  return { subtotal, tax, deliveryFee, discount: appliedDiscount, tip, total };
+};
+
+/**
+ * Price a cart end to end
+ * @param {Object} params
+ * @param {Array} params.items - [{ productId, quantity }]
+ * @param {string} [params.deliveryMethod]
+ * @param {string} [params.promoCode] - Promo code entered by the customer
+ * @param {string} [params.userId] - Customer, for per-user promo limits
+ * @param {number} [params.tip=0] - Validated tip (see parseTip)
+ * @param {Object} [params.zone] - DeliveryZone the order is delivered in (see assertServiceable)
+ * @returns {Promise<Object>} { items, subtotal, tax, deliveryFee, discount, tip, total, promo }
+ */
+export const priceOrder = async ({ items, deliveryMethod = "standard", promoCode = null, userId = null, tip = 0, zone = null }) => {
+  const lineItems = await buildLineItems(items);
+  const subtotal = lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  let promo = null;
+  let discount = 0;
+  if (promoCode) {
+    promo = await findPromoByCode(promoCode);
+    const { eligibleSubtotal } = await evaluatePromo(promo, { userId, lineItems, subtotal });
+    discount = computeDiscount(promo, eligibleSubtotal);
+  }
+
+  return {
+    items: lineItems,
+    ...computeTotals(lineItems, { deliveryMethod, discount, tip, zone }),
+    promo,
+  };
+};
+
+/**
+ * Re-total a priced cart with a delivery fee worked out separately,
+ * e.g. from distance and surge (see resolveDeliveryFee)
+ * @param {Object} quote - Output of priceOrder
+ * @param {Object} breakdown - Delivery fee breakdown holding the new deliveryFee
+ * @returns {Object} The quote with the new deliveryFee and total, and the breakdown as deliveryFeeDetails
+ */
+export const withDeliveryFee = (quote, breakdown) => ({
+  ...quote,
+  deliveryFee: breakdown.deliveryFee,
+  deliveryFeeDetails: breakdown,
+  total: roundCurrency(quote.subtotal - quote.discount + quote.tax + breakdown.deliveryFee + quote.tip),
+});
+
+/**
+ * Price what is left of an existing order at the prices the customer paid,
+ * e.g. after some items were cancelled. The order's promo is applied again
+ * (never for more than the original discount); the delivery fee and tip are kept.
+ * @param {Object} order - Order holding the promo, delivery fee and tip
+ * @param {Array} items - Remaining items [{ productId, name, price, quantity }]
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} { items, subtotal, tax, deliveryFee, discount, tip, total, promo }
+ */
+export const repriceOrderItems = async (order, items, session = null) => {
+  const products = await Post.find({ _id: { $in: items.map((item) => item.productId) } })
+    .select("category author")
+    .session(session);
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+  const lineItems = items.map((item) => ({
+    ...item,
+    product: productMap.get(item.productId.toString()),
+  }));
+
+  const subtotal = roundCurrency(
+    lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+
+  let promo = null;
+  let discount = 0;
+  if (order.promoCode && order.discount > 0) {
+    promo = await PromoCode.findById(order.promoCode).session(session);
+    if (promo && subtotal >= (promo.minOrderValue || 0)) {
+      const eligibleSubtotal = lineItems
+        .filter((item) => isPromoItemEligible(promo, item))
+        .reduce((sum, item) => sum + item.price * item.quantity, 0);
+      discount = Math.min(computeDiscount(promo, eligibleSubtotal), order.discount);
+    }
+  }
+
+  const tax = roundCurrency((subtotal - discount) * TAX_RATE);
+  const tip = order.tip || 0;
+  const total = roundCurrency(subtotal - discount + tax + order.deliveryFee + tip);
+
+  return {
+    items: lineItems,
+    subtotal,
+    tax,
+    deliveryFee: order.deliveryFee,
+    discount,
+    tip,
+    total,
+    promo,
+  };
+};
+
+/**
+ * Compare client-supplied amounts with the server quote.
+ * Fields the client did not send are not checked.
+ * @param {Object} quote - Output of priceOrder
+ * @param {Object} clientTotals - { subtotal, tax, deliveryFee, discount, total }
+ * @returns {Array} Mismatched fields as { field, expected, received }
+ */
+export const findTotalMismatches = (quote, clientTotals = {}) => {
+  const fields = ["subtotal", "tax", "deliveryFee", "discount", "total"];
+
+  return fields
+    .filter((field) => clientTotals[field] !== undefined && clientTotals[field] !== null)
+    .filter((field) => {
+      const received = Number(clientTotals[field]);
+      return !Number.isFinite(received) || Math.abs(received - quote[field]) > PRICE_TOLERANCE;
+    })
+    .map((field) => ({
+      field,
+      expected: quote[field],
+      received: clientTotals[field],
+    }));
+};
+
+/**
+ * Strip the attached Post documents so line items can be stored on an order
+ * @param {Array} lineItems
+ * @returns {Array} [{ productId, name, price, quantity }]
+ */
+export const toOrderItems = (lineItems) =>
+  lineItems.map(({ productId, name, price, quantity }) => ({ productId, name, price, quantity }));
+
+/**
+ * Amount breakdown of a quote, safe to send to the client
+ * @param {Object} quote - Output of priceOrder
+ * @returns {Object} { subtotal, tax, deliveryFee, discount, tip, total, deliveryFeeDetails? }
+ */
+export const toQuoteSummary = ({ subtotal, tax, deliveryFee, discount, tip, total, deliveryFeeDetails }) => ({
+  subtotal,
+  tax,
+  deliveryFee,
+  discount,
+  tip,
+  total,
+  ...(deliveryFeeDetails && { deliveryFeeDetails }),
+});
+
+/**
+ * Distinct sellers (Post authors) of priced line items
+ * @param {Array} lineItems - Output of buildLineItems
+ * @returns {Array} Seller ids
+ */
+export const getSellerIds = (lineItems) => {
+  const sellers = new Map();
+  for (const { product } of lineItems) {
+    if (product?.author) sellers.set(product.author.toString(), product.author);
+  }
+  return [...sellers.values()];
+};
@@ -0,0 +1,175 @@
+import PromoCode from "../models/promoCode.model.js";
+import PromoRedemption from "../models/promoRedemption.model.js";
+import createError from "./error.js";
+
+/**
+ * Normalize a user-entered promo code for lookup
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizePromoCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Load a promo by code
+ * @param {string} code
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document>} The promo code document
+ */
+export const findPromoByCode = async (code, session = null) => {
+  const promo = await PromoCode.findOne({ code: normalizePromoCode(code) }).session(session);
+  if (!promo) {
+    throw createError(404, "Promo code not found");
+  }
+  return promo;
+};
+
+/**
+ * Check whether a priced line item is covered by a promo's
+ * category and seller restrictions
+ * @param {Object} promo
+ * @param {Object} item - Line item with its Post attached as `product`
+ * @returns {boolean}
+ */
+export const isPromoItemEligible = (promo, item) => {
+  const product = item.product;
+  if (promo.categories?.length > 0 && !promo.categories.includes(product?.category)) {
+    return false;
+  }
+  if (promo.sellers?.length > 0) {
+    const sellerId = product?.author?.toString();
+    if (!promo.sellers.some((seller) => seller.toString() === sellerId)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Check that a promo can be used for this cart and user
+ * @param {Object} promo - PromoCode document
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Array} params.lineItems - Priced line items (see utils/pricing.js)
+ * @param {number} params.subtotal - Full order subtotal
+ * @returns {Promise<Object>} { eligibleSubtotal }
+ */
+export const evaluatePromo = async (promo, { userId, lineItems, subtotal }) => {
+  const now = new Date();
+
+  if (!promo.isActive) {
+    throw createError(400, "This promo code is no longer active");
+  }
+  if (promo.validFrom && promo.validFrom > now) {
+    throw createError(400, "This promo code is not valid yet");
+  }
+  if (promo.validUntil && promo.validUntil < now) {
+    throw createError(400, "This promo code has expired");
+  }
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    throw createError(400, "This promo code has reached its usage limit");
+  }
+  if (subtotal < (promo.minOrderValue || 0)) {
+    throw createError(400, `A minimum order value of ${promo.minOrderValue} is required for this promo code`);
+  }
+
+  if (promo.perUserLimit && userId) {
+    const userRedemptions = await PromoRedemption.countDocuments({
+      promoCode: promo._id,
+      user: userId,
+    });
+    if (userRedemptions >= promo.perUserLimit) {
+      throw createError(400, "You have already used this promo code the maximum number of times");
+    }
+  }
+
+  const eligibleSubtotal = lineItems
+    .filter((item) => isPromoItemEligible(promo, item))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  if (eligibleSubtotal <= 0) {
+    throw createError(400, "This promo code does not apply to any items in your order");
+  }
+
+  return { eligibleSubtotal };
+};
+
+/**
+ * Record a promo redemption for an order. Must run inside a transaction
+ * together with the order insert so the usage counters and the order
+ * either both change or neither does.
+ * @param {Object} params
+ * @param {Object} params.promo - PromoCode document
+ * @param {string} params.userId
+ * @param {string} params.orderId
+ * @param {number} params.discount
+ * @param {ClientSession} params.session
+ * @returns {Promise<Document>} The redemption record
+ */
+export const redeemPromo = async ({ promo, userId, orderId, discount, session }) => {
+  // Global limit: only increment while there is room left
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw createError(409, "This promo code has reached its usage limit");
+  }
+
+  // Per-user limit: concurrent redemptions of the same promo conflict on the
+  // counter update above, so this count sees every committed redemption
+  if (updated.perUserLimit) {
+    const userRedemptions = await PromoRedemption.countDocuments({
+      promoCode: promo._id,
+      user: userId,
+    }).session(session);
+
+    if (userRedemptions >= updated.perUserLimit) {
+      throw createError(409, "You have already used this promo code the maximum number of times");
+    }
+  }
+
+  const [redemption] = await PromoRedemption.create(
+    [{ promoCode: promo._id, user: userId, order: orderId, discount }],
+    { session }
+  );
+
+  return redemption;
+};
+
+/**
+ * Give back the promo usage of an order, e.g. when it is cancelled
+ * @param {string} orderId
+ * @param {ClientSession} [session]
+ * @returns {Promise<boolean>} Whether a redemption was released
+ */
+export const releasePromoRedemption = async (orderId, session = null) => {
+  const redemption = await PromoRedemption.findOneAndDelete({ order: orderId }, { session });
+  if (!redemption) return false;
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCode, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  return true;
+};
+
+/**
+ * Keep a redemption in line with the order after its discount changed
+ * @param {string} orderId
+ * @param {number} discount
+ * @param {ClientSession} [session]
+ */
+export const updateRedemptionDiscount = async (orderId, discount, session = null) => {
+  await PromoRedemption.updateOne({ order: orderId }, { $set: { discount } }, { session });
+};
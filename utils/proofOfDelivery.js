@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { getReceiverSocketId, io } from "../socket/socket.js";
+import cloudinary from "./cloudinary.js";
+import createError from "./error.js";
+
+// Wrong delivery codes an agent may enter before they have to use a photo
+export const DELIVERY_OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * A random 4-digit code the customer gives the agent at the door
+ * @returns {string}
+ */
+export const generateDeliveryOtp = () => crypto.randomInt(0, 10000).toString().padStart(4, "0");
+
+/**
+ * Send the delivery code of an order that just went out to the customer.
+ * Only the customer's own socket gets it: agents can join order rooms.
+ * @param {Object} order - Order with deliveryOtp.code loaded
+ */
+export const notifyDeliveryOtp = (order) => {
+  if (!order.deliveryOtp?.code) return;
+
+  const socketId = getReceiverSocketId(order.user.toString());
+  if (socketId) {
+    io.to(socketId).emit("deliveryOtp", {
+      orderId: order._id,
+      parentOrder: order.parentOrder,
+      otp: order.deliveryOtp.code,
+      timestamp: new Date(),
+    });
+  }
+};
+
+/**
+ * Check the code the agent entered against the order's delivery code.
+ * Wrong codes count towards DELIVERY_OTP_MAX_ATTEMPTS.
+ * @param {Object} order - Order with deliveryOtp.code loaded
+ * @param {string} otp
+ */
+const verifyDeliveryOtp = async (order, otp) => {
+  const { code, attempts = 0 } = order.deliveryOtp || {};
+  if (!code) {
+    throw createError(409, "This order has no delivery code; upload a doorstep photo instead");
+  }
+  if (attempts >= DELIVERY_OTP_MAX_ATTEMPTS) {
+    throw createError(429, "Too many wrong delivery codes; upload a doorstep photo instead");
+  }
+
+  const entered = String(otp).trim();
+  const matches = entered.length === code.length &&
+    crypto.timingSafeEqual(Buffer.from(entered), Buffer.from(code));
+  if (!matches) {
+    await order.constructor.updateOne({ _id: order._id }, { $inc: { "deliveryOtp.attempts": 1 } });
+    order.deliveryOtp.attempts = attempts + 1;
+    throw createError(400, "Incorrect delivery code", {
+      attemptsLeft: Math.max(DELIVERY_OTP_MAX_ATTEMPTS - attempts - 1, 0),
+    });
+  }
+};
+
+/**
+ * Shrink a doorstep photo and upload it
+ * @param {Object} file - multer file
+ * @returns {Promise<string>} URL of the stored photo
+ */
+const uploadDoorstepPhoto = async (file) => {
+  if (!file.mimetype?.startsWith("image/")) {
+    throw createError(400, "The doorstep photo must be an image");
+  }
+
+  const optimizedImageBuffer = await sharp(file.buffer)
+    .rotate() // honour the camera's orientation
+    .resize({ width: 1200, height: 1200, fit: "inside" })
+    .toFormat("jpeg", { quality: 80 })
+    .toBuffer();
+
+  const fileUri = `data:image/jpeg;base64,${optimizedImageBuffer.toString("base64")}`;
+  const cloudResponse = await cloudinary.uploader.upload(fileUri, {
+    resource_type: "image",
+    folder: "proof-of-delivery",
+  });
+  return cloudResponse.secure_url;
+};
+
+/**
+ * Check the proof an agent gives that an order reached the customer: the
+ * customer's delivery code or a doorstep photo. Does not save the order.
+ * @param {Object} order - Order with deliveryOtp.code loaded
+ * @param {Object} agent - DeliveryAgent completing the delivery
+ * @param {Object} proof
+ * @param {string} [proof.otp]
+ * @param {Object} [proof.photo] - multer file
+ * @returns {Promise<Object>} The proofOfDelivery set on the order
+ */
+export const collectProofOfDelivery = async (order, agent, { otp, photo }) => {
+  const hasOtp = otp !== undefined && otp !== null && otp !== "";
+  if (!hasOtp && !photo) {
+    throw createError(400, "Proof of delivery is required: the customer's delivery code (otp) or a doorstep photo (photo)");
+  }
+
+  const proof = {
+    capturedAt: new Date(),
+    agent: agent._id,
+    ...(agent.currentLocation?.coordinates && { location: agent.currentLocation }),
+  };
+  if (hasOtp) {
+    await verifyDeliveryOtp(order, otp);
+    proof.method = "otp";
+  } else {
+    proof.method = "photo";
+    proof.photoUrl = await uploadDoorstepPhoto(photo);
+  }
+
+  order.proofOfDelivery = proof;
+  return order.proofOfDelivery;
+};
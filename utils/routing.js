@@ -0,0 +1,170 @@
+import { HANDOVER_MINUTES, estimateTravel } from "./eta.js";
+import { distanceBetween } from "./geo.js";
+
+// Upper bound on 2-opt passes; routes are a handful of stops
+const MAX_TWO_OPT_PASSES = 50;
+
+const MINUTE = 60 * 1000;
+
+// Treat unknown legs as long so the heuristics leave them for last
+const legLength = (from, to) => (from ? distanceBetween(from, to) ?? Number.MAX_SAFE_INTEGER : 0);
+
+/**
+ * Length of a route from a start point through its stops
+ * @param {Array} route - Stops with a GeoJSON `location`
+ * @param {Object|null} start - GeoJSON point
+ * @returns {number} Meters
+ */
+const pathLength = (route, start) => {
+  let length = 0;
+  let position = start;
+  for (const stop of route) {
+    length += legLength(position, stop.location);
+    position = stop.location;
+  }
+  return length;
+};
+
+// Drop-offs whose pickup is still on the route
+const pendingPickups = (stops) =>
+  new Set(stops.filter((stop) => stop.type === "pickup").map((stop) => stop.order.toString()));
+
+/**
+ * Whether every drop-off comes after its order's pickup
+ * @param {Array} route
+ * @param {Set<string>} pickups - Orders whose pickup is on the route
+ * @returns {boolean}
+ */
+const respectsPickups = (route, pickups) => {
+  const collected = new Set();
+  for (const stop of route) {
+    const order = stop.order.toString();
+    if (stop.type === "pickup") {
+      collected.add(order);
+    } else if (pickups.has(order) && !collected.has(order)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Greedy route: always drive to the nearest stop that can be made, where a
+ * drop-off can only be made once its order was picked up
+ * @param {Array} stops
+ * @param {Object|null} start
+ * @param {Set<string>} pickups
+ * @returns {Array}
+ */
+const nearestNeighbour = (stops, start, pickups) => {
+  const route = [];
+  const remaining = [...stops];
+  const collected = new Set();
+  let position = start;
+
+  while (remaining.length > 0) {
+    let next = -1;
+    let nextLength = Infinity;
+    remaining.forEach((stop, i) => {
+      const order = stop.order.toString();
+      if (stop.type === "dropoff" && pickups.has(order) && !collected.has(order)) return;
+      const length = legLength(position, stop.location);
+      if (length < nextLength) {
+        next = i;
+        nextLength = length;
+      }
+    });
+
+    const [stop] = remaining.splice(next, 1);
+    if (stop.type === "pickup") collected.add(stop.order.toString());
+    route.push(stop);
+    position = stop.location;
+  }
+  return route;
+};
+
+/**
+ * Improve a route by reversing stretches of it (2-opt) as long as that
+ * makes it shorter and keeps every pickup before its drop-off
+ * @param {Array} route
+ * @param {Object|null} start
+ * @param {Set<string>} pickups
+ * @returns {Array}
+ */
+const twoOpt = (route, start, pickups) => {
+  let best = route;
+  let bestLength = pathLength(best, start);
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        if (!respectsPickups(candidate, pickups)) continue;
+
+        const length = pathLength(candidate, start);
+        if (length < bestLength - 1) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+};
+
+/**
+ * Order pickup and drop-off stops into a short route that picks every
+ * order up before dropping it off. Drop-offs without a pickup stop are
+ * orders the agent already carries. Uses nearest-neighbour followed by
+ * 2-opt over straight-line distances.
+ * @param {Array} stops - { order, type: "pickup" | "dropoff", location }
+ * @param {Object|null} [start] - Where the agent is now (GeoJSON point)
+ * @returns {Array} The same stops in visiting order
+ */
+export const optimizeRoute = (stops, start = null) => {
+  if (stops.length < 2) return [...stops];
+
+  const pickups = pendingPickups(stops);
+  return twoOpt(nearestNeighbour(stops, start, pickups), start, pickups);
+};
+
+/**
+ * Work out when the agent reaches each stop of a route. At a pickup the
+ * agent waits for the food if it is not ready yet; every stop takes a
+ * handover.
+ * @param {Array} route - Stops in visiting order
+ * @param {Object} options
+ * @param {Object|null} options.start - Where the agent is now (GeoJSON point)
+ * @param {string} [options.vehicleType]
+ * @param {Map<string, Date>} [options.readyAt] - When each order's food is ready, by order id
+ * @param {Date} [options.now]
+ * @returns {Object} { stops, distanceMeters, finishAt } - stops carry distanceMeters, arrivalAt and departAt
+ */
+export const timeRoute = (route, { start, vehicleType, readyAt = new Map(), now = new Date() }) => {
+  let position = start;
+  let clock = now.getTime();
+  let distanceMeters = 0;
+
+  const stops = route.map((stop) => {
+    const leg = position
+      ? estimateTravel(position, stop.location, vehicleType)
+      : { distanceMeters: 0, minutes: 0 };
+    clock += leg.minutes * MINUTE;
+    const arrivalAt = new Date(clock);
+
+    if (stop.type === "pickup") {
+      const ready = readyAt.get(stop.order.toString());
+      if (ready && ready.getTime() > clock) clock = ready.getTime();
+    }
+    clock += HANDOVER_MINUTES * MINUTE;
+
+    distanceMeters += leg.distanceMeters ?? 0;
+    position = stop.location;
+    return { ...stop, distanceMeters: leg.distanceMeters, arrivalAt, departAt: new Date(clock) };
+  });
+
+  return { stops, distanceMeters, finishAt: new Date(clock) };
+};
@@ -0,0 +1,173 @@
+import SlotBooking from "../models/slotBooking.model.js";
+import { User } from "../models/user.model.js";
+import createError from "./error.js";
+
+// Length of one delivery slot
+export const SLOT_LENGTH_MINUTES = Number(process.env.SLOT_LENGTH_MINUTES ?? 30);
+
+// Earliest slot a customer can pick, counted from checkout
+export const MIN_SCHEDULE_LEAD_MINUTES = Number(process.env.MIN_SCHEDULE_LEAD_MINUTES ?? 60);
+
+// How far ahead slots can be booked
+export const MAX_SCHEDULE_DAYS = Number(process.env.MAX_SCHEDULE_DAYS ?? 7);
+
+// Scheduled orders are confirmed this long before their slot starts
+export const CONFIRM_LEAD_MINUTES = Number(process.env.SCHEDULE_CONFIRM_LEAD_MINUTES ?? 45);
+
+// Scheduled orders become visible to delivery agents this long before their slot starts
+export const DISPATCH_LEAD_MINUTES = Number(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES ?? 20);
+
+// Scheduled orders a seller accepts per slot unless they configured their own limit
+export const DEFAULT_SLOT_CAPACITY = Number(process.env.DEFAULT_SLOT_CAPACITY ?? 10);
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Validate a requested delivery time and turn it into a slot
+ * @param {string|Date} scheduledFor - Start of the slot the customer picked
+ * @returns {Object} { start, end }
+ */
+export const parseDeliverySlot = (scheduledFor) => {
+  const start = new Date(scheduledFor);
+  if (Number.isNaN(start.getTime())) {
+    throw createError(400, "scheduledFor must be a valid date");
+  }
+
+  const slotLength = SLOT_LENGTH_MINUTES * MINUTE;
+  if (start.getTime() % slotLength !== 0) {
+    throw createError(400, `Delivery slots start every ${SLOT_LENGTH_MINUTES} minutes`);
+  }
+
+  const now = Date.now();
+  if (start.getTime() < now + MIN_SCHEDULE_LEAD_MINUTES * MINUTE) {
+    throw createError(400, `Scheduled deliveries must be at least ${MIN_SCHEDULE_LEAD_MINUTES} minutes ahead`);
+  }
+  if (start.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * MINUTE) {
+    throw createError(400, `Deliveries can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead`);
+  }
+
+  return { start, end: new Date(start.getTime() + slotLength) };
+};
+
+/**
+ * When a scheduled order should be shown to delivery agents
+ * @param {Object} slot - { start, end }
+ * @returns {Date}
+ */
+export const getDispatchTime = (slot) =>
+  new Date(new Date(slot.start).getTime() - DISPATCH_LEAD_MINUTES * MINUTE);
+
+/**
+ * Slot capacities of the given sellers
+ * @param {Array} sellerIds
+ * @param {ClientSession} [session]
+ * @returns {Promise<Map<string, number>>} sellerId -> capacity
+ */
+const getSlotCapacities = async (sellerIds, session = null) => {
+  const sellers = await User.find({ _id: { $in: sellerIds } })
+    .select("sellerSettings")
+    .session(session);
+
+  const capacities = new Map(sellerIds.map((id) => [id.toString(), DEFAULT_SLOT_CAPACITY]));
+  for (const seller of sellers) {
+    const capacity = seller.sellerSettings?.slotCapacity;
+    if (typeof capacity === "number") {
+      capacities.set(seller._id.toString(), capacity);
+    }
+  }
+  return capacities;
+};
+
+/**
+ * Take one place in the slot for every seller of an order.
+ * Must run inside the order's transaction.
+ * @param {Object} params
+ * @param {Array} params.sellerIds
+ * @param {Object} params.slot - { start, end }
+ * @param {ClientSession} params.session
+ */
+export const bookDeliverySlot = async ({ sellerIds, slot, session }) => {
+  const capacities = await getSlotCapacities(sellerIds, session);
+
+  for (const sellerId of sellerIds) {
+    const capacity = capacities.get(sellerId.toString());
+    if (capacity <= 0) {
+      throw createError(409, "A seller in your order is not accepting scheduled orders", {
+        sellerId,
+      });
+    }
+
+    try {
+      // Only increment while the slot has room; when it is full the filter
+      // misses and the upsert collides with the existing counter
+      await SlotBooking.findOneAndUpdate(
+        { seller: sellerId, slotStart: slot.start, booked: { $lt: capacity } },
+        { $inc: { booked: 1 }, $setOnInsert: { slotEnd: slot.end } },
+        { upsert: true, new: true, session }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, "The selected delivery slot is full", {
+          sellerId,
+          slotStart: slot.start,
+        });
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Give back the slot places held by a scheduled order
+ * @param {Object} order - Order document
+ * @param {ClientSession} [session]
+ */
+export const releaseDeliverySlot = async (order, session = null) => {
+  if (!order.deliverySlot?.start) return;
+
+  await SlotBooking.updateMany(
+    { seller: { $in: order.sellers }, slotStart: order.deliverySlot.start, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
+
+/**
+ * Bookable slots for a seller on one day
+ * @param {string} sellerId
+ * @param {Date} day - Any time on the requested day
+ * @returns {Promise<Array>} [{ start, end, capacity, booked, available }]
+ */
+export const getSlotAvailability = async (sellerId, day) => {
+  const capacities = await getSlotCapacities([sellerId]);
+  const capacity = capacities.get(sellerId.toString());
+
+  const dayStart = new Date(day);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * MINUTE);
+
+  const bookings = await SlotBooking.find({
+    seller: sellerId,
+    slotStart: { $gte: dayStart, $lt: dayEnd },
+  });
+  const bookedBySlot = new Map(bookings.map((b) => [b.slotStart.getTime(), b.booked]));
+
+  const slotLength = SLOT_LENGTH_MINUTES * MINUTE;
+  const earliest = Date.now() + MIN_SCHEDULE_LEAD_MINUTES * MINUTE;
+  const latest = Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * MINUTE;
+  const slots = [];
+
+  for (let t = Math.ceil(dayStart.getTime() / slotLength) * slotLength; t < dayEnd.getTime(); t += slotLength) {
+    if (t < earliest || t > latest) continue;
+    const booked = bookedBySlot.get(t) || 0;
+    slots.push({
+      start: new Date(t),
+      end: new Date(t + slotLength),
+      capacity,
+      booked,
+      available: booked < capacity,
+    });
+  }
+
+  return slots;
+};
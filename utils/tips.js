@@ -0,0 +1,136 @@
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import Order from "../models/order.model.js";
+import { emitToAgent } from "../socket/socket.js";
+import { withTransaction } from "./db.js";
+import { recordTipEarning } from "./earnings.js";
+import createError from "./error.js";
+import { roundCurrency } from "./pricing.js";
+import { debitWalletForTip } from "./wallet.js";
+
+// Largest tip accepted at checkout or afterwards
+export const MAX_TIP = Number(process.env.MAX_TIP ?? 500);
+
+// How long after delivery a customer can still add a tip
+export const TIP_WINDOW_HOURS = Number(process.env.TIP_WINDOW_HOURS ?? 24);
+
+/**
+ * Validate a tip amount. A missing tip is no tip.
+ * @param {*} value - Amount from the request
+ * @returns {number}
+ */
+export const parseTip = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+
+  const tip = Number(value);
+  if (!Number.isFinite(tip) || tip < 0 || roundCurrency(tip) !== tip) {
+    throw createError(400, "tip must be a positive amount with at most two decimals");
+  }
+  if (tip > MAX_TIP) {
+    throw createError(400, `Tips are limited to ${MAX_TIP}`, { max: MAX_TIP });
+  }
+  return tip;
+};
+
+/**
+ * Check that a customer can tip an order now: it was delivered by an
+ * agent within the tip window and has no tip after delivery yet.
+ * @param {Object} order - Order document
+ * @param {string} userId - Customer
+ */
+export const assertCanTip = (order, userId) => {
+  if (order.user.toString() !== userId.toString()) {
+    throw createError(403, "You can only tip your own orders");
+  }
+  if (order.orderType === "parent") {
+    throw createError(400, "Each seller order of this order has its own agent; tip them separately", {
+      childOrders: order.childOrders,
+    });
+  }
+  if (order.status !== "delivered" || !order.deliveryAgent) {
+    throw createError(409, "Tips can be added once the order was delivered");
+  }
+
+  const deliveredAt = order.actualDeliveryTime || order.updatedAt;
+  if (Date.now() - new Date(deliveredAt).getTime() > TIP_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw createError(409, `Tips can be added up to ${TIP_WINDOW_HOURS} hours after delivery`);
+  }
+
+  const status = order.postDeliveryTip?.status;
+  if (status === "paid" || status === "pending") {
+    throw createError(409, status === "paid" ? "This order was already tipped" : "A tip for this order is being processed");
+  }
+};
+
+/**
+ * Tell the agent of an order that a tip arrived
+ * @param {Object} order - Order with a deliveryAgent
+ * @param {number} amount
+ */
+export const notifyTipReceived = async (order, amount) => {
+  const agent = await DeliveryAgent.findById(order.deliveryAgent).select("user");
+  if (!agent) return;
+
+  emitToAgent(agent, "tipReceived", {
+    orderId: order._id,
+    amount,
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Pay a tip after delivery from the customer's wallet and credit the agent.
+ * A request racing one that already paid the tip is rolled back and gets
+ * that tip instead.
+ * @param {Object} order - Order checked with assertCanTip
+ * @param {number} amount
+ * @returns {Promise<Object>} The updated order
+ */
+export const payTipFromWallet = async (order, amount) => {
+  try {
+    await withTransaction(async (session) => {
+      await debitWalletForTip(order, amount, session);
+      order.postDeliveryTip = { amount, status: "paid", paidAt: new Date() };
+      await order.save({ session });
+      await recordTipEarning(order, amount, session);
+    });
+  } catch (error) {
+    // The tip earning of this order was recorded concurrently
+    if (error.code !== 11000) throw error;
+    const tipped = await Order.findById(order._id);
+    if (tipped?.postDeliveryTip?.status !== "paid") throw error;
+    return tipped;
+  }
+
+  await notifyTipReceived(order, amount);
+  return order;
+};
+
+/**
+ * Credit a tip whose card payment succeeded. Runs once per tip payment.
+ * @param {Object} payment - Succeeded Payment with purpose "tip"
+ */
+export const settleTipPayment = async (payment) => {
+  const order = await withTransaction(async (session) => {
+    const tipped = await Order.findOneAndUpdate(
+      { _id: payment.order, "postDeliveryTip.payment": payment._id, "postDeliveryTip.status": "pending" },
+      { $set: { "postDeliveryTip.status": "paid", "postDeliveryTip.paidAt": new Date() } },
+      { new: true, session }
+    );
+    if (tipped) {
+      await recordTipEarning(tipped, payment.amount, session);
+    }
+    return tipped;
+  });
+
+  if (order) await notifyTipReceived(order, payment.amount);
+};
+
+/**
+ * Mark a tip whose card payment failed, so the customer can try again
+ * @param {Object} payment - Failed or cancelled Payment with purpose "tip"
+ */
+export const failTipPayment = (payment) =>
+  Order.updateOne(
+    { _id: payment.order, "postDeliveryTip.payment": payment._id, "postDeliveryTip.status": "pending" },
+    { $set: { "postDeliveryTip.status": "failed" } }
+  );
@@ -0,0 +1,261 @@
+import LedgerEntry from "../models/ledgerEntry.model.js";
+import Wallet from "../models/wallet.model.js";
+import { withTransaction } from "./db.js";
+import createError from "./error.js";
+import { roundCurrency } from "./pricing.js";
+
+// Platform accounts on the other side of customer wallet operations
+export const SYSTEM_WALLETS = {
+  // Money coming in from the payment provider for top-ups
+  FUNDING: "funding",
+  // Order payments made from wallets, and the refunds paid out of them
+  ORDERS: "orders",
+  // Tips paid from wallets after delivery, owed to delivery agents
+  TIPS: "tips",
+  // Manual corrections by admins
+  ADJUSTMENTS: "adjustments",
+};
+
+// Most a customer can add to their wallet in one top-up
+export const WALLET_MAX_TOPUP = Number(process.env.WALLET_MAX_TOPUP ?? 10000);
+
+/**
+ * Get a user's wallet, creating it on first use
+ * @param {string} userId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} Wallet document
+ */
+export const getUserWallet = (userId, session = null) =>
+  Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true, session }
+  );
+
+// Get a platform account, creating it on first use
+const getSystemWallet = (code, session) =>
+  Wallet.findOneAndUpdate(
+    { code },
+    { $setOnInsert: { code } },
+    { upsert: true, new: true, session }
+  );
+
+// Entries written for an idempotency key as { debit, credit }
+const findEntries = async (idempotencyKey, session = null) => {
+  const entries = await LedgerEntry.find({ idempotencyKey }).session(session);
+  return {
+    debit: entries.find((entry) => entry.direction === "debit"),
+    credit: entries.find((entry) => entry.direction === "credit"),
+  };
+};
+
+/**
+ * Move money between two wallets as one debit and one credit entry.
+ * Replaying an idempotency key returns the entries it wrote the first time.
+ * @param {Object} params
+ * @param {Object} params.from - Wallet to debit
+ * @param {Object} params.to - Wallet to credit
+ * @param {number} params.amount - Positive amount
+ * @param {string} params.type - LedgerEntry type
+ * @param {string} params.idempotencyKey
+ * @param {boolean} [params.allowOverdraft=false] - Only platform accounts may go below zero
+ * @param {Object} [params.reference] - { order, payment, description, createdBy } stored on both entries
+ * @param {ClientSession} params.session
+ * @returns {Promise<Object>} { debit, credit, replayed }
+ */
+const transfer = async ({ from, to, amount, type, idempotencyKey, allowOverdraft = false, reference = {}, session }) => {
+  const value = roundCurrency(amount);
+  if (!(value > 0)) {
+    throw createError(400, "Amount must be greater than zero");
+  }
+
+  const existing = await findEntries(idempotencyKey, session);
+  if (existing.debit) {
+    const sameOperation =
+      existing.debit.amount === value && existing.debit.type === type && existing.debit.wallet.equals(from._id);
+    if (!sameOperation) {
+      throw createError(409, "This idempotency key was already used for a different operation");
+    }
+    return { ...existing, replayed: true };
+  }
+
+  // Conditional update, so two debits racing for the same money cannot both pass
+  const debited = await Wallet.findOneAndUpdate(
+    { _id: from._id, ...(!allowOverdraft && { balance: { $gte: value } }) },
+    { $inc: { balance: -value } },
+    { new: true, session }
+  );
+  if (!debited) {
+    throw createError(402, "Insufficient wallet balance", {
+      balance: roundCurrency(from.balance),
+      required: value,
+    });
+  }
+
+  const credited = await Wallet.findOneAndUpdate(
+    { _id: to._id },
+    { $inc: { balance: value } },
+    { new: true, session }
+  );
+
+  const shared = { amount: value, type, idempotencyKey, ...reference };
+  const [debit, credit] = await LedgerEntry.create(
+    [
+      {
+        ...shared,
+        wallet: from._id,
+        counterpartyWallet: to._id,
+        direction: "debit",
+        balanceAfter: roundCurrency(debited.balance),
+      },
+      {
+        ...shared,
+        wallet: to._id,
+        counterpartyWallet: from._id,
+        direction: "credit",
+        balanceAfter: roundCurrency(credited.balance),
+      },
+    ],
+    { session, ordered: true }
+  );
+
+  return { debit, credit, replayed: false };
+};
+
+/**
+ * Run a transfer in its own transaction. A concurrent request with the same
+ * key loses on the unique index and gets the entries of the one that won.
+ * @param {Function} resolve - async (session) => transfer params
+ * @param {string} idempotencyKey
+ * @returns {Promise<Object>} { debit, credit, replayed }
+ */
+const runTransfer = async (resolve, idempotencyKey) => {
+  try {
+    return await withTransaction(async (session) =>
+      transfer({ ...(await resolve(session)), idempotencyKey, session })
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { ...(await findEntries(idempotencyKey)), replayed: true };
+  }
+};
+
+/**
+ * Credit a user's wallet with a settled top-up payment
+ * @param {Object} payment - Succeeded Payment with purpose "wallet_topup"
+ * @returns {Promise<Object>} { debit, credit, replayed }
+ */
+export const creditTopUp = (payment) =>
+  runTransfer(
+    async (session) => ({
+      from: await getSystemWallet(SYSTEM_WALLETS.FUNDING, session),
+      to: await getUserWallet(payment.user, session),
+      amount: payment.amount,
+      type: "topup",
+      allowOverdraft: true,
+      reference: { payment: payment._id, description: "Wallet top-up", createdBy: payment.user },
+    }),
+    `topup:${payment._id}`
+  );
+
+/**
+ * Pay for an order from the customer's wallet. Runs inside the checkout
+ * transaction, so a wallet without enough money rolls the order back.
+ * @param {Object} order - Order being placed (single or parent)
+ * @param {ClientSession} session
+ * @returns {Promise<Object>} { debit, credit, replayed }
+ */
+export const debitWalletForOrder = async (order, session) =>
+  transfer({
+    from: await getUserWallet(order.user, session),
+    to: await getSystemWallet(SYSTEM_WALLETS.ORDERS, session),
+    amount: order.total,
+    type: "order_payment",
+    idempotencyKey: `order:${order._id}`,
+    reference: { order: order._id, description: "Order payment", createdBy: order.user },
+    session,
+  });
+
+/**
+ * Pay a tip for a delivered order from the customer's wallet
+ * @param {Object} order - Delivered order the tip is for
+ * @param {number} amount
+ * @param {ClientSession} session
+ * @returns {Promise<Object>} { debit, credit, replayed }
+ */
+export const debitWalletForTip = async (order, amount, session) =>
+  transfer({
+    from: await getUserWallet(order.user, session),
+    to: await getSystemWallet(SYSTEM_WALLETS.TIPS, session),
+    amount,
+    type: "tip",
+    idempotencyKey: `tip:${order._id}`,
+    reference: { order: order._id, description: "Tip for the delivery agent", createdBy: order.user },
+    session,
+  });
+
+/**
+ * Give money of a wallet-paid order back to the customer's wallet
+ * @param {string} orderId - Order the wallet was debited for (the parent of a split order)
+ * @param {Object} params
+ * @param {number} [params.amount] - Defaults to everything not refunded yet
+ * @param {string} params.idempotencyKey
+ * @param {string} [params.reason]
+ * @returns {Promise<Object|null>} The credit entry, or null when nothing is refundable
+ */
+export const refundOrderToWallet = async (orderId, { amount, idempotencyKey, reason }) => {
+  const payment = await LedgerEntry.findOne({ order: orderId, type: "order_payment", direction: "debit" });
+  if (!payment) return null;
+
+  // Already refunded under this key: the remaining amount has changed since
+  const existing = await findEntries(idempotencyKey);
+  if (existing.credit) return existing.credit;
+
+  const [refunded] = await LedgerEntry.aggregate([
+    { $match: { order: payment.order, type: "refund", direction: "credit" } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  const refundable = roundCurrency(payment.amount - (refunded?.total || 0));
+  const value = roundCurrency(Math.min(amount ?? refundable, refundable));
+  if (value <= 0) return null;
+
+  const { credit } = await runTransfer(
+    async (session) => ({
+      from: await getSystemWallet(SYSTEM_WALLETS.ORDERS, session),
+      to: await Wallet.findById(payment.wallet).session(session),
+      amount: value,
+      type: "refund",
+      allowOverdraft: true,
+      reference: { order: payment.order, description: reason || "Order refund" },
+    }),
+    idempotencyKey
+  );
+  return credit;
+};
+
+/**
+ * Admin correction of a user's balance. A negative amount takes money out
+ * and cannot take the wallet below zero.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - Signed amount
+ * @param {string} params.reason
+ * @param {string} params.adminId
+ * @param {string} params.idempotencyKey
+ * @returns {Promise<Object>} { debit, credit, replayed }
+ */
+export const adjustWallet = ({ userId, amount, reason, adminId, idempotencyKey }) =>
+  runTransfer(async (session) => {
+    const wallet = await getUserWallet(userId, session);
+    const adjustments = await getSystemWallet(SYSTEM_WALLETS.ADJUSTMENTS, session);
+    const isCredit = amount > 0;
+
+    return {
+      from: isCredit ? adjustments : wallet,
+      to: isCredit ? wallet : adjustments,
+      amount: Math.abs(amount),
+      type: "adjustment",
+      allowOverdraft: isCredit,
+      reference: { description: reason, createdBy: adminId },
+    };
+  }, `adjustment:${idempotencyKey}`);